@@ -9,11 +9,21 @@ module.exports = {
    */
   config: config,
 
+  /**
+   * Deploy history and audit log of stack operations
+   */
+  audit: require('./src/audit'),
+
   /**
    * Cloudformation stack utilities
    */
   cloudFormation: require('./src/cloudFormation'),
 
+  /**
+   * Change set rendering utilities (terminal text, Markdown and JSON)
+   */
+  changeSetFormatter: require('./src/changeSetFormatter'),
+
   /**
    * Cloud watch log groups cloud formation utilities
    */
@@ -24,6 +34,11 @@ module.exports = {
    */
   cognito: require('./src/cognito'),
 
+  /**
+   * ECR repository cloud formation utilities
+   */
+  ecr: require('./src/ecr'),
+
   /**
    * Glue cloud formation utilities
    */
@@ -54,6 +69,26 @@ module.exports = {
    */
   lambda: require('./src/lambda'),
 
+  /**
+   * Deployment locks to prevent concurrent stack operations
+   */
+  lock: require('./src/lock'),
+
+  /**
+   * Multi-stack deployment manifest utilities
+   */
+  manifest: require('./src/manifest'),
+
+  /**
+   * Stack outputs utilities (write merged outputs to .env, JSON, YAML or JS files)
+   */
+  outputs: require('./src/outputs'),
+
+  /**
+   * Template packaging utilities (upload local artifacts to S3 and rewrite the template)
+   */
+  packager: require('./src/packager'),
+
   /**
    * Parameter store cloud formation utilities
    */
@@ -64,6 +99,16 @@ module.exports = {
    */
   s3: require('./src/s3'),
 
+  /**
+   * Stack parameter utilities (validation against template parameter declarations)
+   */
+  stackParameters: require('./src/stackParameters'),
+
+  /**
+   * Template parsing utilities (JSON and YAML including CloudFormation short form tags)
+   */
+  template: require('./src/template'),
+
   /**
    * Convenience method to initialize configuration for this session
    * @param configuration configuration setup for this session
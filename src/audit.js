@@ -0,0 +1,231 @@
+'use strict';
+const config = require('./config');
+const s3 = require('./s3');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const childProcess = require('child_process');
+const { STSClient, GetCallerIdentityCommand } = require('@aws-sdk/client-sts');
+
+/**
+ * Parameter names whose values are masked in audit records even if the template does not declare them NoEcho
+ */
+const SECRET_PARAMETER = /password|secret|token|credential|private/i;
+
+/**
+ * Operator identity and git commit are looked up once per session
+ */
+let session;
+
+/**
+ * Records of operations still running, written by flushOpenRecords if the process exits before they complete
+ */
+const openRecords = new Set();
+
+/**
+ * Run a stack operation and append an audit record for it, whether it succeeds or fails.
+ * <p>
+ * Records are appended to the local JSONL file config.AUDIT_LOG (defaults to cf-utils-audit.jsonl) and, if
+ * config.AUDIT_S3_URI is set (e.g. s3://audit-bucket/deployments/), written to S3 as one object per record.
+ * A record holds the operation, stack name, template and template hash, parameters (secrets masked), git commit,
+ * operator identity (STS GetCallerIdentity), start and end time, result and error message. Failing to write the
+ * record is logged and does not fail the operation.
+ * Possible details:<br>
+ * {<br>
+ *    template     : string // [optional] Path or URL of the template.<br>
+ *    body         : string // [optional] Template body, used for the template hash.<br>
+ *    parameters   : Array  // [optional] AWS parameter listing.<br>
+ *    declarations : Object // [optional] Template parameter declarations (NoEcho parameters are masked).<br>
+ *    references   : Object // [optional] Map of parameter name to the ssm:/stack: reference it was resolved from (recorded instead of the value).<br>
+ *    changeSetName : string // [optional] Change set being executed.<br>
+ * }<br>
+ * </p>
+ * @param operation operation name (e.g. upsertStack)
+ * @param stackName fully qualified stack name
+ * @param details operation details (template, body, parameters, declarations, references, changeSetName)
+ * @param fn async function running the operation
+ * @return {Promise} result of the operation
+ */
+async function recordOperation(operation, stackName, details, fn) {
+  const record = {
+    operation: operation,
+    stackName: stackName,
+    template: details.template,
+    templateHash: details.body !== undefined
+      ? crypto.createHash('sha256').update(details.body).digest('hex')
+      : undefined,
+    changeSetName: details.changeSetName,
+    parameters: maskParameters(details.parameters, details.declarations, details.references),
+    startTime: new Date().toISOString()
+  };
+
+  openRecords.add(record);
+  try {
+    const result = await fn();
+    const stack = result && result.Stacks && result.Stacks[0];
+    // Records already written by flushOpenRecords are not written twice
+    if (openRecords.delete(record)) {
+      await appendRecord(Object.assign(record, {
+        endTime: new Date().toISOString(),
+        result: (stack && stack.StackStatus) || 'SUCCEEDED'
+      }));
+    }
+    return result;
+  } catch (err) {
+    if (openRecords.delete(record)) {
+      await appendRecord(Object.assign(record, {
+        endTime: new Date().toISOString(),
+        result: 'FAILED',
+        error: err.message
+      }));
+    }
+    throw err;
+  }
+}
+
+/**
+ * Write the records of the operations still running, e.g. before exiting the process in the middle of an operation
+ * @param result result recorded for the operations (e.g. PENDING_REVIEW or INTERRUPTED)
+ * @return {Promise}
+ */
+async function flushOpenRecords(result) {
+  for (const record of Array.from(openRecords)) {
+    openRecords.delete(record);
+    await appendRecord(Object.assign(record, { endTime: new Date().toISOString(), result: result }));
+  }
+}
+
+/**
+ * Get the audit history from the local audit log
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    operation : string // [optional] Only return records of this operation (e.g. deleteStack).<br>
+ *    limit     : number // [optional] Only return the most recent records.<br>
+ * }<br>
+ * </p>
+ * @param stackName [optional] only return records for this stack
+ * @param options [optional] query options (operation, limit)
+ * @return {Array} audit records, oldest first
+ */
+function getHistory(stackName, options) {
+  options = options || {};
+  const file = getAuditLog();
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+  const records = fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line))
+    .filter(record => !stackName || record.stackName === stackName)
+    .filter(record => !options.operation || record.operation === options.operation);
+  return options.limit ? records.slice(-options.limit) : records;
+}
+
+/**
+ * Mask secret parameter values (NoEcho declarations and secret looking names) for an audit record. Values resolved
+ * from a reference (e.g. a SecureString parameter) are recorded as the reference, never as the resolved value.
+ * @param parameters [optional] AWS parameter listing
+ * @param declarations [optional] template parameter declarations
+ * @param references [optional] map of parameter name to the reference its value was resolved from
+ * @return {Object|undefined} map of parameter name to (masked) value
+ */
+function maskParameters(parameters, declarations, references) {
+  if (!parameters) {
+    return undefined;
+  }
+  return parameters.reduce((map, parameter) => {
+    const key = parameter.ParameterKey;
+    const declaration = (declarations || {})[key] || {};
+    if (parameter.UsePreviousValue) {
+      map[key] = '(previous value)';
+    } else if (references && references.hasOwnProperty(key)) {
+      map[key] = references[key];
+    } else if (String(declaration.NoEcho) === 'true' || SECRET_PARAMETER.test(key)) {
+      map[key] = '****';
+    } else {
+      map[key] = parameter.ParameterValue;
+    }
+    return map;
+  }, {});
+}
+
+/**
+ * Add the session details to a record and write it to the local audit log and S3
+ * @param record audit record
+ * @return {Promise}
+ */
+async function appendRecord(record) {
+  try {
+    Object.assign(record, await getSession());
+    const file = getAuditLog();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+
+    const location = /^s3:\/\/([^/]+)\/?(.*)$/.exec(getAuditS3Uri() || '');
+    if (location) {
+      const prefix = location[2] && !location[2].endsWith('/') ? location[2] + '/' : location[2];
+      await s3.putS3Object({
+        Bucket: location[1],
+        Key: `${prefix}${record.stackName}/${record.startTime}-${record.operation}.json`,
+        Body: JSON.stringify(record, null, 2),
+        ContentType: 'application/json'
+      });
+    }
+  } catch (err) {
+    config.logger.warn('Unable to write audit record - ' + err.message);
+  }
+}
+
+/**
+ * Get the operator identity and git commit of this session
+ * @return {Promise.<{operator: string, gitCommit: string}>}
+ */
+async function getSession() {
+  if (!session) {
+    let operator;
+    try {
+      const sts = new STSClient(config.AWS.clientConfig);
+      const data = await sts.send(new GetCallerIdentityCommand({}));
+      operator = data && data.Arn;
+    } catch (err) {
+      config.logger.warn('Unable to determine operator identity - ' + err.message);
+    }
+    let gitCommit;
+    try {
+      gitCommit = childProcess.execSync('git rev-parse HEAD', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+    } catch (err) {
+      gitCommit = undefined;
+    }
+    session = { operator, gitCommit };
+  }
+  return session;
+}
+
+/**
+ * Get the path of the local audit log
+ * @return {string}
+ */
+function getAuditLog() {
+  return config.AUDIT_LOG;
+}
+
+/**
+ * Get the S3 location audit records are written to, if one is configured
+ * @return {string|undefined}
+ */
+function getAuditS3Uri() {
+  try {
+    return config.AUDIT_S3_URI;
+  } catch (err) {
+    return undefined;
+  }
+}
+
+
+module.exports = {
+  recordOperation,
+  flushOpenRecords,
+  getHistory
+};
@@ -0,0 +1,211 @@
+'use strict';
+
+/**
+ * ANSI colours used when rendering change sets as terminal text
+ */
+const COLOURS = {
+  Add:         '\x1b[32m',
+  Modify:      '\x1b[33m',
+  Remove:      '\x1b[31m',
+  Import:      '\x1b[36m',
+  Dynamic:     '\x1b[35m',
+  True:        '\x1b[31m',
+  Conditional: '\x1b[33m',
+  reset:       '\x1b[0m'
+};
+
+/**
+ * Maximum length of a before/after value when rendering terminal text
+ */
+const MAX_TEXT_VALUE_LENGTH = 80;
+
+/**
+ * Flatten the resource changes of a change set (including nested stack change sets attached as
+ * ResourceChange.NestedChangeSet) into rows.
+ * @param changeSet AWS describeChangeSet result
+ * @param stackPath [optional] logical ids of the parent stacks (used when recursing into nested stacks)
+ * @return {Array} resource change rows
+ */
+function listResourceChanges(changeSet, stackPath) {
+  stackPath = stackPath || [];
+  return (changeSet.Changes || [])
+    .map(change => change.ResourceChange)
+    .filter(change => change)
+    .reduce((rows, change) => {
+      const properties = {};
+      (change.Details || []).filter(detail => detail.Target).forEach(detail => {
+        const target = detail.Target;
+        const path = target.Path || (target.Attribute + (target.Name ? '.' + target.Name : ''));
+        properties[path] = Object.assign({}, properties[path], {
+          Path: path,
+          Before: target.BeforeValue,
+          After: target.AfterValue,
+          RequiresRecreation: target.RequiresRecreation,
+          ChangeSource: detail.ChangeSource
+        });
+      });
+
+      rows.push({
+        Stack: stackPath.join('/'),
+        Action: change.Action,
+        LogicalResourceId: change.LogicalResourceId,
+        PhysicalResourceId: change.PhysicalResourceId,
+        ResourceType: change.ResourceType,
+        Replacement: change.Replacement,
+        Properties: Object.values(properties)
+      });
+
+      if (change.NestedChangeSet) {
+        rows = rows.concat(listResourceChanges(change.NestedChangeSet, stackPath.concat(change.LogicalResourceId)));
+      }
+      return rows;
+    }, []);
+}
+
+/**
+ * Render a change set as coloured terminal text, Markdown or JSON.
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    colour : boolean // [optional] Use ANSI colours for 'text' (defaults to true).<br>
+ * }<br>
+ * </p>
+ * @param changeSet AWS describeChangeSet result (nested change sets attached as ResourceChange.NestedChangeSet)
+ * @param format [optional] 'text', 'markdown' or 'json' (defaults to 'text')
+ * @param options [optional] format options (colour)
+ * @return {string}
+ */
+function formatChangeSet(changeSet, format, options) {
+  options = options || {};
+  const rows = listResourceChanges(changeSet);
+
+  switch (format || 'text') {
+    case 'json':
+      return JSON.stringify({
+        StackName: changeSet.StackName,
+        StackId: changeSet.StackId,
+        ChangeSetName: changeSet.ChangeSetName,
+        ChangeSetId: changeSet.ChangeSetId,
+        Changes: rows
+      }, null, 2);
+    case 'markdown':
+      return formatMarkdown(changeSet, rows);
+    case 'text':
+      return formatText(changeSet, rows, options.colour !== false);
+    default:
+      throw new Error(`Unknown change set format '${format}', expected one of text, markdown, json`);
+  }
+}
+
+/**
+ * Qualified logical id of a row (prefixed with the logical ids of its parent stacks)
+ * @param row resource change row
+ * @return {string}
+ */
+function qualifiedId(row) {
+  return (row.Stack ? row.Stack + '/' : '') + row.LogicalResourceId;
+}
+
+/**
+ * Describe a property change as "path: before -> after"
+ * @param property property change
+ * @param formatValue value formatter
+ * @return {string}
+ */
+function describeProperty(property, formatValue) {
+  let text = property.Path;
+  if (property.Before !== undefined || property.After !== undefined) {
+    text += `: ${formatValue(property.Before)} -> ${formatValue(property.After)}`;
+  }
+  if (property.RequiresRecreation && property.RequiresRecreation !== 'Never') {
+    text += ` (requires recreation: ${property.RequiresRecreation})`;
+  }
+  return text;
+}
+
+/**
+ * Render rows as a terminal table
+ * @param changeSet AWS describeChangeSet result
+ * @param rows resource change rows
+ * @param colour use ANSI colours
+ * @return {string}
+ */
+function formatText(changeSet, rows, colour) {
+  const paint = (key, text) => colour && COLOURS[key] ? COLOURS[key] + text + COLOURS.reset : text;
+  const formatValue = (value) => {
+    if (value === undefined) {
+      return '(none)';
+    }
+    const text = JSON.stringify(value);
+    return text.length > MAX_TEXT_VALUE_LENGTH ? text.substring(0, MAX_TEXT_VALUE_LENGTH - 3) + '...' : text;
+  };
+
+  const lines = [`Change set ${changeSet.ChangeSetName} for stack ${changeSet.StackName}`];
+  if (rows.length === 0) {
+    lines.push('No changes');
+    return lines.join('\n');
+  }
+
+  const columns = [
+    ['Action', row => row.Action || ''],
+    ['Logical ID', row => qualifiedId(row)],
+    ['Resource Type', row => row.ResourceType || ''],
+    ['Replacement', row => row.Replacement || '']
+  ];
+  const widths = columns.map(([title, value]) =>
+    rows.reduce((width, row) => Math.max(width, value(row).length), title.length));
+  const pad = (text, i) => text + ' '.repeat(widths[i] - text.length);
+
+  lines.push(columns.map(([title], i) => pad(title, i)).join('  ').trimEnd());
+  rows.forEach(row => {
+    lines.push(columns.map(([, value], i) => {
+      const text = pad(value(row), i);
+      if (i === 0) {
+        return paint(row.Action, text);
+      }
+      return i === 3 ? paint(row.Replacement, text) : text;
+    }).join('  ').trimEnd());
+    row.Properties.forEach(property => {
+      // Changes caused by references to other resources/parameters are highlighted separately from direct edits
+      const marker = property.ChangeSource === 'DirectModification' ? '~ ' : paint('Dynamic', '~ ');
+      lines.push('    ' + marker + describeProperty(property, formatValue));
+    });
+  });
+  return lines.join('\n');
+}
+
+/**
+ * Render rows as a Markdown table (suitable for PR comments)
+ * @param changeSet AWS describeChangeSet result
+ * @param rows resource change rows
+ * @return {string}
+ */
+function formatMarkdown(changeSet, rows) {
+  const escape = (text) => String(text === undefined ? '' : text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+  const formatValue = (value) => value === undefined ? '_(none)_' : '`' + JSON.stringify(value) + '`';
+
+  const lines = [`## Change set \`${changeSet.ChangeSetName}\` for stack \`${changeSet.StackName}\``, ''];
+  if (rows.length === 0) {
+    lines.push('No changes');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push('| Action | Logical ID | Resource Type | Replacement | Changed Properties |');
+  lines.push('| --- | --- | --- | --- | --- |');
+  rows.forEach(row => {
+    lines.push('| ' + [
+      escape(row.Action),
+      escape(qualifiedId(row)),
+      escape(row.ResourceType),
+      escape(row.Replacement),
+      row.Properties.map(property => escape(describeProperty(property, formatValue))).join('<br>')
+    ].join(' | ') + ' |');
+  });
+  return lines.join('\n') + '\n';
+}
+
+
+module.exports = {
+  formatChangeSet,
+  listResourceChanges
+};
@@ -1,9 +1,19 @@
 'use strict';
 const config = require('./config');
 const s3 = require('./s3');
+const ecr = require('./ecr');
+const audit = require('./audit');
+const lock = require('./lock');
+const parameterStore = require('./parameterStore');
+const changeSetFormatter = require('./changeSetFormatter');
+const packager = require('./packager');
+const template = require('./template');
+const stackParameters = require('./stackParameters');
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
 const inquirer = require('inquirer');
-const { spawn } = require('child_process');
 const {
   CloudFormationClient,
   DescribeStacksCommand,
@@ -13,13 +23,192 @@ const {
   ExecuteChangeSetCommand,
   DeleteChangeSetCommand,
   DescribeChangeSetCommand,
-  DeleteStackCommand
+  DeleteStackCommand,
+  DescribeStackEventsCommand,
+  DetectStackDriftCommand,
+  DescribeStackDriftDetectionStatusCommand,
+  DescribeStackResourceDriftsCommand,
+  ListStacksCommand,
+  ValidateTemplateCommand,
+  UpdateTerminationProtectionCommand,
+  SetStackPolicyCommand,
+  ContinueUpdateRollbackCommand,
+  CancelUpdateStackCommand,
+  ListStackResourcesCommand,
+  GetTemplateCommand,
+  DescribeStackSetCommand,
+  CreateStackSetCommand,
+  UpdateStackSetCommand,
+  DeleteStackSetCommand,
+  ListStackInstancesCommand,
+  CreateStackInstancesCommand,
+  DeleteStackInstancesCommand,
+  DescribeStackSetOperationCommand,
+  ListStackSetOperationResultsCommand,
+  ListExportsCommand,
+  ListImportsCommand
 } = require('@aws-sdk/client-cloudformation');
 
 /**
- * Poll changeset timeout in milliseconds
+ * Initial delay between polls in milliseconds (doubles on every poll up to POLL_MAX_DELAY)
  */
-const POLL_TIMEOUT = 5000;
+const POLL_INITIAL_DELAY = 2000;
+
+/**
+ * Maximum delay between polls in milliseconds
+ */
+const POLL_MAX_DELAY = 20000;
+
+/**
+ * Allowance in milliseconds for the local clock running ahead of CloudFormation's. Operations start at a local time,
+ * but their stack events carry CloudFormation's timestamps.
+ */
+const EVENT_CLOCK_SKEW = 30000;
+
+/**
+ * Default maximum time to wait for a stack or change set operation in milliseconds (2 hours)
+ */
+const DEFAULT_MAX_WAIT = 2 * 60 * 60 * 1000;
+
+/**
+ * Process exit code used when a change set has been written to file pending approval
+ */
+const REVIEW_PENDING_EXIT_CODE = 3;
+
+/**
+ * Process exit code used when exiting on Ctrl+C (SIGINT) while waiting for a stack operation
+ */
+const INTERRUPT_EXIT_CODE = 130;
+
+/**
+ * Supported change set review policies
+ */
+const REVIEW_POLICIES = ['prompt', 'approve', 'reject-destructive', 'file'];
+
+/**
+ * Supported actions when stack creation fails
+ */
+const ON_FAILURE_ACTIONS = ['ROLLBACK', 'DELETE', 'DO_NOTHING'];
+
+/**
+ * Terminal stack statuses and whether they indicate success. Any status not listed is still in progress.
+ * REVIEW_IN_PROGRESS is not listed: a new stack reports it until its CREATE or IMPORT change set starts executing,
+ * pollers that expect it as an end state pass it in successStatus.
+ */
+const STACK_TERMINAL_STATUS = {
+  CREATE_COMPLETE:          true,
+  UPDATE_COMPLETE:          true,
+  DELETE_COMPLETE:          true,
+  IMPORT_COMPLETE:          true,
+  CREATE_FAILED:            false,
+  UPDATE_FAILED:            false,
+  DELETE_FAILED:            false,
+  ROLLBACK_COMPLETE:        false,
+  ROLLBACK_FAILED:          false,
+  UPDATE_ROLLBACK_COMPLETE: false,
+  UPDATE_ROLLBACK_FAILED:   false,
+  IMPORT_ROLLBACK_COMPLETE: false,
+  IMPORT_ROLLBACK_FAILED:   false
+};
+
+/**
+ * Stack statuses drift detection can be run in
+ */
+const DRIFTABLE_STACK_STATUS = ['CREATE_COMPLETE', 'UPDATE_COMPLETE', 'UPDATE_ROLLBACK_COMPLETE', 'UPDATE_ROLLBACK_FAILED', 'IMPORT_COMPLETE'];
+
+/**
+ * Terminal stack set operation statuses and whether they indicate success. Any status not listed is still in progress.
+ */
+const STACK_SET_OPERATION_TERMINAL_STATUS = {
+  SUCCEEDED: true,
+  FAILED:    false,
+  STOPPED:   false
+};
+
+/**
+ * Terminal change set statuses and whether they indicate success. Any status not listed is still in progress.
+ */
+const CHANGE_SET_TERMINAL_STATUS = {
+  CREATE_COMPLETE: true,
+  UPDATE_COMPLETE: true,
+  DELETE_COMPLETE: true,
+  FAILED:          false,
+  DELETE_FAILED:   false
+};
+
+/**
+ * Stacks being polled by this process (stackName, getStatus, options). A single SIGINT handler is installed while
+ * any stack is polled, so one Ctrl+C asks one question about all of them.
+ */
+const polledStacks = new Set();
+
+/**
+ * Whether the SIGINT handler is handling an interrupt (further interrupts are ignored until it is done)
+ */
+let handlingInterrupt = false;
+
+/**
+ * Error thrown when a stack operation finishes in a failed or rolled back state.
+ * <p>
+ * failures lists the first failing resource events (nested stack failures are replaced by the
+ * failures found inside the nested stack) so the root cause can be reported without the full stack payload.
+ * </p>
+ */
+class StackOperationError extends Error {
+  /**
+   * @param stack AWS stack details
+   * @param failures failing AWS StackEvents in chronological order
+   */
+  constructor(stack, failures) {
+    super(['Stack operation failed - ' + stack.StackStatus]
+      .concat(failures.map(event => `${event.LogicalResourceId}: ${event.ResourceStatusReason}`))
+      .join('\n'));
+    this.name = 'StackOperationError';
+    this.stackId = stack.StackId;
+    this.stackName = stack.StackName;
+    this.status = stack.StackStatus;
+    this.failures = failures;
+  }
+}
+
+/**
+ * Error thrown by drift detection when failOnDrift is set and drift was found.
+ */
+class StackDriftError extends Error {
+  /**
+   * @param reports drift reports of the drifted stacks
+   */
+  constructor(reports) {
+    super('Stack drift detected - ' + reports
+      .map(report => `${report.StackName} (${report.DriftedStackResourceCount} drifted resources)`)
+      .join(', '));
+    this.name = 'StackDriftError';
+    this.reports = reports;
+  }
+}
+
+/**
+ * Error thrown when a stack set operation fails or is stopped.
+ * <p>
+ * failures lists the stack instances (Account, Region, Status, StatusReason) that did not succeed.
+ * </p>
+ */
+class StackSetOperationError extends Error {
+  /**
+   * @param operation AWS stack set operation details
+   * @param failures AWS stack set operation results of the failed instances
+   */
+  constructor(operation, failures) {
+    super(['Stack set operation failed - ' + operation.Status]
+      .concat(failures.map(result => `${result.Account} ${result.Region}: ${result.StatusReason}`))
+      .join('\n'));
+    this.name = 'StackSetOperationError';
+    this.stackSetId = operation.StackSetId;
+    this.operationId = operation.OperationId;
+    this.status = operation.Status;
+    this.failures = failures;
+  }
+}
 
 /**
  * Create/Update a stack. Automatically switches to change sets if stack contains transforms (e.g. SAM)
@@ -28,15 +217,47 @@ const POLL_TIMEOUT = 5000;
  * method will continue to accept a boolean value for this parameter.
  * Possible options:<br>
  * {<br>
- *    review   : boolean // If stack exists and this is true, then generate change set and pause update pending reviewer direction.<br>
+ *    review   : boolean|string // If stack exists and this is set, then generate change set and review it before updating.<br>
+ *                              // true or 'prompt' - pause update pending reviewer direction.<br>
+ *                              // 'approve' - log the change set and continue with the update.<br>
+ *                              // 'reject-destructive' - reject the update if any resource is replaced or removed.<br>
+ *                              // 'file' - write the change set to reviewFile, keep it for later execution and exit with reviewExitCode.<br>
+ *    reviewFile     : string // [optional] Used with 'file' review, .md for Markdown otherwise JSON (defaults to cf-utils-{name}-changeset.json).<br>
+ *    reviewExitCode : number // [optional] Used with 'file' review (defaults to 3).<br>
  *    s3Bucket : string  // If this is set then the specified script will be uploaded to S3 and the TemplateURL will be used instead of TemplateBody.<br>
- *    s3Prefix : string  // [optional] Used if s3Bucket is specified.<br>
+ *    s3Prefix : string  // [optional] Key prefix for uploaded templates.<br>
+ *    artifactBucket : string // [optional] Bucket to upload templates over the inline size limit to (defaults to config.ARTIFACT_BUCKET).<br>
+ *    capabilities   : Array  // [optional] Capabilities to deploy with (defaults to the capabilities the template requires).<br>
+ *    namedIamAllowlist : Array // [optional] Stack names (* wildcards) allowed CAPABILITY_NAMED_IAM (defaults to config.NAMED_IAM_ALLOWLIST).<br>
+ *    audit    : boolean // [optional] Record the operation in the audit log (defaults to true, see audit.recordOperation).<br>
+ *    lock     : boolean|Object // [optional] Hold the stack's deployment lock during the update, true or lock options (see lock.acquireLock).<br>
+ *    validateParameters : boolean // [optional] Check parameters against the template before deploying (defaults to true).<br>
+ *    usePreviousValues  : boolean // [optional] Keep the current value of parameters omitted on update instead of their default.<br>
+ *    validateTemplate   : boolean // [optional] Lint the template (see validateTemplate) before calling AWS.<br>
+ *    requiredOutputs    : Array   // [optional] Output keys the template must declare, used with validateTemplate.<br>
+ *    tags        : Object|Array // [optional] Stack tags as a map of key to value or an AWS tag listing.<br>
+ *    defaultTags : boolean      // [optional] Also tag the stack with Project, Version, Environment, Organization and Tenant from config.<br>
+ *    terminationProtection : boolean|Array // [optional] Enable termination protection, or the environment stages to enable it for (e.g. ['prod']).<br>
+ *    stackPolicy : string|Object // [optional] Path to a stack policy JSON file, or the policy itself.<br>
+ *    rollbackTriggers       : Array  // [optional] CloudWatch alarm ARNs that roll back the stack operation when they go into ALARM.<br>
+ *    rollbackMonitoringTime : number // [optional] Minutes to keep monitoring the rollback triggers after the operation.<br>
+ *    notificationArns : Array // [optional] SNS topic ARNs to send stack events to.<br>
+ *    onFailure       : string  // [optional] Action when stack creation fails - 'ROLLBACK', 'DELETE' or 'DO_NOTHING' (defaults to 'DO_NOTHING').<br>
+ *    disableRollback : boolean // [optional] Keep successfully updated resources when an update fails instead of rolling back.<br>
+ *    resourcesToSkip : Array   // [optional] Resources to skip when continuing the rollback of a stack in UPDATE_ROLLBACK_FAILED.<br>
+ *    waitForInProgress : boolean // [optional] Wait for an operation already in progress on the stack to complete (defaults to true).<br>
+ *    onEvent  : function    // [optional] Called with each new stack event (including nested stacks) while waiting.<br>
+ *    maxWait  : number      // [optional] Maximum time to wait for each stack/change set operation in milliseconds.<br>
+ *    signal   : AbortSignal // [optional] Stop waiting for stack/change set operations when aborted.<br>
  * }<br>
  * </p>
  * @param name fully qualified stack name
  * @param script path to stack template
- * @param parameters complete listing of stack inputs
- * @param options upsert options  (review, s3Bucket, s3Prefix)
+ * @param parameters complete listing of stack inputs, a map of parameter name to value or the path to a parameters
+ *                   file (see stackParameters.loadParameters). Values may be 'ssm:/name' or 'stack:name.OutputKey' references.
+ * @param options upsert options  (review, reviewFile, reviewExitCode, s3Bucket, s3Prefix, validateParameters, usePreviousValues,
+ *                tags, defaultTags, terminationProtection, stackPolicy, rollbackTriggers, rollbackMonitoringTime, notificationArns,
+ *                onFailure, disableRollback, resourcesToSkip, waitForInProgress, lock, audit, onEvent, maxWait, signal)
  * @return {Promise}
  */
 async function upsertStack(name, script, parameters, options) {
@@ -45,89 +266,262 @@ async function upsertStack(name, script, parameters, options) {
   } else {
     options = options || {};
   }
+  if (options.onFailure && !ON_FAILURE_ACTIONS.includes(options.onFailure)) {
+    throw new Error(`Unknown onFailure action '${options.onFailure}', expected one of ${ON_FAILURE_ACTIONS.join(', ')}`);
+  }
+  if (options.lock) {
+    return await lock.withLock(name, getLockOptions(options, 'upsertStack'),
+      async () => await upsertStack(name, script, parameters, Object.assign({}, options, { lock: false })));
+  }
 
+  const isTemplateUrl = isRemoteTemplate(script);
+  if (!isTemplateUrl && !fs.existsSync(script)) {
+    throw new Error(`${script} does not exist!`);
+  }
+  const body = isTemplateUrl ? undefined : fs.readFileSync(script, 'utf-8');
+  if (options.validateTemplate && !isTemplateUrl) {
+    lintStackTemplate(script, body, {
+      requiredOutputs: options.requiredOutputs,
+      s3Upload: !!(options.s3Bucket || options.artifactBucket || config.getArtifactBucket())
+    });
+  }
+
+  const parsed = isTemplateUrl ? undefined : template.parseTemplate(body);
   let containsTransforms = options.hasOwnProperty('containsTransforms')
     ? options.containsTransforms
-    : /Transform\"?\s*:\s*\"?AWS::Serverless/.test(fs.readFileSync(script, 'utf-8'));
+    : !isTemplateUrl && template.getTransforms(parsed).length > 0;
 
-  if (options.s3Bucket) {
-    await s3.putS3Object({
-      Bucket: options.s3Bucket,
-      Key: `${options.s3Prefix}${script}`,
-      Body: fs.createReadStream(script)
-    });
-    return await upsertStack(
-      name,
-      `https://s3.amazonaws.com/${options.s3Bucket}/${options.s3Prefix}${script}`,
-      parameters,
-      { review: options.review === true, containsTransforms: containsTransforms }
-    );
-  }
+  const pollOptions = { onEvent: options.onEvent, maxWait: options.maxWait, signal: options.signal };
 
   let params = {
     StackName: name,
-    Capabilities: [
-      'CAPABILITY_IAM',
-      'CAPABILITY_NAMED_IAM',
-      'CAPABILITY_AUTO_EXPAND'
-    ],
-    Parameters: parameters
+    Parameters: stackParameters.loadParameters(parameters)
   };
+  const capabilities = await getStackCapabilities(name, script, parsed, Object.assign({ containsTransforms }, options));
+  if (capabilities.length > 0) {
+    params.Capabilities = capabilities;
+  }
+  Object.assign(params, await getTemplateLocation(script, body, options));
 
-  if (script.substring(0, 10) === 'https://s3') {
-    params.TemplateURL = script;
-  } else {
-    if (!fs.existsSync(script)) {
-      throw new Error(`${script} does not exist!`);
-    }
-    params.TemplateBody = fs.readFileSync(script).toString();
+  const tags = getStackTags(options);
+  if (tags.length > 0) {
+    params.Tags = tags;
+  }
+  if (options.notificationArns) {
+    params.NotificationARNs = options.notificationArns;
+  }
+  if (options.rollbackTriggers) {
+    params.RollbackConfiguration = {
+      RollbackTriggers: options.rollbackTriggers.map(arn => ({ Arn: arn, Type: 'AWS::CloudWatch::Alarm' })),
+      MonitoringTimeInMinutes: options.rollbackMonitoringTime
+    };
   }
 
   const executeUpdate = async function () {
+    const updateParams = options.disableRollback === undefined
+      ? params
+      : Object.assign({}, params, { DisableRollback: options.disableRollback });
     if (containsTransforms) {
       config.logger.info('Stack contains transforms, deploying via change set...');
-      delete params.DisableRollback;
       return await applyChangeSet(Object.assign({},
-        params,
+        updateParams,
         {
           ChangeSetName: generateChangeSetName(),
           ChangeSetType: 'UPDATE'
         }
-      ));
+      ), pollOptions);
     } else {
-      return await updateStack(params);
+      return await updateStack(updateParams, pollOptions);
     }
   };
 
   const cf = new CloudFormationClient(config.AWS.clientConfig);
 
+  let existing;
   try {
-    await cf.send(new DescribeStacksCommand({ StackName: name }));
+    const data = await cf.send(new DescribeStacksCommand({ StackName: name }));
+    existing = (data && data.Stacks && data.Stacks[0]) || {};
   } catch (err) {
-    if (containsTransforms) {
-      config.logger.info('Stack contains transforms, deploying via change set...');
-      delete params.DisableRollback;
-      return await applyChangeSet(Object.assign({},
-        params,
-        {
-          ChangeSetName: generateChangeSetName(),
-          ChangeSetType: 'CREATE'
+    existing = undefined;
+  }
+
+  // Validate parameters before waiting for or recovering the stack, so mistakes are reported straight away
+  let declarations;
+  const references = getParameterReferences(params.Parameters);
+  if (params.Parameters) {
+    declarations = options.validateParameters !== false ? await getTemplateParameters(script, body) : undefined;
+    params.Parameters = await resolveParameters(params.Parameters, declarations || {});
+  }
+  const resolved = params.Parameters;
+  const validate = stack => stackParameters.validateParameters(
+    declarations,
+    resolved,
+    stack && options.usePreviousValues ? stack.Parameters : undefined
+  );
+  if (resolved && declarations) {
+    params.Parameters = validate(existing);
+  }
+
+  let pendingCreate = false;
+  if (existing) {
+    existing = await recoverStack(name, existing, Object.assign({
+      resourcesToSkip: options.resourcesToSkip,
+      waitForInProgress: options.waitForInProgress
+    }, pollOptions));
+    // A stack in REVIEW_IN_PROGRESS only has a CREATE change set that was never executed, it still has to be created
+    if (existing && existing.StackStatus === 'REVIEW_IN_PROGRESS') {
+      config.logger.info(`Stack ${name} has not been created yet (REVIEW_IN_PROGRESS), creating it via change set...`);
+      pendingCreate = true;
+      existing = undefined;
+    }
+    // Previous values are those of the stack once recovered (or none if it still has to be created)
+    if (resolved && declarations) {
+      params.Parameters = validate(existing);
+    }
+  }
+
+  const deploy = async function () {
+    if (!existing) {
+      if (containsTransforms || pendingCreate) {
+        if (containsTransforms) {
+          config.logger.info('Stack contains transforms, deploying via change set...');
+        }
+        // Like createStack, a failed create is kept for troubleshooting unless onFailure says otherwise
+        return await applyChangeSet(Object.assign({},
+          params,
+          {
+            ChangeSetName: generateChangeSetName(),
+            ChangeSetType: 'CREATE',
+            OnStackFailure: options.onFailure || 'DO_NOTHING'
+          }
+        ), pollOptions);
+      } else {
+        return await createStack(options.onFailure ? Object.assign({}, params, { OnFailure: options.onFailure }) : params, pollOptions);
+      }
+    }
+
+    if (options.review) {
+      const policy = getReviewPolicy(options.review);
+
+      config.logger.info('Stack exists, creating changeset for review...');
+      let csParams = {
+        StackName: params.StackName,
+        ChangeSetName: 'cf-utils-' + params.StackName + '-preview' + (policy === 'file' ? '-' + (Date.now() / 1000 | 0) : '')
+      };
+      const created = await createChangeSet(Object.assign({}, params, csParams, {
+        IncludeNestedStacks: true
+      }), pollOptions);
+      if (created) {
+        const approved = await reviewPendingChangeSet(csParams, policy, options);
+        if (approved === undefined) {
+          return;
         }
-      ));
+        config.logger.info('Cleaning up review change set....');
+        await deleteChangeSet(csParams, pollOptions);
+        if (approved) {
+          config.logger.info('Reviewer has accepted updates, continuing with stack update...');
+          return await executeUpdate();
+        } else {
+          throw new Error('Reviewer rejected stack update');
+        }
+      } else {
+        config.logger.info('There are no changes to apply, continuing....');
+        return await pollStack(params, Object.assign({}, pollOptions, { successStatus: ['REVIEW_IN_PROGRESS'] }));
+      }
     } else {
-      return await createStack(params);
+      config.logger.info('Stack exists, updating...');
+      return await executeUpdate();
     }
+  };
+
+  const details = { template: script, body: body, parameters: params.Parameters, declarations: declarations, references: references };
+  return await auditOperation('upsertStack', name, details, options, async () => {
+    const result = await deploy();
+    await applyStackSettings(name, options, existing);
+    return result;
+  });
+}
+
+/**
+ * Get the deployment lock options of a stack operation
+ * @param options operation options (lock)
+ * @param operation operation name
+ * @return {Object} lock options (see lock.acquireLock)
+ */
+function getLockOptions(options, operation) {
+  return Object.assign({ operation }, typeof options.lock === 'object' ? options.lock : {});
+}
+
+/**
+ * Run a stack operation, recording it in the audit log unless options.audit is false
+ * @param operation operation name
+ * @param name fully qualified stack name
+ * @param details operation details for the audit record (see audit.recordOperation)
+ * @param options [optional] operation options (audit)
+ * @param fn async function running the operation
+ * @return {Promise} result of the operation
+ */
+async function auditOperation(operation, name, details, options, fn) {
+  if (options && options.audit === false) {
+    return await fn();
   }
+  return await audit.recordOperation(operation, name, details, fn);
+}
 
-  if (options.review) {
-    config.logger.info('Stack exists, creating changeset for review...');
-    let csParams = {
-      StackName: params.StackName,
-      ChangeSetName: 'cf-utils-' + params.StackName + '-preview'
-    };
-    const cs = await createChangeSet(Object.assign({}, params, csParams));
-    if (cs) {
-      config.logger.info({ ChangeSet: cs });
+/**
+ * Get the review policy for a review option
+ * @param review review option (true or a policy name)
+ * @return {string} review policy
+ */
+function getReviewPolicy(review) {
+  const policy = review === true ? 'prompt' : review;
+  if (!REVIEW_POLICIES.includes(policy)) {
+    throw new Error(`Unknown review policy '${policy}', expected one of ${REVIEW_POLICIES.join(', ')}`);
+  }
+  return policy;
+}
+
+/**
+ * Describe and log a change set, then review it according to the review policy. With the 'file' policy the
+ * change set is written to options.reviewFile and kept pending approval, and the process exits.
+ * @param csParams change set name and stack name
+ * @param policy review policy
+ * @param options review options (reviewFile, reviewExitCode)
+ * @return {Promise.<boolean|undefined>} true if approved, false if rejected, undefined if kept pending approval
+ */
+async function reviewPendingChangeSet(csParams, policy, options) {
+  const cs = await describeChangeSet(csParams);
+  config.logger.info('\n' + changeSetFormatter.formatChangeSet(cs, 'text'));
+  if (policy === 'file') {
+    const file = options.reviewFile || `cf-utils-${csParams.StackName}-changeset.json`;
+    writeChangeSetReview(cs, file);
+    config.logger.info(`Change set ${cs.ChangeSetName} kept pending approval, review written to ${file}`);
+    await exitProcess(options.reviewExitCode || REVIEW_PENDING_EXIT_CODE, 'PENDING_REVIEW');
+    return undefined;
+  }
+  return await reviewChangeSet(cs, policy);
+}
+
+/**
+ * Decide whether a change set should be executed according to the review policy
+ * @param cs AWS describeChangeSet result
+ * @param policy review policy ('prompt', 'approve' or 'reject-destructive')
+ * @return {Promise.<boolean>} true if the change set was approved
+ */
+async function reviewChangeSet(cs, policy) {
+  switch (policy) {
+    case 'approve':
+      config.logger.info('Change set automatically approved');
+      return true;
+    case 'reject-destructive': {
+      const destructive = changeSetFormatter.listResourceChanges(cs)
+        .filter(change => change.Action === 'Remove' || ['True', 'Conditional'].includes(change.Replacement));
+      destructive.forEach(change => config.logger.warn(
+        `${change.Stack ? change.Stack + '/' : ''}${change.LogicalResourceId} (${change.ResourceType}) will be ` +
+        (change.Action === 'Remove' ? 'removed' : 'replaced')));
+      return destructive.length === 0;
+    }
+    default: {
       const response = await inquirer.prompt([
         {
           type: 'confirm',
@@ -136,42 +530,371 @@ async function upsertStack(name, script, parameters, options) {
           default: false
         }
       ]);
-      config.logger.info('Cleaning up review change set....');
-      await deleteChangeSet(csParams);
-      if (response.performUpdate) {
-        config.logger.info('Reviewer has accepted updates, continuing with stack update...');
-        return await executeUpdate();
-      } else {
-        throw new Error('Reviewer rejected stack update');
-      }
-    } else {
-      config.logger.info('There are no changes to apply, continuing....');
-      return await pollStack(params);
+      return response.performUpdate;
+    }
+  }
+}
+
+/**
+ * Write a change set to file for review (Markdown if the file ends with .md, otherwise JSON)
+ * @param cs AWS describeChangeSet result
+ * @param file path of the review file
+ */
+function writeChangeSetReview(cs, file) {
+  fs.writeFileSync(file, changeSetFormatter.formatChangeSet(cs, /\.md$/i.test(file) ? 'markdown' : 'json'));
+}
+
+/**
+ * Check if a template is referenced by URL (i.e. already in S3) rather than by a local path
+ * @param script path or URL of the template
+ * @return {boolean}
+ */
+function isRemoteTemplate(script) {
+  return /^https:\/\//i.test(script);
+}
+
+/**
+ * Get the capabilities to deploy a stack with: options.capabilities if given, otherwise only the capabilities the
+ * template requires (as reported by ValidateTemplate for templates in S3). When a named IAM allowlist is configured,
+ * stacks requiring CAPABILITY_NAMED_IAM must be on it.
+ * @param name stack or stack set name
+ * @param script path or URL of the template
+ * @param parsed [optional] parsed template (local templates)
+ * @param options upsert options (capabilities, namedIamAllowlist, containsTransforms)
+ * @return {Promise.<Array.<string>>}
+ */
+async function getStackCapabilities(name, script, parsed, options) {
+  let capabilities = options.capabilities;
+  if (!capabilities && parsed !== undefined) {
+    capabilities = template.getRequiredCapabilities(parsed, path.dirname(script));
+  } else if (!capabilities) {
+    const cf = new CloudFormationClient(config.AWS.clientConfig);
+    const data = await cf.send(new ValidateTemplateCommand({ TemplateURL: script }));
+    capabilities = ((data && data.Capabilities) || []).slice();
+    if (options.containsTransforms && !capabilities.includes('CAPABILITY_AUTO_EXPAND')) {
+      capabilities.push('CAPABILITY_AUTO_EXPAND');
+    }
+  }
+
+  const allowlist = options.namedIamAllowlist || config.getNamedIamAllowlist();
+  if (allowlist && capabilities.includes('CAPABILITY_NAMED_IAM') && !allowlist.some(pattern => matchesPattern(name, pattern))) {
+    throw new Error(`${name} requires CAPABILITY_NAMED_IAM but is not on the named IAM allowlist`);
+  }
+  return capabilities;
+}
+
+/**
+ * Check if a name matches a pattern, where * matches any characters
+ * @param name name to check
+ * @param pattern exact name or pattern (e.g. acme-toasters-*-iam)
+ * @return {boolean}
+ */
+function matchesPattern(name, pattern) {
+  const expression = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${expression}$`).test(name);
+}
+
+/**
+ * Get the template location params for a stack operation. Local templates are uploaded to S3 when s3Bucket is set,
+ * or when they are over the inline size limit and an artifact bucket is configured. Uploads use a content-hash key
+ * and a region specific URL, unchanged templates are not uploaded again.
+ * @param script path or URL of the template
+ * @param body [optional] template body (local templates)
+ * @param options upsert options (s3Bucket, s3Prefix, artifactBucket)
+ * @return {Promise.<Object>} { TemplateURL } or { TemplateBody }
+ */
+async function getTemplateLocation(script, body, options) {
+  if (body === undefined) {
+    return { TemplateURL: script };
+  }
+  const size = Buffer.byteLength(body, 'utf-8');
+  const oversized = size > template.TEMPLATE_BODY_LIMIT;
+  const bucket = options.s3Bucket || (oversized ? options.artifactBucket || config.getArtifactBucket() : undefined);
+  if (!bucket) {
+    if (oversized) {
+      throw new Error(`${script} is ${size} bytes, over the ${template.TEMPLATE_BODY_LIMIT} byte limit for inline templates. ` +
+        'Set s3Bucket or config.ARTIFACT_BUCKET to upload it to S3');
+    }
+    return { TemplateBody: body };
+  }
+
+  const key = (options.s3Prefix || '') + crypto.createHash('sha256').update(body).digest('hex') + path.extname(script);
+  if (await s3.objectExists(bucket, key)) {
+    config.logger.info(`s3://${bucket}/${key} already exists, skipping template upload`);
+  } else {
+    await s3.putS3Object({ Bucket: bucket, Key: key, Body: body });
+    config.logger.info(`Uploaded ${script} to s3://${bucket}/${key}`);
+  }
+  return { TemplateURL: s3.getObjectUrl(bucket, key) };
+}
+
+/**
+ * Validate a template with the CloudFormation ValidateTemplate API and the offline checks of template.lintTemplate
+ * (unresolved references, unused parameters, required outputs, size and section limits, required capabilities).
+ * Lint warnings are logged, lint errors fail validation before AWS is called.
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    requiredOutputs : Array   // [optional] Output keys the template must declare.<br>
+ *    capabilities    : Array   // [optional] Capabilities the stack is deployed with.<br>
+ *    s3Upload        : boolean // [optional] The template will be uploaded to S3 (the inline size limit does not apply).<br>
+ *    offline         : boolean // [optional] Only run the offline checks.<br>
+ * }<br>
+ * </p>
+ * @param script path or S3 URL of the template (templates in S3 are only checked by the API)
+ * @param options [optional] validation options (requiredOutputs, capabilities, s3Upload, offline)
+ * @return {Promise} { Description, Parameters, Capabilities, CapabilitiesReason, Warnings, Size }
+ */
+async function validateTemplate(script, options) {
+  options = options || {};
+  const isTemplateUrl = isRemoteTemplate(script);
+  let result = { Capabilities: [], Warnings: [] };
+  let body;
+  if (!isTemplateUrl) {
+    if (!fs.existsSync(script)) {
+      throw new Error(`${script} does not exist!`);
     }
+    body = fs.readFileSync(script, 'utf-8');
+    const lint = lintStackTemplate(script, body, options);
+    result = { Capabilities: lint.capabilities, Warnings: lint.warnings, Size: lint.size };
+  }
+  if (options.offline) {
+    return result;
+  }
+  if (body && result.Size > template.TEMPLATE_BODY_LIMIT) {
+    config.logger.info(`${script} is too large to validate inline, skipping ValidateTemplate`);
+    return result;
+  }
+
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  const data = (await cf.send(new ValidateTemplateCommand(isTemplateUrl ? { TemplateURL: script } : { TemplateBody: body }))) || {};
+  return Object.assign(result, {
+    Description: data.Description,
+    Parameters: data.Parameters || [],
+    Capabilities: Array.from(new Set(result.Capabilities.concat(data.Capabilities || []))),
+    CapabilitiesReason: data.CapabilitiesReason
+  });
+}
+
+/**
+ * Lint a template, logging warnings and failing on errors. Local nested stack templates are resolved relative to
+ * the template's directory.
+ * @param script path of the template (used in messages)
+ * @param body template body
+ * @param options lint options (requiredOutputs, capabilities, s3Upload)
+ * @return {Object} lint result
+ */
+function lintStackTemplate(script, body, options) {
+  const lint = template.lintTemplate(body, Object.assign({ baseDir: path.dirname(script) }, options));
+  lint.warnings.forEach(warning => config.logger.warn(`${script} - ${warning}`));
+  if (lint.errors.length > 0) {
+    throw new Error(`Invalid template ${script}:\n` + lint.errors.join('\n'));
+  }
+  return lint;
+}
+
+/**
+ * Get the parameter declarations of a template. Templates in S3 are inspected with ValidateTemplate,
+ * which only reports each parameter's default value.
+ * @param script path or S3 URL of the template
+ * @param body [optional] template body (local templates)
+ * @return {Promise.<Object>} map of parameter name to declaration
+ */
+async function getTemplateParameters(script, body) {
+  if (body !== undefined) {
+    return template.getParameters(template.parseTemplate(body));
+  }
+
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  const data = await cf.send(new ValidateTemplateCommand({ TemplateURL: script }));
+  return ((data && data.Parameters) || []).reduce((declarations, parameter) => {
+    declarations[parameter.ParameterKey] = parameter.DefaultValue === undefined ? {} : { Default: parameter.DefaultValue };
+    return declarations;
+  }, {});
+}
+
+/**
+ * Build the tag listing for a stack from the tags option (map or listing) and, if requested, the default tags from config
+ * @param options upsert options (tags, defaultTags)
+ * @return {Array} AWS tag listing
+ */
+function getStackTags(options) {
+  const tags = Object.assign({}, options.defaultTags ? config.getDefaultTags() : {});
+  if (Array.isArray(options.tags)) {
+    options.tags.forEach(tag => tags[tag.Key] = tag.Value);
   } else {
-    config.logger.info('Stack exists, updating...');
-    return await executeUpdate();
+    Object.assign(tags, options.tags);
+  }
+  return Object.keys(tags).map(key => ({ Key: key, Value: String(tags[key]) }));
+}
+
+/**
+ * Apply the stack settings that cannot be passed to every stack/change set operation: termination protection
+ * and the stack policy.
+ * @param name fully qualified stack name
+ * @param options upsert options (terminationProtection, stackPolicy)
+ * @param existing [optional] stack details before the operation
+ * @return {Promise}
+ */
+async function applyStackSettings(name, options, existing) {
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+
+  if (options.terminationProtection !== undefined) {
+    const enable = Array.isArray(options.terminationProtection)
+      ? options.terminationProtection.includes(config.ENVIRONMENT_STAGE)
+      : Boolean(options.terminationProtection);
+    if (enable !== Boolean(existing && existing.EnableTerminationProtection)) {
+      await cf.send(new UpdateTerminationProtectionCommand({ StackName: name, EnableTerminationProtection: enable }));
+      config.logger.info(`Termination protection ${enable ? 'enabled' : 'disabled'} for ${name}`);
+    }
+  }
+
+  if (options.stackPolicy) {
+    const policy = typeof options.stackPolicy === 'string'
+      ? fs.readFileSync(options.stackPolicy, 'utf-8')
+      : JSON.stringify(options.stackPolicy);
+    await cf.send(new SetStackPolicyCommand({ StackName: name, StackPolicyBody: policy }));
+    config.logger.info(`Stack policy applied to ${name}`);
+  }
+}
+
+/**
+ * Get an existing stack into a state it can be updated from: operations in progress (e.g. UPDATE_IN_PROGRESS or
+ * ROLLBACK_IN_PROGRESS) are waited for, stacks whose creation failed and rolled back (ROLLBACK_COMPLETE) are deleted
+ * so they can be created again, and the rollback of stacks in UPDATE_ROLLBACK_FAILED is continued. Stacks that can
+ * only be deleted (ROLLBACK_FAILED, DELETE_FAILED) are rejected.
+ * @param name fully qualified stack name
+ * @param stack stack details
+ * @param options poll options, waitForInProgress and resourcesToSkip (continueUpdateRollback)
+ * @return {Promise} stack details once recovered, undefined if the stack was deleted
+ */
+async function recoverStack(name, stack, options) {
+  // A stack in REVIEW_IN_PROGRESS has no operation in progress, it is waiting for its change set to be executed
+  if (stack.StackStatus !== 'REVIEW_IN_PROGRESS' && !STACK_TERMINAL_STATUS.hasOwnProperty(stack.StackStatus)) {
+    if (options.waitForInProgress === false) {
+      throw new Error(`Stack ${name} is ${stack.StackStatus}, wait for the operation in progress to complete and try again`);
+    }
+    config.logger.warn(`Stack ${name} is ${stack.StackStatus}, waiting for the operation in progress to complete...`);
+    // Any terminal status ends the wait, the operation in progress is not ours to cancel on Ctrl+C
+    const data = await pollStack({ StackName: name }, Object.assign({}, options, {
+      stackId: stack.StackId,
+      successStatus: Object.keys(STACK_TERMINAL_STATUS),
+      onInterrupt: 'exit'
+    }));
+    if (!data) {
+      return undefined;
+    }
+    stack = data.Stacks[0];
+  }
+
+  switch (stack.StackStatus) {
+    case 'ROLLBACK_COMPLETE':
+      config.logger.warn(`Stack ${name} failed to create and was rolled back, deleting it before creating it again...`);
+      await deleteStack(name, options);
+      return undefined;
+    case 'UPDATE_ROLLBACK_FAILED':
+      config.logger.warn(`Stack ${name} failed to roll back an update, continuing the rollback...`);
+      await continueUpdateRollback(name, options);
+      return await describeStack(name);
+    case 'ROLLBACK_FAILED':
+    case 'DELETE_FAILED':
+      throw new Error(`Stack ${name} is ${stack.StackStatus} and cannot be updated, delete the stack and try again`);
+    default:
+      return stack;
   }
 }
 
 /**
- * Create a stack
+ * Resolve parameter values referencing the parameter store (ssm:/name) or another stack's outputs (stack:name.OutputKey).
+ * Resolved values are logged, masked if they are SecureString parameters or the template declares them NoEcho.
+ * @param parameters AWS parameter listing
+ * @param declarations map of parameter name to template declaration
+ * @return {Promise.<Array>} AWS parameter listing with references replaced by their values
+ */
+async function resolveParameters(parameters, declarations) {
+  return await Promise.all(parameters.map(async parameter => {
+    const reference = stackParameters.parseReference(parameter.ParameterValue);
+    if (!reference) {
+      return parameter;
+    }
+
+    const declaration = declarations[parameter.ParameterKey] || {};
+    let secret = String(declaration.NoEcho) === 'true';
+    let value;
+    if (reference.type === 'ssm') {
+      const ssmParameter = await parameterStore.getParameter(reference.name);
+      secret = secret || ssmParameter.Type === 'SecureString';
+      value = ssmParameter.Value;
+    } else {
+      const outputs = await describeOutput(reference.stackName);
+      if (!outputs.hasOwnProperty(reference.outputKey)) {
+        throw new Error(`Parameter ${parameter.ParameterKey} references unknown output ${reference.outputKey} of stack ${reference.stackName}`);
+      }
+      value = outputs[reference.outputKey];
+    }
+
+    config.logger.info(`Resolved parameter ${parameter.ParameterKey} from ${parameter.ParameterValue}: ${secret ? '****' : value}`);
+    return Object.assign({}, parameter, { ParameterValue: value });
+  }));
+}
+
+/**
+ * Get the parameters whose values reference the parameter store or another stack's outputs, so the references
+ * rather than the resolved (possibly secret) values can be recorded
+ * @param parameters [optional] AWS parameter listing
+ * @return {Object} map of parameter name to reference (e.g. ssm:/name)
+ */
+function getParameterReferences(parameters) {
+  return (parameters || []).reduce((references, parameter) => {
+    if (stackParameters.parseReference(parameter.ParameterValue)) {
+      references[parameter.ParameterKey] = parameter.ParameterValue;
+    }
+    return references;
+  }, {});
+}
+
+/**
+ * Create a stack. Rollback is disabled unless OnFailure or DisableRollback is specified.
  * @param params AWS createStack params
+ * @param options [optional] poll options (onEvent, maxWait, signal)
  * @return {Promise}
  */
-async function createStack(params) {
-  params.DisableRollback = true;
+async function createStack(params, options) {
+  if (params.OnFailure === undefined && params.DisableRollback === undefined) {
+    params.DisableRollback = true;
+  }
+  const since = new Date();
   const cf = new CloudFormationClient(config.AWS.clientConfig);
-  await cf.send(new CreateStackCommand(params));
-  return await pollStack(params);
+  const data = await cf.send(new CreateStackCommand(params));
+  const result = await pollStack(params, Object.assign({}, options, { since }));
+  if (!result && params.OnFailure === 'DELETE') {
+    await throwDeletedStackFailure(data && data.StackId, params.StackName, since);
+  }
+  return result;
+}
+
+/**
+ * Throw the failures of a stack that was deleted because its creation failed (OnFailure DELETE)
+ * @param stackId [optional] id of the deleted stack
+ * @param stackName stack name
+ * @param since time the stack operation started
+ * @return {Promise}
+ */
+async function throwDeletedStackFailure(stackId, stackName, since) {
+  const failures = await findStackFailures(stackId || stackName, since);
+  const error = new StackOperationError({ StackId: stackId, StackName: stackName, StackStatus: 'DELETE_COMPLETE' }, failures);
+  config.logger.warn(error.message);
+  throw error;
 }
 
 /**
  * Update a stack
  * @param params AWS updateStack params
+ * @param options [optional] poll options (onEvent, maxWait, signal)
  * @return {Promise}
  */
-async function updateStack(params) {
+async function updateStack(params, options) {
+  const since = new Date();
   const cf = new CloudFormationClient(config.AWS.clientConfig);
   try {
     await cf.send(new UpdateStackCommand(params));
@@ -182,7 +905,7 @@ async function updateStack(params) {
       throw err;
     }
   }
-  return await pollStack(params);
+  return await pollStack(params, Object.assign({}, options, { since }));
 }
 
 
@@ -196,89 +919,258 @@ function generateChangeSetName() {
 
 /**
  * Update a stack by creating and executing a change set (used with templates with transforms)
- * @param params AWS createChangeSet params
+ * @param params AWS createChangeSet params (DisableRollback is passed on to executeChangeSet)
+ * @param options [optional] poll options (onEvent, maxWait, signal)
  */
-async function applyChangeSet(params) {
-  const cs = await createChangeSet(params);
+async function applyChangeSet(params, options) {
+  const createParams = Object.assign({}, params);
+  delete createParams.DisableRollback;
+  const cs = await createChangeSet(createParams, options);
   if (cs) {
     let csParams = {
       StackName: cs.StackName, ChangeSetName: cs.ChangeSetName
     };
-    return await executeChangeSet(csParams);
+    if (params.DisableRollback !== undefined) {
+      csParams.DisableRollback = params.DisableRollback;
+    }
+    const since = new Date();
+    const result = await runChangeSet(csParams, options);
+    if (!result && params.OnStackFailure === 'DELETE') {
+      await throwDeletedStackFailure(cs.StackId, cs.StackName, since);
+    }
+    return result;
   }
 }
 
 /**
  * Create a change set for the specified stack
  * @param params AWS createChangeSet params
+ * @param options [optional] poll options (maxWait, signal)
  * @return {Promise}
  */
-async function createChangeSet(params) {
+async function createChangeSet(params, options) {
   const cf = new CloudFormationClient(config.AWS.clientConfig);
   await cf.send(new CreateChangeSetCommand(params));
-  return await pollChangeSet(params);
+  return await pollChangeSet(params, options);
 }
 
 /**
- * Execute the specified change set for the underlying stack
+ * Describe a change set, paging through all changes and attaching the description of each nested stack
+ * change set as ResourceChange.NestedChangeSet
+ * @param params AWS describeChangeSet params (ChangeSetName and StackName, or ChangeSetName as an ARN)
+ * @return {Promise}
+ */
+async function describeChangeSet(params) {
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+
+  let cs;
+  let nextToken;
+  do {
+    // Property values are only returned by DescribeChangeSet when asked for
+    const input = { ChangeSetName: params.ChangeSetName, IncludePropertyValues: true };
+    if (params.StackName) {
+      input.StackName = params.StackName;
+    }
+    if (nextToken) {
+      input.NextToken = nextToken;
+    }
+    const data = await cf.send(new DescribeChangeSetCommand(input));
+    if (cs) {
+      cs.Changes = cs.Changes.concat(data.Changes || []);
+    } else {
+      cs = Object.assign({}, data, { Changes: data.Changes || [] });
+    }
+    nextToken = data.NextToken;
+  } while (nextToken);
+  delete cs.NextToken;
+
+  for (const change of cs.Changes) {
+    const resourceChange = change.ResourceChange;
+    if (resourceChange && resourceChange.ResourceType === 'AWS::CloudFormation::Stack' && resourceChange.ChangeSetId) {
+      resourceChange.NestedChangeSet = await describeChangeSet({ ChangeSetName: resourceChange.ChangeSetId });
+    }
+  }
+  return cs;
+}
+
+/**
+ * Execute the specified change set for the underlying stack, recording it in the audit log
  * @param params AWS executeChangeSet params
+ * @param options [optional] poll options (onEvent, maxWait, signal) and audit
  * @return {Promise}
  */
-async function executeChangeSet(params) {
+async function executeChangeSet(params, options) {
+  return await auditOperation('executeChangeSet', params.StackName, { changeSetName: params.ChangeSetName }, options,
+    async () => await runChangeSet(params, options));
+}
+
+/**
+ * Execute a change set and wait for the stack operation to complete
+ * @param params AWS executeChangeSet params
+ * @param options [optional] poll options (onEvent, maxWait, signal)
+ * @return {Promise}
+ */
+async function runChangeSet(params, options) {
+  const since = new Date();
   const cf = new CloudFormationClient(config.AWS.clientConfig);
   await cf.send(new ExecuteChangeSetCommand(params));
-  return await pollStack(params);
+  return await pollStack(params, Object.assign({}, options, { since }));
 }
 
 /**
- * Deploy stack with transforms using CLI.
+ * Package and deploy a stack (e.g. SAM templates with local CodeUri paths) without the AWS CLI.
+ * <p>
+ * Local artifacts referenced by the template (and nested templates) are uploaded to s3Bucket using content-hash
+ * keys, the template is rewritten to reference them and the stack is then deployed via a change set. Unless
+ * capabilities is set, the capabilities are those required by the source template and its local nested templates.
+ * Other options are passed on to upsertStack.<br>
+ * {<br>
+ *    s3Bucket : string // Bucket to upload artifacts to (required if the template references local artifacts).<br>
+ *    s3Prefix : string // [optional] Key prefix for uploaded artifacts.<br>
+ * }<br>
+ * </p>
  * @param name fully qualified stack name
  * @param script full path to stack template
  * @param parameters complete listing of stack inputs
+ * @param options [optional] deploy options (s3Bucket, s3Prefix and upsertStack options)
  * @return {Promise}
  */
-async function deployStack(name, script, parameters) {
-  let params = '';
-  if (parameters && parameters.length > 0) {
-    for (let i = 0; i < parameters.length; i++) {
-      params += `${parameters[i].ParameterKey}="${parameters[i].ParameterValue}" `;
-    }
-  }
-
-  const cli = spawn('aws',
-    [
-      'cloudformation', 'deploy',
-      '--profile', config.AWS_PROFILE,
-      '--region', config.AWS_REGION,
-      '--template-file', script,
-      '--stack-name', name,
-      '--capabilities', 'CAPABILITY_IAM', 'CAPABILITY_NAMED_IAM',
-      ' --parameter-overrides', params
-    ],
-    { shell: true }
-  );
+async function deployStack(name, script, parameters, options) {
+  options = options || {};
+  // Packaging replaces local nested templates by URLs, which can no longer be inspected for the capabilities they need
+  const capabilities = options.capabilities ||
+    template.getRequiredCapabilities(template.loadTemplate(script).template, path.dirname(script));
+  const body = await packager.packageTemplate(script, { s3Bucket: options.s3Bucket, s3Prefix: options.s3Prefix });
 
-  let err = '';
-  cli.stdout.setEncoding('utf8'); cli.stderr.setEncoding('utf8');
-  cli.stdout.on('data', (data) => { console.log(data); });
-  cli.stderr.on('data', (data) => { console.log(data); err += data; });
-  await new Promise((resolve, reject) => {
-    cli.on('close', (code) => {
-      if (code !== 0) {
-        if (err.indexOf('No changes to deploy') >= 0) {
-          config.logger.info('There are no changes to apply, continuing....');
-        } else {
-          reject('Stack deploy failed');
-          return;
-        }
-      }
-      resolve();
-    });
-  });
+  const packaged = path.join(os.tmpdir(), `cf-utils-${name}-packaged${path.extname(script)}`);
+  fs.writeFileSync(packaged, body);
+  config.logger.info('Packaged template written to ' + packaged);
+
+  await upsertStack(name, packaged, parameters,
+    Object.assign({}, options, {
+      capabilities,
+      containsTransforms: true,
+      s3Bucket: undefined,
+      artifactBucket: options.artifactBucket || options.s3Bucket
+    }));
 
   return await describeStack(name);
 }
 
+/**
+ * Import existing resources (e.g. hand made buckets and tables) into a stack via an IMPORT change set.
+ * <p>
+ * Every imported resource must be declared by the template with a DeletionPolicy. The change set is logged and
+ * reviewed the same way upsertStack reviews updates (approved automatically unless review is set), then executed.
+ * Possible options:<br>
+ * {<br>
+ *    parameters     : Array|Object|string // [optional] Stack parameters (see upsertStack), an existing stack keeps its current values if omitted.<br>
+ *    review         : boolean|string      // [optional] Review policy for the import change set (see upsertStack).<br>
+ *    reviewFile     : string              // [optional] Review file used with the 'file' policy.<br>
+ *    reviewExitCode : number              // [optional] Exit code used with the 'file' policy.<br>
+ * }<br>
+ * </p>
+ * @param name fully qualified stack name
+ * @param script full path to the stack template, including the resources to import
+ * @param resourcesToImport AWS ResourcesToImport listing or map of logical id to resource identifier
+ *                          (e.g. { LegacyBucket: { BucketName: 'legacy-bucket' } }, the type is read from the template)
+ * @param options [optional] import options (parameters, review, reviewFile, reviewExitCode and poll options)
+ * @return {Promise}
+ */
+async function importResources(name, script, resourcesToImport, options) {
+  options = options || {};
+  if (!fs.existsSync(script)) {
+    throw new Error(`${script} does not exist!`);
+  }
+  const body = fs.readFileSync(script, 'utf-8');
+  const parsed = template.parseTemplate(body);
+  const resources = getResourcesToImport(parsed, resourcesToImport);
+  const capabilities = await getStackCapabilities(name, script, parsed, options);
+  const policy = options.review ? getReviewPolicy(options.review) : 'approve';
+  const pollOptions = { onEvent: options.onEvent, maxWait: options.maxWait, signal: options.signal };
+
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  let existing;
+  try {
+    const data = await cf.send(new DescribeStacksCommand({ StackName: name }));
+    existing = (data && data.Stacks && data.Stacks[0]) || {};
+  } catch (err) {
+    existing = undefined;
+  }
+
+  let parameters = stackParameters.loadParameters(options.parameters);
+  const references = getParameterReferences(parameters);
+  if (parameters) {
+    parameters = await resolveParameters(parameters, {});
+  } else if (existing && existing.Parameters) {
+    parameters = existing.Parameters.map(parameter => ({ ParameterKey: parameter.ParameterKey, UsePreviousValue: true }));
+  }
+
+  let csParams = {
+    StackName: name,
+    ChangeSetName: 'cf-utils-' + name + '-import-' + (Date.now() / 1000 | 0)
+  };
+  config.logger.info(`Creating change set to import ${resources.map(resource => resource.LogicalResourceId).join(', ')} into ${name}...`);
+  const created = await createChangeSet(Object.assign({}, csParams, await getTemplateLocation(script, body, options), {
+    ChangeSetType: 'IMPORT',
+    ResourcesToImport: resources
+  }, capabilities.length > 0 ? { Capabilities: capabilities } : {}, parameters ? { Parameters: parameters } : {}), pollOptions);
+  if (!created) {
+    config.logger.info('There are no resources to import, continuing....');
+    return;
+  }
+
+  const approved = await reviewPendingChangeSet(csParams, policy, options);
+  if (approved === undefined) {
+    return;
+  }
+  if (!approved) {
+    config.logger.info('Cleaning up import change set....');
+    await deleteChangeSet(csParams, pollOptions);
+    throw new Error('Reviewer rejected resource import');
+  }
+  const details = { template: script, body: body, parameters: parameters, references: references, changeSetName: csParams.ChangeSetName };
+  return await auditOperation('importResources', name, details, options,
+    async () => await runChangeSet(csParams, pollOptions));
+}
+
+/**
+ * Build the AWS ResourcesToImport listing and check it against the template: each imported resource must be
+ * declared by the template with the same type and a DeletionPolicy
+ * @param parsed parsed template
+ * @param resourcesToImport AWS ResourcesToImport listing or map of logical id to resource identifier
+ * @return {Array} AWS ResourcesToImport listing
+ */
+function getResourcesToImport(parsed, resourcesToImport) {
+  const declared = (parsed && parsed.Resources) || {};
+  const resources = Array.isArray(resourcesToImport)
+    ? resourcesToImport
+    : Object.keys(resourcesToImport || {}).map(logicalId => ({
+      ResourceType: (declared[logicalId] || {}).Type,
+      LogicalResourceId: logicalId,
+      ResourceIdentifier: resourcesToImport[logicalId]
+    }));
+
+  const errors = [];
+  if (resources.length === 0) {
+    errors.push('no resources to import');
+  }
+  resources.forEach(resource => {
+    const declaration = declared[resource.LogicalResourceId];
+    if (!declaration) {
+      errors.push(`${resource.LogicalResourceId}: not declared by the template`);
+    } else if (resource.ResourceType !== declaration.Type) {
+      errors.push(`${resource.LogicalResourceId}: type ${resource.ResourceType} does not match the template (${declaration.Type})`);
+    } else if (!declaration.DeletionPolicy) {
+      errors.push(`${resource.LogicalResourceId}: imported resources must declare a DeletionPolicy`);
+    }
+  });
+  if (errors.length > 0) {
+    throw new Error('Invalid resources to import:\n' + errors.join('\n'));
+  }
+  return resources;
+}
+
 /**
  * Describe stack
  * @param name fully qualified stack name
@@ -306,20 +1198,133 @@ async function describeOutput(name) {
  * @return {Promise.<TResult>}
  */
 function extractOutput(stack) {
-  return stack.Outputs.reduce((map, output) => {
+  return (stack.Outputs || []).reduce((map, output) => {
     map[output.OutputKey] = output.OutputValue; return map;
   }, {});
 }
 
 /**
- * Delete a stack (note: will automatically empty S3 buckets before running deleteStack operation)
+ * List the exported outputs of all stacks in the region
+ * @return {Promise.<Object>} map of export name to value
+ */
+async function listExports() {
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  const exports = {};
+  let nextToken;
+  do {
+    const data = await cf.send(new ListExportsCommand({ NextToken: nextToken }));
+    ((data && data.Exports) || []).forEach(exported => exports[exported.Name] = exported.Value);
+    nextToken = data ? data.NextToken : undefined;
+  } while (nextToken);
+  return exports;
+}
+
+/**
+ * Get the value of an exported output
+ * @param exportName export name
+ * @return {Promise.<string>} export value, undefined if there is no such export
+ */
+async function getExport(exportName) {
+  const exports = await listExports();
+  return exports[exportName];
+}
+
+/**
+ * Find the stacks importing an exported output (e.g. to warn before deleting or changing the exporting stack)
+ * @param exportName export name
+ * @return {Promise.<Array>} names of the importing stacks
+ */
+async function findImporters(exportName) {
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  let importers = [];
+  let nextToken;
+  try {
+    do {
+      const data = await cf.send(new ListImportsCommand({ ExportName: exportName, NextToken: nextToken }));
+      importers = importers.concat((data && data.Imports) || []);
+      nextToken = data ? data.NextToken : undefined;
+    } while (nextToken);
+  } catch (err) {
+    // ListImports fails rather than returning an empty listing when nothing imports the export
+    if (err.message.indexOf('is not imported by any stack') >= 0) {
+      return [];
+    }
+    throw err;
+  }
+  return importers;
+}
+
+/**
+ * Continue rolling back a stack in UPDATE_ROLLBACK_FAILED and wait for the rollback to complete
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    resourcesToSkip : Array // [optional] Logical ids of resources that cannot be rolled back and should be skipped.<br>
+ *    onEvent, maxWait, signal // [optional] poll options<br>
+ * }<br>
+ * </p>
+ * @param name fully qualified stack name
+ * @param options [optional] rollback options (resourcesToSkip, onEvent, maxWait, signal)
+ * @return {Promise}
+ */
+async function continueUpdateRollback(name, options) {
+  options = options || {};
+  let params = {
+    StackName: name
+  };
+  if (options.resourcesToSkip && options.resourcesToSkip.length > 0) {
+    params.ResourcesToSkip = options.resourcesToSkip;
+  }
+
+  const since = new Date();
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  await cf.send(new ContinueUpdateRollbackCommand(params));
+  return await pollStack({ StackName: name }, Object.assign({}, options, { since, successStatus: ['UPDATE_ROLLBACK_COMPLETE'] }));
+}
+
+/**
+ * Cancel an in-progress stack update and wait for the rollback to complete
+ * @param name fully qualified stack name
+ * @param options [optional] poll options (onEvent, maxWait, signal)
+ * @return {Promise}
+ */
+async function cancelUpdateStack(name, options) {
+  const since = new Date();
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  await cf.send(new CancelUpdateStackCommand({ StackName: name }));
+  config.logger.info(`Cancelling update of ${name}, waiting for the rollback to complete...`);
+  return await pollStack({ StackName: name }, Object.assign({}, options, { since, successStatus: ['UPDATE_ROLLBACK_COMPLETE'] }));
+}
+
+/**
+ * Delete a stack. S3 buckets and ECR repositories created by the stack (including nested stacks) are emptied
+ * first, otherwise the delete stack operation would fail. Resources with a Retain deletion policy, resources
+ * already deleted and resources listed in retainResources are left untouched.
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    retainResources : Array // [optional] Logical ids of resources to keep (only allowed for stacks in DELETE_FAILED).<br>
+ *    lock : boolean|Object   // [optional] Hold the stack's deployment lock during the delete, true or lock options (see lock.acquireLock).<br>
+ *    audit : boolean         // [optional] Record the operation in the audit log (defaults to true).<br>
+ *    onEvent, maxWait, signal // [optional] poll options<br>
+ * }<br>
+ * </p>
  * @param name fully qualified stack name
+ * @param options [optional] delete options (retainResources, lock, audit, onEvent, maxWait, signal)
  * @return {Promise}
  */
-async function deleteStack(name) {
+async function deleteStack(name, options) {
+  options = options || {};
+  if (options.lock) {
+    return await lock.withLock(name, getLockOptions(options, 'deleteStack'),
+      async () => await deleteStack(name, Object.assign({}, options, { lock: false })));
+  }
   let params = {
     StackName: name
   };
+  if (options.retainResources && options.retainResources.length > 0) {
+    params.RetainResources = options.retainResources;
+  }
 
   const cf = new CloudFormationClient(config.AWS.clientConfig);
 
@@ -334,109 +1339,466 @@ async function deleteStack(name) {
     throw err;
   }
 
-  // Check for any S3 buckets and if found empty each bucket otherwise delete stack operation will fail
-  let s3Operations = [];
-  if (data.Stacks[0].Outputs !== undefined) {
-    for (let i = 0; i < data.Stacks[0].Outputs.length; i++) {
-      if (/.*Bucket$/.test(data.Stacks[0].Outputs[i].OutputKey)) {
-        s3Operations.push(new Promise(resolve => {
-          config.logger.info('Emptying S3 bucket', data.Stacks[0].Outputs[i].OutputValue);
-          resolve(s3.emptyBucket(data.Stacks[0].Outputs[i].OutputValue));
-        }));
+  return await auditOperation('deleteStack', name, {}, options, async () => {
+    // Empty buckets and repositories otherwise delete stack operation will fail
+    const resources = await listDeletableResources(name, options.retainResources || []);
+    await Promise.all(resources.map(resource => {
+      if (resource.ResourceType === 'AWS::S3::Bucket') {
+        config.logger.info('Emptying S3 bucket', resource.PhysicalResourceId);
+        return s3.emptyBucket(resource.PhysicalResourceId);
       }
-    }
+      config.logger.info('Emptying ECR repository', resource.PhysicalResourceId);
+      return ecr.emptyRepository(resource.PhysicalResourceId);
+    }));
+
+    // Delete stack
+    const since = new Date();
+    await cf.send(new DeleteStackCommand(params));
+    return await pollStack(params, Object.assign({}, options, { since, stackId: data.Stacks[0].StackId }));
+  });
+}
+
+/**
+ * List the S3 buckets and ECR repositories of a stack (recursing into nested stacks) that will be deleted
+ * with the stack, i.e. that still exist, are not retained by their DeletionPolicy and are not in retainResources.
+ * @param stackName stack name or id
+ * @param retainResources logical ids of resources retained by the delete operation
+ * @return {Promise.<Array>} AWS StackResourceSummary listing
+ */
+async function listDeletableResources(stackName, retainResources) {
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+
+  let resources = [];
+  let nextToken;
+  do {
+    const data = await cf.send(new ListStackResourcesCommand(Object.assign({ StackName: stackName }, nextToken ? { NextToken: nextToken } : {})));
+    resources = resources.concat((data && data.StackResourceSummaries) || []);
+    nextToken = data ? data.NextToken : undefined;
+  } while (nextToken);
+
+  resources = resources.filter(resource =>
+    resource.PhysicalResourceId &&
+    resource.ResourceStatus !== 'DELETE_COMPLETE' &&
+    !retainResources.includes(resource.LogicalResourceId));
+  if (resources.length === 0) {
+    return [];
   }
 
-  // Empty buckets
-  await Promise.all(s3Operations);
+  const data = await cf.send(new GetTemplateCommand({ StackName: stackName, TemplateStage: 'Processed' }));
+  const declared = (data && data.TemplateBody && template.parseTemplate(data.TemplateBody).Resources) || {};
+  const retained = (resource) => ['Retain', 'RetainExceptOnCreate']
+    .includes((declared[resource.LogicalResourceId] || {}).DeletionPolicy);
 
-  // Delete stack
-  await cf.send(new DeleteStackCommand(params));
-  return await pollStack(params);
+  let deletable = [];
+  for (const resource of resources.filter(resource => !retained(resource))) {
+    if (resource.ResourceType === 'AWS::CloudFormation::Stack') {
+      deletable = deletable.concat(await listDeletableResources(resource.PhysicalResourceId, []));
+    } else if (['AWS::S3::Bucket', 'AWS::ECR::Repository'].includes(resource.ResourceType)) {
+      deletable.push(resource);
+    }
+  }
+  return deletable;
 }
 
 /**
  * Delete change set
  * @param params AWS deleteChangeSet params
+ * @param options [optional] poll options (maxWait, signal)
  * @return {Promise}
  */
-async function deleteChangeSet(params) {
+async function deleteChangeSet(params, options) {
   const cf = new CloudFormationClient(config.AWS.clientConfig);
   await cf.send(new DeleteChangeSetCommand(params));
-  return await pollChangeSet(params);
+  return await pollChangeSet(params, options);
 }
 
 /**
  * Poll stack status. Used to wait for stack operations to complete.
+ * <p>
+ * While waiting, new stack events (including those of nested stacks) are logged as they happen.
+ * Polls back off exponentially (with jitter) and give up once maxWait has elapsed.
+ * Ctrl+C (SIGINT) during an update offers to cancel it (automatically cancels when not interactive, e.g. in CI)
+ * and then keeps waiting for the rollback to finish. Stacks polled concurrently share one SIGINT handler, which
+ * asks a single question covering all of their updates.
+ * Possible options:<br>
+ * {<br>
+ *    since   : Date        // [optional] Only report events from this time onwards, less EVENT_CLOCK_SKEW (defaults to now).<br>
+ *    stackId : string      // [optional] Stack id to read events from (allows events to be read once a stack is deleted).<br>
+ *    onEvent : function    // [optional] Called with each new AWS StackEvent in chronological order.<br>
+ *    maxWait : number      // [optional] Maximum time to wait in milliseconds (defaults to 2 hours).<br>
+ *    signal  : AbortSignal // [optional] Stop waiting when aborted.<br>
+ *    successStatus : Array // [optional] Additional statuses that indicate success (e.g. UPDATE_ROLLBACK_COMPLETE).<br>
+ *    onInterrupt   : string // [optional] Action on SIGINT during an update - 'prompt', 'cancel' or 'exit'<br>
+ *                           // (defaults to 'prompt' in a terminal, 'cancel' otherwise).<br>
+ * }<br>
+ * </p>
  * @param params AWS updateStack/createStack params
+ * @param options [optional] poll options (since, stackId, onEvent, maxWait, signal, successStatus, onInterrupt)
  * @return {Promise}
  */
-async function pollStack(params) {
+async function pollStack(params, options) {
+  options = options || {};
+  const tracker = createEventTracker(options.stackId || params.StackName, options);
   const cf = new CloudFormationClient(config.AWS.clientConfig);
+  const started = Date.now();
 
-  let data;
+  let status;
+  const polled = { stackName: params.StackName, getStatus: () => status, options };
+  watchInterrupts(polled);
   try {
-    data = await cf.send(new DescribeStacksCommand({ StackName: params.StackName }));
-  } catch (err) {
-    if (err.message.indexOf('does not exist') >= 0) {
-      config.logger.info('Stack deleted or never existed.');
-      return;
-    } else {
-      throw err
+    for (let attempt = 0; ; attempt++) {
+      let data;
+      try {
+        data = await cf.send(new DescribeStacksCommand({ StackName: params.StackName }));
+      } catch (err) {
+        if (err.message.indexOf('does not exist') >= 0) {
+          if (options.stackId) {
+            await reportStackEvents(tracker);
+          }
+          config.logger.info('Stack deleted or never existed.');
+          return;
+        } else {
+          throw err
+        }
+      }
+
+      let stack = data.Stacks[0];
+      status = stack.StackStatus;
+      await reportStackEvents(tracker);
+
+      if (STACK_TERMINAL_STATUS[stack.StackStatus] === true || (options.successStatus || []).includes(stack.StackStatus)) {
+        config.logger.info('Stack operation completed - ' + stack.StackStatus);
+        return data;
+      } else if (STACK_TERMINAL_STATUS[stack.StackStatus] === false) {
+        const failures = await findStackFailures(stack.StackId || params.StackName, options.since);
+        const error = new StackOperationError(stack, failures);
+        config.logger.warn(error.message);
+        throw error;
+      }
+
+      config.logger.info('Waiting for stack operation to complete. This may take some time - ' + stack.StackStatus);
+      await waitForNextPoll(attempt, started, options, 'stack operation to complete - ' + stack.StackStatus);
     }
+  } finally {
+    unwatchInterrupts(polled);
   }
+}
 
-  let stack = data.Stacks[0];
-  switch (stack.StackStatus) {
-    case 'CREATE_COMPLETE':
-    case 'UPDATE_COMPLETE':
-      config.logger.info('Stack operation completed');
-      return data;
-    case 'ROLLBACK_COMPLETE':
-    case 'CREATE_FAILED':
-    case 'UPDATE_FAILED':
-    case 'DELETE_FAILED':
-    case 'UPDATE_ROLLBACK_COMPLETE':
-      config.logger.warn({ StackDetails: data });
-      throw new Error('Stack operation failed');
+/**
+ * Register a stack being polled with the SIGINT handler, installing the handler for the first one
+ * @param polled stack being polled (stackName, getStatus, options)
+ */
+function watchInterrupts(polled) {
+  if (polledStacks.size === 0) {
+    process.on('SIGINT', handleInterrupt);
   }
-  config.logger.info('Waiting for stack operation to complete. This may take some time - ' + stack.StackStatus);
+  polledStacks.add(polled);
+}
 
-  return await new Promise(resolve => setTimeout(function () {
-    resolve(pollStack(params));
-  }, POLL_TIMEOUT));
+/**
+ * Unregister a stack no longer being polled, removing the SIGINT handler after the last one
+ * @param polled stack being polled (stackName, getStatus, options)
+ */
+function unwatchInterrupts(polled) {
+  polledStacks.delete(polled);
+  if (polledStacks.size === 0) {
+    process.removeListener('SIGINT', handleInterrupt);
+  }
 }
 
 /**
- * Poll stack change set status. Used to wait for stack operations to complete.
- * @param params AWS updateStack params
- * @param params
+ * SIGINT handler for the stacks being polled. Updates are cancelled (after confirmation when interactive) unless
+ * their poll options ask to exit, otherwise the process exits.
+ * @return {Promise}
+ */
+async function handleInterrupt() {
+  if (handlingInterrupt) {
+    return;
+  }
+  handlingInterrupt = true;
+  let updating = [];
+  try {
+    const polled = Array.from(polledStacks);
+    updating = polled.filter(stack => stack.getStatus() === 'UPDATE_IN_PROGRESS' && stack.options.onInterrupt !== 'exit');
+    if (updating.length === 0) {
+      const states = polled.map(stack => `stack ${stack.stackName} is ${stack.getStatus() || 'being described'}`);
+      config.logger.warn(`Interrupted while ${states.join(', ')}, exiting...`);
+      return await exitProcess(INTERRUPT_EXIT_CODE, 'INTERRUPTED');
+    }
+
+    const names = updating.map(stack => stack.stackName).join(', ');
+    // Stacks polled with different onInterrupt options fall back to the default action
+    const requested = updating.map(stack => stack.options.onInterrupt);
+    let action = requested.every(value => value && value === requested[0])
+      ? requested[0]
+      : (process.stdout.isTTY && !process.env.CI ? 'prompt' : 'cancel');
+    if (action === 'prompt') {
+      const response = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'action',
+          message: updating.length > 1
+            ? `Stacks ${names} are being updated, what do you want to do?`
+            : `Stack ${names} is being updated, what do you want to do?`,
+          choices: [
+            { name: 'Cancel the update and wait for the rollback', value: 'cancel' },
+            { name: 'Keep waiting for the update', value: 'wait' },
+            { name: 'Exit and leave the update running', value: 'exit' }
+          ]
+        }
+      ]);
+      action = response.action;
+    }
+
+    if (action === 'cancel') {
+      const cf = new CloudFormationClient(config.AWS.clientConfig);
+      await Promise.all(updating.map(async stack => {
+        try {
+          await cf.send(new CancelUpdateStackCommand({ StackName: stack.stackName }));
+          config.logger.warn(`Cancelling update of ${stack.stackName}, waiting for the rollback to complete...`);
+        } catch (err) {
+          config.logger.warn(`Unable to cancel update of ${stack.stackName} - ${err.message}`);
+        }
+      }));
+    } else if (action === 'exit') {
+      config.logger.warn(`Exiting, the update of ${names} continues in the background`);
+      return await exitProcess(INTERRUPT_EXIT_CODE, 'INTERRUPTED');
+    }
+  } catch (err) {
+    config.logger.warn(`Unable to cancel update of ${updating.map(stack => stack.stackName).join(', ')} - ${err.message}`);
+  } finally {
+    handlingInterrupt = false;
+  }
+}
+
+/**
+ * Exit the process, first writing the audit records of the operations in progress and releasing any deployment
+ * locks it holds (pending finally blocks never run on exit)
+ * @param code process exit code
+ * @param result result recorded for the operations in progress (PENDING_REVIEW or INTERRUPTED)
+ * @return {Promise}
+ */
+async function exitProcess(code, result) {
+  await audit.flushOpenRecords(result);
+  await lock.releaseHeldLocks();
+  return process.exit(code);
+}
+
+/**
+ * Wait before polling again, backing off exponentially with jitter.
+ * @param attempt number of polls made so far (zero based)
+ * @param started time polling started (milliseconds since epoch)
+ * @param options poll options (maxWait, signal)
+ * @param description what is being waited on (used in the timeout error)
+ * @return {Promise}
+ */
+async function waitForNextPoll(attempt, started, options, description) {
+  const maxWait = options.maxWait || DEFAULT_MAX_WAIT;
+  if (Date.now() - started >= maxWait) {
+    throw new Error(`Timed out after ${Math.round(maxWait / 1000)}s waiting for ${description}`);
+  }
+
+  const backoff = Math.min(POLL_MAX_DELAY, POLL_INITIAL_DELAY * Math.pow(2, attempt));
+  const delay = Math.min(backoff / 2 + Math.random() * backoff / 2, maxWait - (Date.now() - started));
+  const signal = options.signal;
+
+  await new Promise((resolve, reject) => {
+    const aborted = () => reject(signal.reason || new Error('Polling aborted'));
+    if (signal && signal.aborted) {
+      return aborted();
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      aborted();
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, delay);
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Create the state used to track which stack events have already been reported
+ * @param stackName stack name or id
+ * @param options poll options (since, onEvent)
+ * @return {{stacks: Set, seen: Set, since: Date, onEvent: function}}
+ */
+function createEventTracker(stackName, options) {
+  return {
+    stacks: new Set([stackName]),
+    seen: new Set(),
+    since: options.since || new Date(),
+    onEvent: options.onEvent
+  };
+}
+
+/**
+ * List the stack events that have not yet been reported, paging back until a previously seen event
+ * or an event older than the start of the operation is found.
+ * @param stackName stack name or id
+ * @param tracker event tracker
+ * @return {Promise} new events in chronological order
+ */
+async function listNewStackEvents(stackName, tracker) {
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  let events = [];
+  let nextToken;
+  do {
+    const data = await cf.send(new DescribeStackEventsCommand({ StackName: stackName, NextToken: nextToken }));
+    if (!data || !data.StackEvents) {
+      break;
+    }
+    const index = data.StackEvents.findIndex(event =>
+      tracker.seen.has(event.EventId) || isBefore(event, tracker.since));
+    if (index >= 0) {
+      events = events.concat(data.StackEvents.slice(0, index));
+      break;
+    }
+    events = events.concat(data.StackEvents);
+    nextToken = data.NextToken;
+  } while (nextToken);
+  return events.reverse();
+}
+
+/**
+ * Log (and pass to the onEvent callback) any new stack events for the tracked stack and its nested stacks
+ * @param tracker event tracker
  * @return {Promise}
  */
-async function pollChangeSet(params) {
+async function reportStackEvents(tracker) {
+  for (const stackName of tracker.stacks) {
+    let events;
+    try {
+      events = await listNewStackEvents(stackName, tracker);
+    } catch (err) {
+      config.logger.warn('Unable to describe stack events for ' + stackName + ' - ' + err.message);
+      continue;
+    }
+
+    for (const event of events) {
+      tracker.seen.add(event.EventId);
+      if (event.ResourceType === 'AWS::CloudFormation::Stack' &&
+        event.PhysicalResourceId && event.PhysicalResourceId !== event.StackId) {
+        // Nested stack, include its events from now on (Set iteration will pick up the new entry)
+        tracker.stacks.add(event.PhysicalResourceId);
+      }
+      config.logger.info(
+        `${event.StackName} | ${event.LogicalResourceId} (${event.ResourceType}) ${event.ResourceStatus}` +
+        (event.ResourceStatusReason ? ` - ${event.ResourceStatusReason}` : '')
+      );
+      if (tracker.onEvent) {
+        tracker.onEvent(event);
+      }
+    }
+  }
+}
+
+/**
+ * Check whether a stack event happened before a stack operation started, allowing for clock skew
+ * @param event AWS StackEvent
+ * @param since time the operation started (local clock)
+ * @return {boolean}
+ */
+function isBefore(event, since) {
+  return new Date(event.Timestamp).getTime() < since.getTime() - EVENT_CLOCK_SKEW;
+}
+
+/**
+ * Find the resource events that caused the latest operation on a stack to fail, walking into nested stacks.
+ * @param stackName stack name or id
+ * @param since [optional] start of the operation (otherwise the stack's 'User Initiated' event is used)
+ * @return {Promise} failing AWS StackEvents in chronological order
+ */
+async function findStackFailures(stackName, since) {
   const cf = new CloudFormationClient(config.AWS.clientConfig);
 
-  let cs;
+  let events = [];
+  let nextToken;
   try {
-    cs = await cf.send(new DescribeChangeSetCommand({
-      ChangeSetName: params.ChangeSetName, StackName: params.StackName
-    }));
+    do {
+      const data = await cf.send(new DescribeStackEventsCommand({ StackName: stackName, NextToken: nextToken }));
+      if (!data || !data.StackEvents) {
+        break;
+      }
+      const index = data.StackEvents.findIndex(event =>
+        (since && isBefore(event, since)) ||
+        (event.PhysicalResourceId === event.StackId && event.ResourceStatusReason === 'User Initiated'));
+      if (index >= 0) {
+        events = events.concat(data.StackEvents.slice(0, index));
+        break;
+      }
+      events = events.concat(data.StackEvents);
+      nextToken = data.NextToken;
+    } while (nextToken);
   } catch (err) {
-    if (err.message.indexOf('does not exist') >= 0) {
-      config.logger.info('Change set deleted or never existed.');
-      return;
-    } else {
-      throw err;
+    config.logger.warn('Unable to describe stack events for ' + stackName + ' - ' + err.message);
+    return [];
+  }
+
+  const failures = events.reverse().filter(event =>
+    /_FAILED$/.test(event.ResourceStatus) &&
+    event.PhysicalResourceId !== event.StackId &&
+    !/cancelled/i.test(event.ResourceStatusReason || ''));
+
+  let rootCauses = [];
+  for (const event of failures) {
+    if (event.ResourceType === 'AWS::CloudFormation::Stack' && event.PhysicalResourceId) {
+      const nested = await findStackFailures(event.PhysicalResourceId, since);
+      if (nested.length > 0) {
+        rootCauses = rootCauses.concat(nested);
+        continue;
+      }
     }
+    rootCauses.push(event);
   }
+  return rootCauses;
+}
 
-  switch (cs.Status) {
-    case 'CREATE_COMPLETE':
-      config.logger.info('Change set created');
-    case 'UPDATE_COMPLETE':
-    case 'DELETE_COMPLETE':
+/**
+ * Poll stack change set status. Used to wait for change set operations to complete.
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    maxWait : number      // [optional] Maximum time to wait in milliseconds (defaults to 2 hours).<br>
+ *    signal  : AbortSignal // [optional] Stop waiting when aborted.<br>
+ * }<br>
+ * </p>
+ * @param params AWS createChangeSet/deleteChangeSet params
+ * @param options [optional] poll options (maxWait, signal)
+ * @return {Promise}
+ */
+async function pollChangeSet(params, options) {
+  options = options || {};
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  const started = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    let cs;
+    try {
+      cs = await cf.send(new DescribeChangeSetCommand({
+        ChangeSetName: params.ChangeSetName, StackName: params.StackName
+      }));
+    } catch (err) {
+      if (err.message.indexOf('does not exist') >= 0) {
+        config.logger.info('Change set deleted or never existed.');
+        return;
+      } else {
+        throw err;
+      }
+    }
+
+    if (CHANGE_SET_TERMINAL_STATUS[cs.Status] === true) {
+      if (cs.Status === 'CREATE_COMPLETE') {
+        config.logger.info('Change set created');
+      }
       return cs;
-    case 'FAILED':
+    } else if (cs.Status === 'FAILED') {
       if (
         cs.StatusReason.indexOf("No updates are to be performed") >= 0 ||
         cs.StatusReason.indexOf("didn't contain changes") >= 0
@@ -447,12 +1809,484 @@ async function pollChangeSet(params) {
         config.logger.warn({ ChangeSet: cs });
         throw new Error('Changeset creation failed');
       }
+    } else if (CHANGE_SET_TERMINAL_STATUS[cs.Status] === false) {
+      config.logger.warn({ ChangeSet: cs });
+      throw new Error('Changeset deletion failed');
+    }
+
+    config.logger.info('Waiting for change set operation to complete - ' + cs.Status);
+    await waitForNextPoll(attempt, started, options, 'change set operation to complete - ' + cs.Status);
+  }
+}
+
+
+/**
+ * Detect drift for a stack and report the property level differences of drifted resources.
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    failOnDrift : boolean     // [optional] Throw a StackDriftError if the stack has drifted.<br>
+ *    maxWait     : number      // [optional] Maximum time to wait for detection in milliseconds.<br>
+ *    signal      : AbortSignal // [optional] Stop waiting for detection when aborted.<br>
+ * }<br>
+ * </p>
+ * @param stackName fully qualified stack name
+ * @param options [optional] drift options (failOnDrift, maxWait, signal)
+ * @return {Promise} drift report
+ */
+async function detectDrift(stackName, options) {
+  options = options || {};
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+
+  config.logger.info('Detecting drift for stack ' + stackName + '...');
+  const { StackDriftDetectionId } = await cf.send(new DetectStackDriftCommand({ StackName: stackName }));
+
+  const started = Date.now();
+  let status;
+  for (let attempt = 0; ; attempt++) {
+    status = await cf.send(new DescribeStackDriftDetectionStatusCommand({ StackDriftDetectionId }));
+    if (status.DetectionStatus !== 'DETECTION_IN_PROGRESS') {
+      break;
+    }
+    await waitForNextPoll(attempt, started, options, 'drift detection to complete for ' + stackName);
+  }
+
+  if (status.DetectionStatus === 'DETECTION_FAILED') {
+    // Detection can fail for individual resources (e.g. unsupported types) and still report the others
+    config.logger.warn('Drift detection failed for some resources - ' + status.DetectionStatusReason);
+  }
+
+  let resources = [];
+  let nextToken;
+  do {
+    const data = await cf.send(new DescribeStackResourceDriftsCommand({
+      StackName: stackName,
+      StackResourceDriftStatusFilters: ['MODIFIED', 'DELETED'],
+      NextToken: nextToken
+    }));
+    resources = resources.concat((data.StackResourceDrifts || []).map(drift => ({
+      LogicalResourceId: drift.LogicalResourceId,
+      PhysicalResourceId: drift.PhysicalResourceId,
+      ResourceType: drift.ResourceType,
+      StackResourceDriftStatus: drift.StackResourceDriftStatus,
+      PropertyDifferences: (drift.PropertyDifferences || []).map(difference => ({
+        PropertyPath: difference.PropertyPath,
+        ExpectedValue: difference.ExpectedValue,
+        ActualValue: difference.ActualValue,
+        DifferenceType: difference.DifferenceType
+      }))
+    })));
+    nextToken = data.NextToken;
+  } while (nextToken);
+
+  const report = {
+    StackName: stackName,
+    StackId: status.StackId,
+    StackDriftStatus: status.StackDriftStatus,
+    DetectionStatus: status.DetectionStatus,
+    DetectionStatusReason: status.DetectionStatusReason,
+    DriftedStackResourceCount: status.DriftedStackResourceCount || 0,
+    Timestamp: status.Timestamp,
+    Resources: resources
+  };
+
+  if (report.StackDriftStatus === 'DRIFTED') {
+    config.logger.warn(`Stack ${stackName} has drifted (${report.DriftedStackResourceCount} resources)`);
+    resources.forEach(resource => {
+      config.logger.warn(`${resource.LogicalResourceId} (${resource.ResourceType}) ${resource.StackResourceDriftStatus}`);
+      resource.PropertyDifferences.forEach(difference => config.logger.warn(
+        `    ${difference.DifferenceType} ${difference.PropertyPath}: expected ${difference.ExpectedValue}, actual ${difference.ActualValue}`));
+    });
+    if (options.failOnDrift) {
+      throw new StackDriftError([report]);
+    }
+  } else {
+    config.logger.info(`Stack ${stackName} drift status - ${report.StackDriftStatus}`);
+  }
+  return report;
+}
+
+/**
+ * Detect drift for every stack whose name starts with the given prefix (e.g. for a nightly drift job).
+ * Stacks are checked one at a time to stay within the drift detection limits. Stacks in a status drift detection
+ * does not support (e.g. ROLLBACK_COMPLETE or *_IN_PROGRESS) are skipped, and a stack that fails drift detection
+ * gets a DETECTION_FAILED report so the other stacks are still checked. When failOnDrift is set, all stacks
+ * are checked before a StackDriftError listing every drifted stack is thrown.
+ * @param prefix [optional] stack name prefix (defaults to config.getResourcePrefix())
+ * @param options [optional] drift options (failOnDrift, maxWait, signal)
+ * @return {Promise} drift reports
+ */
+async function detectDriftByPrefix(prefix, options) {
+  prefix = prefix || config.getResourcePrefix();
+  options = options || {};
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+
+  let stackNames = [];
+  let nextToken;
+  do {
+    const data = await cf.send(new ListStacksCommand({ NextToken: nextToken, StackStatusFilter: DRIFTABLE_STACK_STATUS }));
+    stackNames = stackNames.concat((data.StackSummaries || [])
+      .filter(summary => DRIFTABLE_STACK_STATUS.includes(summary.StackStatus) && !summary.ParentId)
+      .map(summary => summary.StackName)
+      .filter(name => name.startsWith(prefix)));
+    nextToken = data.NextToken;
+  } while (nextToken);
+
+  const reports = [];
+  for (const stackName of stackNames) {
+    try {
+      reports.push(await detectDrift(stackName, Object.assign({}, options, { failOnDrift: false })));
+    } catch (err) {
+      if (options.signal && options.signal.aborted) {
+        throw err;
+      }
+      config.logger.warn(`Unable to detect drift for stack ${stackName} - ${err.message}`);
+      reports.push({ StackName: stackName, DetectionStatus: 'DETECTION_FAILED', DetectionStatusReason: err.message });
+    }
+  }
+
+  const drifted = reports.filter(report => report.StackDriftStatus === 'DRIFTED');
+  if (options.failOnDrift && drifted.length > 0) {
+    throw new StackDriftError(drifted);
+  }
+  return reports;
+}
+
+
+/**
+ * Create/Update a stack set and its stack instances (e.g. org stacks deployed to several member accounts and regions).
+ * <p>
+ * The stack set is created if it does not exist, otherwise updated (which updates all existing instances). Instances
+ * are then created for every account (SELF_MANAGED) or organizational unit (SERVICE_MANAGED) and region that does not
+ * have one yet. Every operation is polled until it completes and the status of each instance is reported.
+ * Possible options:<br>
+ * {<br>
+ *    regions               : Array   // Regions to deploy stack instances to.<br>
+ *    accounts              : Array   // [optional] Accounts to deploy stack instances to (SELF_MANAGED).<br>
+ *    organizationalUnitIds : Array   // [optional] Organizational units to deploy stack instances to (SERVICE_MANAGED).<br>
+ *    permissionModel       : string  // [optional] SELF_MANAGED or SERVICE_MANAGED (defaults to SERVICE_MANAGED when organizationalUnitIds are given).<br>
+ *    autoDeployment        : boolean // [optional] Deploy to accounts added to the organizational units (SERVICE_MANAGED, defaults to true).<br>
+ *    administrationRoleArn : string  // [optional] Administration role (SELF_MANAGED).<br>
+ *    executionRoleName     : string  // [optional] Execution role name in the target accounts (SELF_MANAGED).<br>
+ *    callAs                : string  // [optional] SELF or DELEGATED_ADMIN.<br>
+ *    description           : string  // [optional] Stack set description.<br>
+ *    operationPreferences  : Object  // [optional] { failureToleranceCount|failureTolerancePercentage,<br>
+ *                                    //   maxConcurrentCount|maxConcurrentPercentage, regionConcurrencyType, regionOrder }<br>
+ *    pruneInstances        : boolean // [optional] Delete stack instances for accounts/organizational units and regions no longer listed.<br>
+ *    retainStacks          : boolean // [optional] Keep the stacks of pruned instances.<br>
+ *    tags, defaultTags, validateParameters, usePreviousValues // [optional] see upsertStack<br>
+ *    maxWait, signal                 // [optional] poll options<br>
+ * }<br>
+ * </p>
+ * @param name stack set name (e.g. config.getOrgResourceName('audit'))
+ * @param script full path to stack template or S3 template URL
+ * @param parameters stack set parameters (listing, map or path to a parameters file, see upsertStack)
+ * @param options stack set options (see above)
+ * @return {Promise} AWS stack instance summaries
+ */
+async function upsertStackSet(name, script, parameters, options) {
+  options = options || {};
+  if (!options.regions || options.regions.length === 0) {
+    throw new Error(`No regions specified for stack set ${name}`);
+  }
+  const serviceManaged = getPermissionModel(options) === 'SERVICE_MANAGED';
+  const targets = (serviceManaged ? options.organizationalUnitIds : options.accounts) || [];
+
+  const isTemplateUrl = isRemoteTemplate(script);
+  if (!isTemplateUrl && !fs.existsSync(script)) {
+    throw new Error(`${script} does not exist!`);
+  }
+  const body = isTemplateUrl ? undefined : fs.readFileSync(script, 'utf-8');
+
+  let params = {
+    StackSetName: name,
+    PermissionModel: getPermissionModel(options)
+  };
+  const capabilities = await getStackCapabilities(name, script, isTemplateUrl ? undefined : template.parseTemplate(body), options);
+  if (capabilities.length > 0) {
+    params.Capabilities = capabilities;
+  }
+  Object.assign(params, await getTemplateLocation(script, body, options));
+  if (options.description) {
+    params.Description = options.description;
+  }
+  if (serviceManaged) {
+    params.AutoDeployment = { Enabled: options.autoDeployment !== false, RetainStacksOnAccountRemoval: !!options.retainStacks };
+  } else {
+    if (options.administrationRoleArn) {
+      params.AdministrationRoleARN = options.administrationRoleArn;
+    }
+    if (options.executionRoleName) {
+      params.ExecutionRoleName = options.executionRoleName;
+    }
+  }
+  if (options.callAs) {
+    params.CallAs = options.callAs;
+  }
+  const tags = getStackTags(options);
+  if (tags.length > 0) {
+    params.Tags = tags;
+  }
+
+  const existing = await describeStackSet(name, options);
+
+  params.Parameters = stackParameters.loadParameters(parameters);
+  if (params.Parameters) {
+    const declarations = options.validateParameters !== false ? await getTemplateParameters(script, body) : undefined;
+    params.Parameters = await resolveParameters(params.Parameters, declarations || {});
+    if (declarations) {
+      params.Parameters = stackParameters.validateParameters(
+        declarations,
+        params.Parameters,
+        existing && options.usePreviousValues ? existing.Parameters : undefined
+      );
+    }
+  }
+
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  const operationPreferences = getOperationPreferences(options.operationPreferences);
+  if (existing) {
+    config.logger.info(`Stack set ${name} exists, updating...`);
+    const data = await cf.send(new UpdateStackSetCommand(Object.assign({}, params, { OperationPreferences: operationPreferences })));
+    await pollStackSetOperation(name, data.OperationId, options);
+  } else {
+    config.logger.info(`Stack set ${name} does not exist, creating...`);
+    await cf.send(new CreateStackSetCommand(params));
   }
-  config.logger.info('Waiting for change set to be created - ' + cs.Status);
 
-  return await new Promise(resolve => setTimeout(function () {
-    resolve(pollChangeSet(params));
-  }, POLL_TIMEOUT));
+  const instances = await listStackSetInstances(name, options);
+  const instanceTarget = instance => serviceManaged ? instance.OrganizationalUnitId : instance.Account;
+  const deployed = new Set(instances.map(instance => instanceTarget(instance) + '/' + instance.Region));
+
+  const missing = [];
+  targets.forEach(target => options.regions
+    .filter(region => !deployed.has(target + '/' + region))
+    .forEach(region => missing.push({ target, region })));
+  for (const group of groupStackSetTargets(missing)) {
+    config.logger.info(`Creating stack instances for ${group.targets.join(', ')} in ${group.regions.join(', ')}...`);
+    const data = await cf.send(new CreateStackInstancesCommand(Object.assign(
+      { StackSetName: name, Regions: group.regions, OperationPreferences: operationPreferences },
+      getStackSetTargets(group.targets, serviceManaged),
+      options.callAs ? { CallAs: options.callAs } : {}
+    )));
+    await pollStackSetOperation(name, data.OperationId, options);
+  }
+
+  if (options.pruneInstances) {
+    const stale = instances
+      .filter(instance => !targets.includes(instanceTarget(instance)) || !options.regions.includes(instance.Region))
+      .map(instance => ({ target: instanceTarget(instance), region: instance.Region }));
+    await deleteStackSetInstances(name, stale, serviceManaged, options);
+  }
+
+  return await listStackSetInstances(name, options);
+}
+
+/**
+ * Delete a stack set, deleting all of its stack instances first
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    retainStacks         : boolean // [optional] Keep the stacks in the target accounts (only remove them from the stack set).<br>
+ *    callAs               : string  // [optional] SELF or DELEGATED_ADMIN.<br>
+ *    operationPreferences : Object  // [optional] see upsertStackSet<br>
+ *    maxWait, signal                // [optional] poll options<br>
+ * }<br>
+ * </p>
+ * @param name stack set name
+ * @param options [optional] delete options (retainStacks, callAs, operationPreferences, maxWait, signal)
+ * @return {Promise}
+ */
+async function deleteStackSet(name, options) {
+  options = options || {};
+  const existing = await describeStackSet(name, options);
+  if (!existing) {
+    config.logger.info(`Stack set ${name} does not exist, continuing...`);
+    return;
+  }
+
+  const serviceManaged = existing.PermissionModel === 'SERVICE_MANAGED';
+  const instances = await listStackSetInstances(name, options);
+  await deleteStackSetInstances(name, instances.map(instance => ({
+    target: serviceManaged ? instance.OrganizationalUnitId : instance.Account,
+    region: instance.Region
+  })), serviceManaged, options);
+
+  config.logger.info(`Deleting stack set ${name}...`);
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  await cf.send(new DeleteStackSetCommand(Object.assign({ StackSetName: name }, options.callAs ? { CallAs: options.callAs } : {})));
+}
+
+/**
+ * Describe a stack set
+ * @param name stack set name
+ * @param options [optional] stack set options (callAs)
+ * @return {Promise} AWS stack set details, undefined if the stack set does not exist
+ */
+async function describeStackSet(name, options) {
+  options = options || {};
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  try {
+    const data = await cf.send(new DescribeStackSetCommand(Object.assign({ StackSetName: name }, options.callAs ? { CallAs: options.callAs } : {})));
+    return data && data.StackSet;
+  } catch (err) {
+    if (err.name === 'StackSetNotFoundException') {
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+/**
+ * List all stack instances of a stack set
+ * @param name stack set name
+ * @param options [optional] stack set options (callAs)
+ * @return {Promise} AWS stack instance summaries
+ */
+async function listStackSetInstances(name, options) {
+  options = options || {};
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  let instances = [];
+  let nextToken;
+  do {
+    const data = await cf.send(new ListStackInstancesCommand(Object.assign(
+      { StackSetName: name, NextToken: nextToken },
+      options.callAs ? { CallAs: options.callAs } : {}
+    )));
+    instances = instances.concat((data && data.Summaries) || []);
+    nextToken = data ? data.NextToken : undefined;
+  } while (nextToken);
+  return instances;
+}
+
+/**
+ * Delete the stack instances for the given targets and regions
+ * @param name stack set name
+ * @param instances accounts/organizational units and regions to delete ({ target, region })
+ * @param serviceManaged true if targets are organizational units
+ * @param options delete options (retainStacks, callAs, operationPreferences, maxWait, signal)
+ * @return {Promise}
+ */
+async function deleteStackSetInstances(name, instances, serviceManaged, options) {
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  for (const group of groupStackSetTargets(instances)) {
+    config.logger.info(`Deleting stack instances for ${group.targets.join(', ')} in ${group.regions.join(', ')}...`);
+    const data = await cf.send(new DeleteStackInstancesCommand(Object.assign(
+      {
+        StackSetName: name,
+        Regions: group.regions,
+        RetainStacks: !!options.retainStacks,
+        OperationPreferences: getOperationPreferences(options.operationPreferences)
+      },
+      getStackSetTargets(group.targets, serviceManaged),
+      options.callAs ? { CallAs: options.callAs } : {}
+    )));
+    await pollStackSetOperation(name, data.OperationId, options);
+  }
+}
+
+/**
+ * Get the permission model of a stack set from the upsert options
+ * @param options upsert options (permissionModel, organizationalUnitIds)
+ * @return {string} SELF_MANAGED or SERVICE_MANAGED
+ */
+function getPermissionModel(options) {
+  return options.permissionModel || (options.organizationalUnitIds ? 'SERVICE_MANAGED' : 'SELF_MANAGED');
+}
+
+/**
+ * Convert operation preferences to AWS StackSetOperationPreferences (e.g. maxConcurrentCount to MaxConcurrentCount)
+ * @param preferences [optional] operation preferences
+ * @return {Object|undefined} AWS StackSetOperationPreferences
+ */
+function getOperationPreferences(preferences) {
+  if (!preferences) {
+    return undefined;
+  }
+  return Object.keys(preferences).reduce((result, key) => {
+    result[key.charAt(0).toUpperCase() + key.slice(1)] = preferences[key];
+    return result;
+  }, {});
+}
+
+/**
+ * Group stack instances by their set of regions, so each group can be handled by a single operation
+ * (operations apply to every combination of their targets and regions)
+ * @param instances accounts/organizational units and regions ({ target, region })
+ * @return {Array} groups ({ targets, regions })
+ */
+function groupStackSetTargets(instances) {
+  const regionsByTarget = new Map();
+  instances.forEach(instance => {
+    regionsByTarget.set(instance.target, (regionsByTarget.get(instance.target) || []).concat(instance.region));
+  });
+
+  const groups = new Map();
+  regionsByTarget.forEach((regions, target) => {
+    const key = regions.join(',');
+    const group = groups.get(key) || { targets: [], regions: regions };
+    group.targets.push(target);
+    groups.set(key, group);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Get the AWS stack instance targets for a list of accounts or organizational units
+ * @param targets account ids or organizational unit ids
+ * @param serviceManaged true if targets are organizational units
+ * @return {Object} Accounts or DeploymentTargets params
+ */
+function getStackSetTargets(targets, serviceManaged) {
+  return serviceManaged ? { DeploymentTargets: { OrganizationalUnitIds: targets } } : { Accounts: targets };
+}
+
+/**
+ * Poll a stack set operation until it completes, reporting the status of each stack instance as it changes
+ * @param name stack set name
+ * @param operationId stack set operation id
+ * @param options [optional] poll options (callAs, maxWait, signal)
+ * @return {Promise} AWS stack set operation details, including the instance Results
+ */
+async function pollStackSetOperation(name, operationId, options) {
+  options = options || {};
+  const cf = new CloudFormationClient(config.AWS.clientConfig);
+  const callAs = options.callAs ? { CallAs: options.callAs } : {};
+  const reported = new Map();
+  const started = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    const data = await cf.send(new DescribeStackSetOperationCommand(Object.assign({ StackSetName: name, OperationId: operationId }, callAs)));
+    const operation = data.StackSetOperation;
+
+    let results = [];
+    let nextToken;
+    do {
+      const page = await cf.send(new ListStackSetOperationResultsCommand(Object.assign(
+        { StackSetName: name, OperationId: operationId, NextToken: nextToken }, callAs)));
+      results = results.concat((page && page.Summaries) || []);
+      nextToken = page ? page.NextToken : undefined;
+    } while (nextToken);
+    results.forEach(result => {
+      const instance = `${result.Account} ${result.Region}`;
+      if (reported.get(instance) !== result.Status) {
+        reported.set(instance, result.Status);
+        config.logger.info(`${name} ${instance} - ${result.Status}` + (result.StatusReason ? ` (${result.StatusReason})` : ''));
+      }
+    });
+
+    if (STACK_SET_OPERATION_TERMINAL_STATUS[operation.Status] === true) {
+      config.logger.info('Stack set operation completed - ' + operation.Status);
+      return Object.assign({}, operation, { Results: results });
+    } else if (STACK_SET_OPERATION_TERMINAL_STATUS[operation.Status] === false) {
+      const error = new StackSetOperationError(operation, results.filter(result => result.Status !== 'SUCCEEDED'));
+      config.logger.warn(error.message);
+      throw error;
+    }
+
+    config.logger.info('Waiting for stack set operation to complete. This may take some time - ' + operation.Status);
+    await waitForNextPoll(attempt, started, options, 'stack set operation to complete - ' + operation.Status);
+  }
 }
 
 
@@ -461,12 +2295,31 @@ module.exports = {
   createStack,
   updateStack,
   deployStack,
+  importResources,
+  validateTemplate,
   describeStack,
   describeOutput,
   extractOutput,
+  listExports,
+  getExport,
+  findImporters,
   deleteStack,
+  continueUpdateRollback,
+  cancelUpdateStack,
   pollStack,
   pollChangeSet,
   createChangeSet,
+  describeChangeSet,
+  executeChangeSet,
   deleteChangeSet,
+  detectDrift,
+  detectDriftByPrefix,
+  upsertStackSet,
+  deleteStackSet,
+  describeStackSet,
+  listStackSetInstances,
+  pollStackSetOperation,
+  StackOperationError,
+  StackDriftError,
+  StackSetOperationError,
 };
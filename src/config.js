@@ -53,7 +53,11 @@ let baseConfig = {
     AWS_REGION:          { description: 'AWS Region',          argName: 'region',  alias: 'awsRegion'         },
     ENVIRONMENT_STAGE:   { description: 'Environment stage',   argName: 'env',     alias: 'environmentStage'  },
     ORGANIZATION:        { description: 'Organization Tag',    argName: 'org',     alias: 'organization'      },
-    TENANT:              { description: 'Tenant',              argName: 'tenant',  alias: 'tenant'            }
+    TENANT:              { description: 'Tenant',              argName: 'tenant',  alias: 'tenant'            },
+    ARTIFACT_BUCKET:     { description: 'Artifact Bucket',     argName: 'artifact-bucket', alias: 'artifactBucket' },
+    AUDIT_LOG:           { description: 'Audit Log File',      default: 'cf-utils-audit.jsonl', alias: 'auditLog' },
+    AUDIT_S3_URI:        { description: 'Audit Log S3 Location (s3://bucket/prefix/)', alias: 'auditS3Uri' },
+    LOCK_BUCKET:         { description: 'Deployment Lock Bucket', argName: 'lock-bucket', alias: 'lockBucket' }
   },
 
   /**
@@ -247,6 +251,60 @@ let baseConfig = {
    */
   getLambdaZipS3Key: () => {
     return 'api/' + config.getLambdaZipName();
+  },
+
+  /**
+   * Get the bucket templates and artifacts are uploaded to, if one is configured
+   * @return {string|undefined}
+   */
+  getArtifactBucket: () => {
+    try {
+      return config.ARTIFACT_BUCKET;
+    } catch (err) {
+      return undefined;
+    }
+  },
+
+  /**
+   * Get the bucket deployment locks are stored in (defaults to the artifact bucket), if one is configured
+   * @return {string|undefined}
+   */
+  getLockBucket: () => {
+    try {
+      return config.LOCK_BUCKET;
+    } catch (err) {
+      return config.getArtifactBucket();
+    }
+  },
+
+  /**
+   * Get the names of the stacks allowed to create named IAM resources (CAPABILITY_NAMED_IAM), if restricted.
+   * Names may contain * wildcards.
+   * @return {Array.<string>|undefined}
+   */
+  getNamedIamAllowlist: () => {
+    try {
+      return config.NAMED_IAM_ALLOWLIST;
+    } catch (err) {
+      return undefined;
+    }
+  },
+
+  /**
+   * Get the default stack tags (Project, Version, Environment, Organization and Tenant) for the parameters that are set
+   * @return {Object} map of tag key to value
+   */
+  getDefaultTags: () => {
+    const tags = {
+      Project:      'PROJECT',
+      Version:      'PROJECT_VERSION',
+      Environment:  'ENVIRONMENT_STAGE',
+      Organization: 'ORGANIZATION',
+      Tenant:       'TENANT'
+    };
+    return Object.keys(tags).filter(key => tags[key] in config).reduce((map, key) => {
+      map[key] = config[tags[key]]; return map;
+    }, {});
   }
 
 };
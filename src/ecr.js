@@ -0,0 +1,85 @@
+'use strict';
+const config = require('./config');
+const {
+  ECRClient,
+  ListImagesCommand,
+  BatchDeleteImageCommand
+} = require('@aws-sdk/client-ecr');
+
+/**
+ * Maximum number of images that can be deleted by a single BatchDeleteImage request
+ */
+const MAX_BATCH_DELETE = 100;
+
+/**
+ * List the images in a repository
+ * @param repositoryName the name of the repository
+ * @param nextToken continue listing from this marker
+ * @return {Promise}
+ */
+async function listImages(repositoryName, nextToken) {
+  const ecr = new ECRClient(config.AWS.clientConfig);
+  let params = {
+    repositoryName: repositoryName,
+    nextToken: nextToken
+  };
+
+  return await ecr.send(new ListImagesCommand(params));
+}
+
+/**
+ * Delete the specified images from a repository
+ * @param repositoryName the name of the repository
+ * @param imageIds AWS image ids ({ imageDigest, imageTag })
+ * @return {Promise}
+ */
+async function deleteImages(repositoryName, imageIds) {
+  const ecr = new ECRClient(config.AWS.clientConfig);
+  for (let i = 0; i < imageIds.length; i += MAX_BATCH_DELETE) {
+    const data = await ecr.send(new BatchDeleteImageCommand({
+      repositoryName: repositoryName,
+      imageIds: imageIds.slice(i, i + MAX_BATCH_DELETE)
+    }));
+    if (data && data.failures && data.failures.length > 0) {
+      throw new Error(`Unable to delete images from ${repositoryName} - ` +
+        data.failures.map(failure => `${failure.imageId.imageDigest || failure.imageId.imageTag}: ${failure.failureReason}`).join(', '));
+    }
+  }
+}
+
+/**
+ * Empty the specified repository (delete all images)
+ * @param repositoryName the name of the repository
+ * @return {Promise}
+ */
+async function emptyRepository(repositoryName) {
+  try {
+    let imageIds = [];
+    let nextToken;
+    do {
+      const data = await listImages(repositoryName, nextToken);
+      imageIds = imageIds.concat((data && data.imageIds) || []);
+      nextToken = data ? data.nextToken : undefined;
+    } while (nextToken);
+
+    // Tags of the same image share a digest, delete each image once
+    const digests = Array.from(new Set(imageIds.filter(id => id.imageDigest).map(id => id.imageDigest)));
+    if (digests.length > 0) {
+      await deleteImages(repositoryName, digests.map(digest => ({ imageDigest: digest })));
+      config.logger.info(`Deleted ${digests.length} images from ${repositoryName}`);
+    }
+  } catch (err) {
+    if (err.name === 'RepositoryNotFoundException') {
+      config.logger.info('Repository', repositoryName, 'does not exist, continuing...');
+    } else {
+      throw err;
+    }
+  }
+}
+
+
+module.exports = {
+  listImages,
+  deleteImages,
+  emptyRepository
+};
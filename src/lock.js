@@ -0,0 +1,307 @@
+'use strict';
+const config = require('./config');
+const s3 = require('./s3');
+const os = require('os');
+const crypto = require('crypto');
+
+/**
+ * Key prefix of the lock objects in the lock bucket
+ */
+const DEFAULT_LOCK_PREFIX = 'cf-utils-locks/';
+
+/**
+ * Time a lock is held without being renewed before another deployment may take it over, in seconds.
+ * withLock renews the lock while the operation runs, so this only limits how long a killed deployment blocks others.
+ */
+const DEFAULT_LOCK_TTL = 600;
+
+/**
+ * Maximum time to wait for a lock held by another deployment, in milliseconds
+ */
+const DEFAULT_LOCK_WAIT = 30 * 60 * 1000;
+
+/**
+ * Delay between attempts to acquire a lock held by another deployment, in milliseconds
+ */
+const LOCK_POLL_INTERVAL = 10000;
+
+/**
+ * Locks held by this process (and their lock options), released by releaseHeldLocks before the process exits
+ */
+const heldLocks = new Map();
+
+/**
+ * Error thrown when a stack is locked by another deployment.
+ * <p>
+ * lock holds the details (owner, operation, acquiredAt, expiresAt) of the lock that is held.
+ * </p>
+ */
+class StackLockedError extends Error {
+  /**
+   * @param stackName fully qualified stack name
+   * @param lock details of the lock that is held
+   */
+  constructor(stackName, lock) {
+    super(`${stackName} is locked by ${lock.owner} (${lock.operation || 'unknown operation'}) since ${lock.acquiredAt}, ` +
+      `the lock expires at ${lock.expiresAt}`);
+    this.name = 'StackLockedError';
+    this.stackName = stackName;
+    this.lock = lock;
+  }
+}
+
+/**
+ * Acquire the deployment lock of a stack.
+ * <p>
+ * The lock is an S3 object (config.LOCK_BUCKET, defaults to config.ARTIFACT_BUCKET) written with conditional
+ * writes, so only one deployment can hold it: it is created only if it does not exist, and a released or expired
+ * lock is only replaced if it has not changed since it was read. A lock not renewed within its TTL is taken over.
+ * Possible options:<br>
+ * {<br>
+ *    bucket    : string  // [optional] Bucket the lock objects are stored in (defaults to config.getLockBucket()).<br>
+ *    prefix    : string  // [optional] Key prefix of the lock objects (defaults to cf-utils-locks/).<br>
+ *    ttl       : number  // [optional] Seconds until the lock expires unless renewed (defaults to 600).<br>
+ *    wait      : boolean // [optional] Wait for a lock held by another deployment instead of failing.<br>
+ *    maxWait   : number  // [optional] Maximum time to wait for the lock in milliseconds (defaults to 30 minutes).<br>
+ *    owner     : string  // [optional] Lock owner (defaults to user@host).<br>
+ *    operation : string  // [optional] Operation the lock is held for.<br>
+ * }<br>
+ * </p>
+ * @param stackName fully qualified stack name
+ * @param options [optional] lock options (bucket, prefix, ttl, wait, maxWait, owner, operation)
+ * @return {Promise.<Object>} the lock (stackName, owner, operation, token, acquiredAt, expiresAt, eTag)
+ * @throws StackLockedError if the lock is held by another deployment
+ */
+async function acquireLock(stackName, options) {
+  options = options || {};
+  const location = getLockLocation(stackName, options);
+  const maxWait = options.maxWait || DEFAULT_LOCK_WAIT;
+  const started = Date.now();
+
+  for (;;) {
+    const held = await readLock(location);
+    if (held && !held.released && !isExpired(held)) {
+      const remaining = maxWait - (Date.now() - started);
+      if (!options.wait || remaining <= 0) {
+        throw new StackLockedError(stackName, held);
+      }
+      config.logger.info(`Waiting for deployment lock for ${stackName} held by ${held.owner} since ${held.acquiredAt}...`);
+      await new Promise(resolve => setTimeout(resolve, Math.min(LOCK_POLL_INTERVAL, remaining)));
+      continue;
+    }
+
+    const now = new Date();
+    const lock = {
+      stackName: stackName,
+      owner: options.owner || getDefaultOwner(),
+      operation: options.operation,
+      token: crypto.randomUUID(),
+      acquiredAt: now.toISOString(),
+      expiresAt: getExpiry(now, options)
+    };
+    const eTag = held
+      ? await s3.replaceObject(location.bucket, location.key, JSON.stringify(lock, null, 2), held.eTag)
+      : await s3.createObject(location.bucket, location.key, JSON.stringify(lock, null, 2));
+    if (eTag !== undefined) {
+      if (held && !held.released) {
+        config.logger.warn(`Took over deployment lock for ${stackName} held by ${held.owner}, which expired at ${held.expiresAt}`);
+      }
+      config.logger.info(`Acquired deployment lock for ${stackName}`);
+      const acquired = Object.assign(lock, { eTag });
+      heldLocks.set(acquired, options);
+      return acquired;
+    }
+    // Another deployment changed the lock since it was read, try again
+  }
+}
+
+/**
+ * Extend the expiry of a lock held by this deployment
+ * @param lock the lock returned by acquireLock (its expiresAt and eTag are updated)
+ * @param options [optional] lock options (bucket, prefix, ttl)
+ * @return {Promise.<boolean>} false if the lock was taken over by another deployment
+ */
+async function renewLock(lock, options) {
+  options = options || {};
+  const location = getLockLocation(lock.stackName, options);
+  const renewed = Object.assign({}, lock, { expiresAt: getExpiry(new Date(), options) });
+  delete renewed.eTag;
+  const eTag = await s3.replaceObject(location.bucket, location.key, JSON.stringify(renewed, null, 2), lock.eTag);
+  if (eTag === undefined) {
+    config.logger.warn(`Deployment lock for ${lock.stackName} was taken over by another deployment`);
+    return false;
+  }
+  Object.assign(lock, { expiresAt: renewed.expiresAt, eTag });
+  return true;
+}
+
+/**
+ * Release the deployment lock of a stack. The lock is left in place if it has been taken over by another deployment.
+ * @param lock the lock returned by acquireLock
+ * @param options [optional] lock options (bucket, prefix)
+ * @return {Promise.<boolean>} false if the lock was no longer held
+ */
+async function releaseLock(lock, options) {
+  heldLocks.delete(lock);
+  const location = getLockLocation(lock.stackName, options || {});
+  if (await s3.replaceObject(location.bucket, location.key, getReleasedLock(lock.stackName), lock.eTag) === undefined) {
+    config.logger.warn(`Deployment lock for ${lock.stackName} is no longer held, it was taken over by another deployment`);
+    return false;
+  }
+  config.logger.info(`Released deployment lock for ${lock.stackName}`);
+  return true;
+}
+
+/**
+ * Release every lock held by this process, e.g. before exiting the process in the middle of an operation
+ * @return {Promise}
+ */
+async function releaseHeldLocks() {
+  for (const [lock, options] of Array.from(heldLocks)) {
+    try {
+      await releaseLock(lock, options);
+    } catch (err) {
+      config.logger.warn(`Unable to release deployment lock for ${lock.stackName} - ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Release the deployment lock of a stack whoever holds it, e.g. after a deployment was killed
+ * @param stackName fully qualified stack name
+ * @param options [optional] lock options (bucket, prefix)
+ * @return {Promise.<Object|undefined>} the lock that was released, undefined if the stack was not locked
+ */
+async function forceReleaseLock(stackName, options) {
+  const location = getLockLocation(stackName, options || {});
+  for (;;) {
+    const held = await readLock(location);
+    if (!held || held.released) {
+      return undefined;
+    }
+    if (await s3.replaceObject(location.bucket, location.key, getReleasedLock(stackName), held.eTag) !== undefined) {
+      config.logger.warn(`Forced release of deployment lock for ${stackName} held by ${held.owner} since ${held.acquiredAt}`);
+      return held;
+    }
+  }
+}
+
+/**
+ * Get the deployment lock of a stack
+ * @param stackName fully qualified stack name
+ * @param options [optional] lock options (bucket, prefix)
+ * @return {Promise.<Object|undefined>} the lock (stackName, owner, operation, token, acquiredAt, expiresAt), undefined if not locked
+ */
+async function getLock(stackName, options) {
+  const held = await readLock(getLockLocation(stackName, options || {}));
+  return held && !held.released ? held : undefined;
+}
+
+/**
+ * Run an operation holding the deployment lock of a stack. The lock is renewed while the operation runs and
+ * released when the operation completes or fails.
+ * @param stackName fully qualified stack name
+ * @param options [optional] lock options (see acquireLock)
+ * @param fn async function running the operation
+ * @return {Promise} result of the operation
+ */
+async function withLock(stackName, options, fn) {
+  options = options || {};
+  const lock = await acquireLock(stackName, options);
+
+  // Renew well before the lock expires, one renewal at a time
+  let renewal = Promise.resolve();
+  const heartbeat = setInterval(() => {
+    renewal = renewal
+      .then(() => renewLock(lock, options))
+      .catch(err => config.logger.warn(`Unable to renew deployment lock for ${stackName} - ${err.message}`));
+  }, (options.ttl || DEFAULT_LOCK_TTL) * 1000 / 3);
+  heartbeat.unref();
+
+  try {
+    return await fn();
+  } finally {
+    clearInterval(heartbeat);
+    await renewal;
+    await releaseLock(lock, options);
+  }
+}
+
+/**
+ * Read a lock object
+ * @param location lock location (bucket, key)
+ * @return {Promise.<Object|undefined>} lock details and eTag, undefined if there is no lock object
+ */
+async function readLock(location) {
+  const object = await s3.readObject(location.bucket, location.key);
+  return object ? Object.assign(JSON.parse(object.Body), { eTag: object.ETag }) : undefined;
+}
+
+/**
+ * Get the content of a released lock object
+ * @param stackName fully qualified stack name
+ * @return {string}
+ */
+function getReleasedLock(stackName) {
+  return JSON.stringify({ stackName: stackName, released: true, releasedAt: new Date().toISOString() }, null, 2);
+}
+
+/**
+ * Check whether a lock has expired
+ * @param lock lock details
+ * @return {boolean}
+ */
+function isExpired(lock) {
+  return new Date(lock.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Get the expiry time of a lock acquired or renewed at the given time
+ * @param time time the lock is acquired or renewed
+ * @param options lock options (ttl)
+ * @return {string} ISO date
+ */
+function getExpiry(time, options) {
+  return new Date(time.getTime() + (options.ttl || DEFAULT_LOCK_TTL) * 1000).toISOString();
+}
+
+/**
+ * Get the bucket and key of the lock object of a stack
+ * @param stackName fully qualified stack name
+ * @param options lock options (bucket, prefix)
+ * @return {{bucket: string, key: string}}
+ */
+function getLockLocation(stackName, options) {
+  const bucket = options.bucket || config.getLockBucket();
+  if (!bucket) {
+    throw new Error('Deployment locks require a bucket - set config.LOCK_BUCKET or config.ARTIFACT_BUCKET');
+  }
+  const prefix = options.prefix !== undefined ? options.prefix : DEFAULT_LOCK_PREFIX;
+  return { bucket, key: `${prefix}${stackName}.lock` };
+}
+
+/**
+ * Get the default lock owner (user@host)
+ * @return {string}
+ */
+function getDefaultOwner() {
+  let user;
+  try {
+    user = os.userInfo().username;
+  } catch (err) {
+    user = process.env.USER || 'unknown';
+  }
+  return `${user}@${os.hostname()}`;
+}
+
+
+module.exports = {
+  acquireLock,
+  renewLock,
+  releaseLock,
+  releaseHeldLocks,
+  forceReleaseLock,
+  getLock,
+  withLock,
+  StackLockedError
+};
@@ -0,0 +1,206 @@
+'use strict';
+const config = require('./config');
+const cloudFormation = require('./cloudFormation');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Matches references to other stacks' outputs in parameter values, e.g. ${core.InfrastructureBucket}
+ */
+const OUTPUT_REFERENCE = /\$\{([\w-]+)\.([\w]+)\}/g;
+
+/**
+ * Load a deployment manifest from a JS, JSON or YAML file.
+ * <p>
+ * A manifest lists the stacks to deploy, keyed by id:<br>
+ * {<br>
+ *    stacks: {<br>
+ *      core: { template: 'templates/core-cf.yaml', parameters: { ResourcePrefix: 'acme-dev-' } },<br>
+ *      vpc:  {<br>
+ *        name:       'acme-org-dev-vpc',                           // [optional] defaults to config.getResourceName(id)<br>
+ *        template:   'templates/vpc-cf.yaml',<br>
+ *        parameters: { Bucket: '${core.InfrastructureBucket}' }, // references to other stacks' outputs<br>
+ *        dependsOn:  ['core'],                                     // [optional] additional dependencies<br>
+ *        options:    { review: 'approve' }                         // [optional] upsertStack options<br>
+ *      }<br>
+ *    }<br>
+ * }<br>
+ * </p>
+ * @param file path to the manifest (.js, .json, .yaml or .yml)
+ * @return {Object} manifest
+ */
+function loadManifest(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} does not exist!`);
+  }
+  switch (path.extname(file).toLowerCase()) {
+    case '.js':
+      return require(path.resolve(file));
+    case '.json':
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    case '.yaml':
+    case '.yml':
+      return yaml.load(fs.readFileSync(file, 'utf-8'));
+    default:
+      throw new Error(`Unsupported manifest format '${file}', expected .js, .json, .yaml or .yml`);
+  }
+}
+
+/**
+ * Build the dependency graph for a manifest (explicit dependsOn plus output references in parameters)
+ * and check it for unknown stacks and cycles.
+ * @param manifest manifest object
+ * @return {Object} map of stack id to the ids of the stacks it depends on
+ */
+function buildDependencyGraph(manifest) {
+  const stacks = manifest.stacks || {};
+  const graph = {};
+
+  Object.keys(stacks).forEach(id => {
+    const stack = stacks[id];
+    if (!stack.template) {
+      throw new Error(`Stack '${id}' does not specify a template`);
+    }
+    const dependencies = new Set(stack.dependsOn || []);
+    Object.values(stack.parameters || {}).forEach(value => {
+      for (const [, stackId] of String(value).matchAll(OUTPUT_REFERENCE)) {
+        dependencies.add(stackId);
+      }
+    });
+    dependencies.forEach(dependency => {
+      if (!stacks[dependency]) {
+        throw new Error(`Stack '${id}' depends on unknown stack '${dependency}'`);
+      }
+    });
+    graph[id] = Array.from(dependencies);
+  });
+
+  // Depth first search for cycles
+  const visited = new Set();
+  const visit = (id, trail) => {
+    if (trail.includes(id)) {
+      throw new Error('Stack dependency cycle detected: ' + trail.slice(trail.indexOf(id)).concat(id).join(' -> '));
+    }
+    if (!visited.has(id)) {
+      graph[id].forEach(dependency => visit(dependency, trail.concat(id)));
+      visited.add(id);
+    }
+  };
+  Object.keys(graph).forEach(id => visit(id, []));
+
+  return graph;
+}
+
+/**
+ * Get the fully qualified stack name for a manifest entry
+ * @param id stack id
+ * @param stack manifest entry
+ * @return {string}
+ */
+function getStackName(id, stack) {
+  return stack.name || config.getResourceName(id);
+}
+
+/**
+ * Resolve a manifest entry's parameters into an AWS parameter listing, replacing output references
+ * @param id stack id
+ * @param stack manifest entry
+ * @param outputs map of stack id to the outputs of that stack
+ * @return {Array} AWS parameters
+ */
+function resolveParameters(id, stack, outputs) {
+  return Object.keys(stack.parameters || {}).map(key => ({
+    ParameterKey: key,
+    ParameterValue: String(stack.parameters[key]).replace(OUTPUT_REFERENCE, (reference, stackId, outputKey) => {
+      if (!outputs[stackId] || !outputs[stackId].hasOwnProperty(outputKey)) {
+        throw new Error(`Stack '${id}' parameter ${key} references unknown output ${reference}`);
+      }
+      return outputs[stackId][outputKey];
+    })
+  }));
+}
+
+/**
+ * Run an operation for every stack once the stacks it waits on have completed. Independent stacks run in parallel.
+ * Every started operation is allowed to finish before the first failure is thrown.
+ * @param graph map of stack id to the ids of the stacks it waits on
+ * @param operation async function (id) run for each stack
+ * @return {Promise} map of stack id to operation result
+ */
+async function runInOrder(graph, operation) {
+  const running = {};
+  const run = (id) => {
+    if (!running[id]) {
+      running[id] = Promise.all(graph[id].map(run)).then(() => operation(id));
+    }
+    return running[id];
+  };
+
+  const ids = Object.keys(graph);
+  const results = await Promise.allSettled(ids.map(run));
+  const failure = results.find(result => result.status === 'rejected');
+  if (failure) {
+    throw failure.reason;
+  }
+  return ids.reduce((map, id, i) => {
+    map[id] = results[i].value; return map;
+  }, {});
+}
+
+/**
+ * Deploy every stack in a manifest, in dependency order, passing outputs of earlier stacks to later ones.
+ * @param manifest manifest object or path to a manifest file
+ * @param options [optional] upsertStack options applied to every stack (merged with each stack's own options)
+ * @return {Promise} map of stack id to stack outputs
+ */
+async function deployAll(manifest, options) {
+  manifest = typeof manifest === 'string' ? loadManifest(manifest) : manifest;
+  const graph = buildDependencyGraph(manifest);
+  const outputs = {};
+
+  await runInOrder(graph, async (id) => {
+    const stack = manifest.stacks[id];
+    const name = getStackName(id, stack);
+    config.logger.info(`Deploying stack ${id} (${name})...`);
+    await cloudFormation.upsertStack(
+      name,
+      stack.template,
+      resolveParameters(id, stack, outputs),
+      Object.assign({}, options, stack.options)
+    );
+    outputs[id] = await cloudFormation.describeOutput(name);
+  });
+
+  return outputs;
+}
+
+/**
+ * Delete every stack in a manifest, in reverse dependency order.
+ * @param manifest manifest object or path to a manifest file
+ * @param options [optional] deleteStack options
+ * @return {Promise}
+ */
+async function deleteAll(manifest, options) {
+  manifest = typeof manifest === 'string' ? loadManifest(manifest) : manifest;
+  const graph = buildDependencyGraph(manifest);
+
+  // A stack can only be deleted once the stacks that depend on it are gone
+  const dependents = Object.keys(graph).reduce((map, id) => {
+    map[id] = Object.keys(graph).filter(other => graph[other].includes(id)); return map;
+  }, {});
+
+  await runInOrder(dependents, async (id) => {
+    const name = getStackName(id, manifest.stacks[id]);
+    config.logger.info(`Deleting stack ${id} (${name})...`);
+    await cloudFormation.deleteStack(name, options);
+  });
+}
+
+
+module.exports = {
+  loadManifest,
+  buildDependencyGraph,
+  deployAll,
+  deleteAll
+};
@@ -0,0 +1,126 @@
+'use strict';
+const config = require('./config');
+const cloudFormation = require('./cloudFormation');
+const parameterStore = require('./parameterStore');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Output file formats by file extension
+ */
+const FORMATS_BY_EXTENSION = {
+  '.env':  'env',
+  '.json': 'json',
+  '.yaml': 'yaml',
+  '.yml':  'yaml',
+  '.js':   'js',
+  '.cjs':  'js'
+};
+
+/**
+ * Merge the outputs of several stacks and write them to a file for downstream tools (e.g. frontend builds and tests).
+ * <p>
+ * Stacks can be given as a list of stack names, or as a map of key prefix to stack name to keep outputs with the
+ * same key apart (e.g. { Core: 'acme-dev-core', Api: 'acme-dev-api' } gives CoreBucketName and ApiBucketName).
+ * Keys are written in UPPER_SNAKE_CASE to .env files. If two stacks have an output with the same key, the
+ * output of the later stack is kept.
+ * Possible options:<br>
+ * {<br>
+ *    file           : string  // [optional] File to write the outputs to.<br>
+ *    format         : string  // [optional] 'env', 'json', 'yaml' or 'js' (defaults to the file extension, otherwise 'json').<br>
+ *    parameterStore : boolean // [optional] Also store each output as a parameter under config.getParameterPrefix().<br>
+ * }<br>
+ * </p>
+ * @param stackNames list of fully qualified stack names, or map of key prefix to stack name
+ * @param options [optional] output options (file, format, parameterStore)
+ * @return {Promise.<Object>} merged map of output key to value
+ */
+async function writeOutputs(stackNames, options) {
+  options = options || {};
+  const format = options.format || FORMATS_BY_EXTENSION[path.extname(options.file || '').toLowerCase()] || 'json';
+  if (!Object.values(FORMATS_BY_EXTENSION).includes(format)) {
+    throw new Error(`Unknown output format '${format}', expected one of env, json, yaml or js`);
+  }
+  const stacks = Array.isArray(stackNames)
+    ? stackNames.map(name => ({ prefix: '', name }))
+    : Object.keys(stackNames).map(prefix => ({ prefix, name: stackNames[prefix] }));
+
+  const outputs = {};
+  for (const stack of stacks) {
+    const stackOutputs = await cloudFormation.describeOutput(stack.name);
+    Object.keys(stackOutputs).forEach(key => {
+      const outputKey = stack.prefix + key;
+      if (outputs.hasOwnProperty(outputKey)) {
+        config.logger.warn(`Output ${outputKey} of ${stack.name} replaces the output of an earlier stack`);
+      }
+      outputs[outputKey] = stackOutputs[key];
+    });
+  }
+
+  if (options.file) {
+    fs.mkdirSync(path.dirname(options.file), { recursive: true });
+    fs.writeFileSync(options.file, formatOutputs(outputs, format));
+    config.logger.info(`Wrote ${Object.keys(outputs).length} outputs to ${options.file}`);
+  }
+
+  if (options.parameterStore) {
+    for (const key of Object.keys(outputs)) {
+      await parameterStore.putParameter({
+        Name: config.getParameterPrefix() + key,
+        Value: outputs[key],
+        Type: 'String',
+        Overwrite: true
+      });
+    }
+  }
+
+  return outputs;
+}
+
+/**
+ * Format outputs for writing to a file
+ * @param outputs map of output key to value
+ * @param format 'env', 'json', 'yaml' or 'js'
+ * @return {string} file content
+ */
+function formatOutputs(outputs, format) {
+  switch (format) {
+    case 'env':
+      return Object.keys(outputs).map(key => `${toEnvName(key)}=${toEnvValue(outputs[key])}\n`).join('');
+    case 'yaml':
+      return yaml.dump(outputs, { lineWidth: -1 });
+    case 'js':
+      return `module.exports = ${JSON.stringify(outputs, null, 2)};\n`;
+    default:
+      return JSON.stringify(outputs, null, 2) + '\n';
+  }
+}
+
+/**
+ * Convert an output key to an environment variable name, e.g. CoreBucketName to CORE_BUCKET_NAME
+ * @param key output key
+ * @return {string}
+ */
+function toEnvName(key) {
+  return key
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/([A-Z])([A-Z][a-z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9_]/g, '_')
+    .toUpperCase();
+}
+
+/**
+ * Quote an environment variable value if it contains anything other than simple characters
+ * @param value output value
+ * @return {string}
+ */
+function toEnvValue(value) {
+  const text = String(value);
+  return /^[\w@%+=:,./-]*$/.test(text) ? text : JSON.stringify(text);
+}
+
+
+module.exports = {
+  writeOutputs
+};
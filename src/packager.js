@@ -0,0 +1,199 @@
+'use strict';
+const config = require('./config');
+const s3 = require('./s3');
+const template = require('./template');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+
+/**
+ * Resource properties that may point at local artifacts, and how the uploaded artifact is referenced:<br>
+ *    uri      - s3://bucket/key string<br>
+ *    S3Bucket - { S3Bucket, S3Key } object<br>
+ *    Bucket   - { Bucket, Key } object<br>
+ *    url      - https URL (nested templates)<br>
+ * zip indicates the artifact must be uploaded as a zip archive, template that it is a nested template to package.
+ */
+const PACKAGEABLE_PROPERTIES = {
+  'AWS::Serverless::Function':                 { CodeUri: { ref: 'uri', zip: true } },
+  'AWS::Serverless::LayerVersion':             { ContentUri: { ref: 'uri', zip: true } },
+  'AWS::Serverless::Api':                      { DefinitionUri: { ref: 'uri' } },
+  'AWS::Serverless::HttpApi':                  { DefinitionUri: { ref: 'uri' } },
+  'AWS::Serverless::StateMachine':             { DefinitionUri: { ref: 'Bucket' } },
+  'AWS::Serverless::Application':              { Location: { ref: 'url', template: true } },
+  'AWS::Lambda::Function':                     { Code: { ref: 'S3Bucket', zip: true } },
+  'AWS::Lambda::LayerVersion':                 { Content: { ref: 'S3Bucket', zip: true } },
+  'AWS::ApiGateway::RestApi':                  { BodyS3Location: { ref: 'Bucket' } },
+  'AWS::StepFunctions::StateMachine':          { DefinitionS3Location: { ref: 'Bucket' } },
+  'AWS::AppSync::GraphQLSchema':               { DefinitionS3Location: { ref: 'uri' } },
+  'AWS::AppSync::Resolver':                    { RequestMappingTemplateS3Location: { ref: 'uri' }, ResponseMappingTemplateS3Location: { ref: 'uri' } },
+  'AWS::ElasticBeanstalk::ApplicationVersion': { SourceBundle: { ref: 'S3Bucket', zip: true } },
+  'AWS::CloudFormation::Stack':                { TemplateURL: { ref: 'url', template: true } }
+};
+
+/**
+ * Package a template: upload local artifacts referenced by its resources to S3 (zipping directories) using
+ * content-hash keys, package nested templates recursively and rewrite the references to point at S3.
+ * <p>
+ * Possible options:<br>
+ * {<br>
+ *    s3Bucket : string // Bucket to upload artifacts to (required if the template references local artifacts).<br>
+ *    s3Prefix : string // [optional] Key prefix for uploaded artifacts.<br>
+ * }<br>
+ * </p>
+ * @param script path to the template
+ * @param options package options (s3Bucket, s3Prefix)
+ * @return {Promise.<string>} packaged template body (same format as the source template)
+ */
+async function packageTemplate(script, options) {
+  options = options || {};
+  const loaded = template.loadTemplate(script);
+  const baseDir = path.dirname(script);
+
+  const resources = loaded.template.Resources || {};
+  for (const logicalId of Object.keys(resources)) {
+    const resource = resources[logicalId];
+    const properties = PACKAGEABLE_PROPERTIES[resource.Type] || {};
+    for (const property of Object.keys(properties)) {
+      const value = resource.Properties && resource.Properties[property];
+      if (!isLocalPath(value)) {
+        continue;
+      }
+      const artifact = path.resolve(baseDir, value);
+      if (!fs.existsSync(artifact)) {
+        throw new Error(`${logicalId} ${property} ${artifact} does not exist!`);
+      }
+      if (!options.s3Bucket) {
+        throw new Error(`s3Bucket is required to package ${logicalId} ${property} (${value})`);
+      }
+
+      const key = await uploadArtifact(artifact, properties[property], options);
+      resource.Properties[property] = formatReference(properties[property].ref, options.s3Bucket, key);
+      config.logger.info(`Packaged ${logicalId} ${property} ${value} as s3://${options.s3Bucket}/${key}`);
+    }
+  }
+
+  return template.serializeTemplate(loaded.template, loaded.format);
+}
+
+/**
+ * Check if a property value is a local path (rather than an S3/http location or an intrinsic function)
+ * @param value property value
+ * @return {boolean}
+ */
+function isLocalPath(value) {
+  return typeof value === 'string' && value.length > 0 && !/^(s3|https?):\/\//i.test(value);
+}
+
+/**
+ * Upload an artifact to S3 under a key derived from its content, skipping the upload if the key already exists
+ * @param artifact full path to the artifact
+ * @param property packageable property details (zip, template)
+ * @param options package options (s3Bucket, s3Prefix)
+ * @return {Promise.<string>} S3 key
+ */
+async function uploadArtifact(artifact, property, options) {
+  const prefix = options.s3Prefix || '';
+  const zip = !property.template &&
+    (fs.lstatSync(artifact).isDirectory() || (property.zip && !/\.(zip|jar)$/i.test(artifact)));
+
+  let body;
+  let key;
+  if (property.template) {
+    body = Buffer.from(await packageTemplate(artifact, options));
+    key = prefix + hash(body) + '.template';
+  } else {
+    // Zip archives include timestamps, so hash the source content to keep keys stable between builds
+    key = prefix + hashArtifact(artifact) + (zip ? '.zip' : path.extname(artifact));
+  }
+
+  if (await s3.objectExists(options.s3Bucket, key)) {
+    config.logger.info(`s3://${options.s3Bucket}/${key} already exists, skipping upload`);
+  } else {
+    body = body || (zip ? await zipArtifact(artifact) : fs.readFileSync(artifact));
+    await s3.putS3Object({ Bucket: options.s3Bucket, Key: key, Body: body });
+  }
+  return key;
+}
+
+/**
+ * Calculate the content hash of a file or directory (including relative file names)
+ * @param artifact full path to the file or directory
+ * @return {string} hex encoded hash
+ */
+function hashArtifact(artifact) {
+  if (!fs.lstatSync(artifact).isDirectory()) {
+    return hash(fs.readFileSync(artifact));
+  }
+
+  const digest = crypto.createHash('sha256');
+  const walk = (dir) => {
+    fs.readdirSync(dir).sort().forEach(name => {
+      const file = path.join(dir, name);
+      if (fs.lstatSync(file).isDirectory()) {
+        walk(file);
+      } else {
+        digest.update(path.relative(artifact, file).split(path.sep).join('/') + '\0');
+        digest.update(fs.readFileSync(file));
+      }
+    });
+  };
+  walk(artifact);
+  return digest.digest('hex');
+}
+
+/**
+ * Calculate the hash of some content
+ * @param content buffer or string
+ * @return {string} hex encoded hash
+ */
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Zip a file or directory in memory
+ * @param artifact full path to the file or directory
+ * @return {Promise.<Buffer>}
+ */
+function zipArtifact(artifact) {
+  return new Promise((resolve, reject) => {
+    const archive = archiver.create('zip');
+    const chunks = [];
+    archive.on('data', chunk => chunks.push(chunk));
+    archive.on('end', () => resolve(Buffer.concat(chunks)));
+    archive.on('error', reject);
+    if (fs.lstatSync(artifact).isDirectory()) {
+      archive.directory(artifact, false);
+    } else {
+      archive.file(artifact, { name: path.basename(artifact) });
+    }
+    archive.finalize();
+  });
+}
+
+/**
+ * Format the reference to an uploaded artifact for a resource property
+ * @param ref reference type (uri, S3Bucket, Bucket or url)
+ * @param bucket bucket name
+ * @param key object key
+ * @return {string|Object}
+ */
+function formatReference(ref, bucket, key) {
+  switch (ref) {
+    case 'S3Bucket':
+      return { S3Bucket: bucket, S3Key: key };
+    case 'Bucket':
+      return { Bucket: bucket, Key: key };
+    case 'url':
+      return s3.getObjectUrl(bucket, key);
+    default:
+      return `s3://${bucket}/${key}`;
+  }
+}
+
+
+module.exports = {
+  packageTemplate
+};
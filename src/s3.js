@@ -12,7 +12,9 @@ const {
   DeleteObjectsCommand,
   GetBucketVersioningCommand,
   PutObjectCommand,
-  PutBucketNotificationConfigurationCommand
+  PutBucketNotificationConfigurationCommand,
+  HeadObjectCommand,
+  GetObjectCommand
 } = require('@aws-sdk/client-s3');
 
 /**
@@ -274,6 +276,98 @@ async function putBucketNotificationConfiguration(params) {
   return res
 }
 
+/**
+ * Check if the specified object exists
+ * @param bucketName the name of the bucket
+ * @param key object key
+ * @returns {Promise.<boolean>}
+ */
+async function objectExists(bucketName, key) {
+  const s3 = new S3Client(config.AWS.clientConfig);
+  try {
+    await s3.send(new HeadObjectCommand({ Bucket: bucketName, Key: key }));
+    return true;
+  } catch (err) {
+    if (err.name === 'NotFound' || (err.$metadata && err.$metadata.httpStatusCode === 404)) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Create an object only if no object exists with the same key (conditional write)
+ * @param bucketName the name of the bucket
+ * @param key object key
+ * @param body object content
+ * @returns {Promise.<string|undefined>} ETag of the new object, undefined if the object already exists
+ */
+async function createObject(bucketName, key, body) {
+  return await putConditionalObject({ Bucket: bucketName, Key: key, Body: body, IfNoneMatch: '*' });
+}
+
+/**
+ * Replace an object only if it has not changed since it was read (conditional write)
+ * @param bucketName the name of the bucket
+ * @param key object key
+ * @param body object content
+ * @param eTag ETag of the object as it was read
+ * @returns {Promise.<string|undefined>} ETag of the new object, undefined if the object has changed or no longer exists
+ */
+async function replaceObject(bucketName, key, body, eTag) {
+  return await putConditionalObject({ Bucket: bucketName, Key: key, Body: body, IfMatch: eTag });
+}
+
+/**
+ * Put an object with a precondition (IfNoneMatch or IfMatch)
+ * @param params AWS putObject params
+ * @returns {Promise.<string|undefined>} ETag of the new object, undefined if the precondition failed
+ */
+async function putConditionalObject(params) {
+  const s3 = new S3Client(config.AWS.clientConfig);
+  try {
+    const data = await s3.send(new PutObjectCommand(params));
+    return (data && data.ETag) || '';
+  } catch (err) {
+    const status = err.$metadata && err.$metadata.httpStatusCode;
+    if (['PreconditionFailed', 'ConditionalRequestConflict', 'NoSuchKey'].includes(err.name) || [404, 409, 412].includes(status)) {
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Read the content of an object as text
+ * @param bucketName the name of the bucket
+ * @param key object key
+ * @returns {Promise.<{Body: string, ETag: string}|undefined>} undefined if the object does not exist
+ */
+async function readObject(bucketName, key) {
+  const s3 = new S3Client(config.AWS.clientConfig);
+  try {
+    const data = await s3.send(new GetObjectCommand({ Bucket: bucketName, Key: key }));
+    return data && data.Body ? { Body: await data.Body.transformToString(), ETag: data.ETag } : undefined;
+  } catch (err) {
+    if (err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404)) {
+      return undefined;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Get the region specific (virtual hosted style) https URL of an object
+ * @param bucketName the name of the bucket
+ * @param key object key
+ * @returns {string}
+ */
+function getObjectUrl(bucketName, key) {
+  const region = config.AWS_REGION;
+  const host = region === 'us-east-1' ? 's3.amazonaws.com' : `s3.${region}.amazonaws.com`;
+  return `https://${bucketName}.${host}/${key.split('/').map(encodeURIComponent).join('/')}`;
+}
+
 
 module.exports = {
   putS3Object,
@@ -284,5 +378,10 @@ module.exports = {
   emptyBucket,
   uploadDirectory,
   uploadDirectoryAsZipFile,
-  putBucketNotificationConfiguration
+  putBucketNotificationConfiguration,
+  objectExists,
+  createObject,
+  replaceObject,
+  readObject,
+  getObjectUrl
 };
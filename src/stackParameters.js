@@ -0,0 +1,184 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * Matches parameter values resolved at deploy time from the parameter store, e.g. ssm:/acme/dev/db-password
+ */
+const SSM_REFERENCE = /^ssm:(.+)$/;
+
+/**
+ * Matches parameter values resolved at deploy time from another stack's outputs, e.g. stack:acme-dev-core.BucketName
+ */
+const STACK_REFERENCE = /^stack:(.+)\.([^.]+)$/;
+
+/**
+ * Load stack parameters into an AWS parameter listing.
+ * <p>
+ * Parameters can be given as:<br>
+ *    an AWS parameter listing - [{ ParameterKey: 'Environment', ParameterValue: 'dev' }]<br>
+ *    a map of parameter name to value - { Environment: 'dev', Subnets: ['a', 'b'], Password: { UsePreviousValue: true } }<br>
+ *    the path to a JSON or YAML file containing either of the above (e.g. parameters/dev.yaml)<br>
+ * Values may reference 'ssm:/parameter/name' or 'stack:stack-name.OutputKey', see parseReference.
+ * </p>
+ * @param parameters parameter listing, map or path to a parameters file
+ * @return {Array} AWS parameter listing
+ */
+function loadParameters(parameters) {
+  if (parameters === undefined || parameters === null) {
+    return parameters;
+  }
+  if (typeof parameters === 'string') {
+    return loadParameters(loadParametersFile(parameters));
+  }
+  if (Array.isArray(parameters)) {
+    return parameters.slice();
+  }
+  return Object.keys(parameters).map(key => {
+    const value = parameters[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.assign({ ParameterKey: key }, value);
+    }
+    return { ParameterKey: key, ParameterValue: Array.isArray(value) ? value.join(',') : String(value) };
+  });
+}
+
+/**
+ * Read a JSON or YAML parameters file
+ * @param file path to the parameters file (.json, .yaml or .yml)
+ * @return {Array|Object} parameter listing or map
+ */
+function loadParametersFile(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} does not exist!`);
+  }
+  switch (path.extname(file).toLowerCase()) {
+    case '.json':
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    case '.yaml':
+    case '.yml':
+      return yaml.load(fs.readFileSync(file, 'utf-8'));
+    default:
+      throw new Error(`Unsupported parameters file format '${file}', expected .json, .yaml or .yml`);
+  }
+}
+
+/**
+ * Parse a parameter value that references a value resolved at deploy time
+ * @param value parameter value
+ * @return {Object|undefined} { type: 'ssm', name } or { type: 'stack', stackName, outputKey }, undefined if not a reference
+ */
+function parseReference(value) {
+  const ssm = SSM_REFERENCE.exec(value || '');
+  if (ssm) {
+    return { type: 'ssm', name: ssm[1] };
+  }
+  const stack = STACK_REFERENCE.exec(value || '');
+  if (stack) {
+    return { type: 'stack', stackName: stack[1], outputKey: stack[2] };
+  }
+  return undefined;
+}
+
+/**
+ * Validate a stack parameter listing against the template's parameter declarations.
+ * <p>
+ * Fails on parameters not declared by the template, missing parameters without a default value and
+ * values that violate AllowedValues, AllowedPattern, MinLength, MaxLength, MinValue or MaxValue.
+ * Parameters omitted from the listing that the existing stack already has (previous) are added
+ * with UsePreviousValue rather than falling back to their default.
+ * </p>
+ * @param declarations map of parameter name to declaration (template Parameters section)
+ * @param parameters AWS parameter listing ({ ParameterKey, ParameterValue|UsePreviousValue })
+ * @param previous [optional] parameters of the existing stack (used for omitted parameters)
+ * @return {Array} parameter listing to deploy with
+ */
+function validateParameters(declarations, parameters, previous) {
+  const errors = [];
+  const given = new Set();
+
+  parameters.forEach(parameter => {
+    const key = parameter.ParameterKey;
+    if (!declarations.hasOwnProperty(key)) {
+      errors.push(`${key}: not declared by the template`);
+    } else if (given.has(key)) {
+      errors.push(`${key}: specified more than once`);
+    } else if (!parameter.UsePreviousValue) {
+      errors.push(...checkConstraints(key, declarations[key], parameter.ParameterValue));
+    }
+    given.add(key);
+  });
+
+  const previousKeys = (previous || []).map(parameter => parameter.ParameterKey);
+  const result = parameters.slice();
+  Object.keys(declarations).filter(key => !given.has(key)).forEach(key => {
+    if (previousKeys.includes(key)) {
+      result.push({ ParameterKey: key, UsePreviousValue: true });
+    } else if (declarations[key].Default === undefined) {
+      errors.push(`${key}: required parameter has no value and no default`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new Error('Invalid stack parameters:\n' + errors.join('\n'));
+  }
+  return result;
+}
+
+/**
+ * Check a parameter value against the constraints of its declaration
+ * @param key parameter name
+ * @param declaration template parameter declaration
+ * @param value parameter value
+ * @return {Array.<string>} constraint violations
+ */
+function checkConstraints(key, declaration, value) {
+  const type = declaration.Type || 'String';
+  if (value === undefined || value === null) {
+    return [`${key}: no value (set ParameterValue or UsePreviousValue)`];
+  }
+  // The value of an SSM parameter type is the SSM parameter name, constraints apply to the resolved value
+  if (type.startsWith('AWS::SSM::Parameter::')) {
+    return [];
+  }
+
+  const display = (text) => declaration.NoEcho && String(declaration.NoEcho) === 'true' ? '****' : `'${text}'`;
+  const isList = type === 'CommaDelimitedList' || type.startsWith('List<');
+  const isNumber = type === 'Number' || type === 'List<Number>';
+  const values = isList ? String(value).split(',').map(item => item.trim()) : [String(value)];
+
+  const errors = [];
+  values.forEach(item => {
+    if (declaration.AllowedValues && !declaration.AllowedValues.map(String).includes(item)) {
+      errors.push(`${key}: ${display(item)} is not one of ${declaration.AllowedValues.join(', ')}`);
+    }
+    if (declaration.AllowedPattern && !new RegExp(`^(?:${declaration.AllowedPattern})$`).test(item)) {
+      errors.push(`${key}: ${display(item)} does not match pattern ${declaration.AllowedPattern}`);
+    }
+    if (declaration.MinLength !== undefined && item.length < Number(declaration.MinLength)) {
+      errors.push(`${key}: ${display(item)} is shorter than ${declaration.MinLength} characters`);
+    }
+    if (declaration.MaxLength !== undefined && item.length > Number(declaration.MaxLength)) {
+      errors.push(`${key}: ${display(item)} is longer than ${declaration.MaxLength} characters`);
+    }
+    if (isNumber) {
+      const number = Number(item);
+      if (item.trim() === '' || isNaN(number)) {
+        errors.push(`${key}: ${display(item)} is not a number`);
+      } else if (declaration.MinValue !== undefined && number < Number(declaration.MinValue)) {
+        errors.push(`${key}: ${display(item)} is less than ${declaration.MinValue}`);
+      } else if (declaration.MaxValue !== undefined && number > Number(declaration.MaxValue)) {
+        errors.push(`${key}: ${display(item)} is greater than ${declaration.MaxValue}`);
+      }
+    }
+  });
+  return errors;
+}
+
+
+module.exports = {
+  loadParameters,
+  parseReference,
+  validateParameters
+};
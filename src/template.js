@@ -0,0 +1,340 @@
+'use strict';
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+/**
+ * CloudFormation intrinsic functions (including the rule functions of the Rules section) that have a YAML short
+ * form tag (e.g. !Sub for Fn::Sub)
+ */
+const INTRINSIC_FUNCTIONS = [
+  'Base64', 'Cidr', 'FindInMap', 'GetAtt', 'GetAZs', 'ImportValue', 'Join', 'Select', 'Split', 'Sub',
+  'Transform', 'And', 'Equals', 'If', 'Not', 'Or', 'Length', 'ToJsonString',
+  'Contains', 'EachMemberEquals', 'EachMemberIn', 'RefAll', 'ValueOf', 'ValueOfAll'
+];
+
+/**
+ * Maximum size in bytes of a template passed inline (TemplateBody), larger templates must be uploaded to S3
+ */
+const TEMPLATE_BODY_LIMIT = 51200;
+
+/**
+ * Maximum size in bytes of a template uploaded to S3 (TemplateURL)
+ */
+const TEMPLATE_URL_LIMIT = 1024 * 1024;
+
+/**
+ * Maximum number of entries per template section
+ */
+const SECTION_LIMITS = {
+  Resources:  500,
+  Parameters: 200,
+  Outputs:    200,
+  Mappings:   200
+};
+
+/**
+ * IAM resource types that require CAPABILITY_IAM, and the property that gives them an explicit name
+ * (which requires CAPABILITY_NAMED_IAM)
+ */
+const IAM_RESOURCE_TYPES = {
+  'AWS::IAM::AccessKey':           undefined,
+  'AWS::IAM::Group':               'GroupName',
+  'AWS::IAM::InstanceProfile':     'InstanceProfileName',
+  'AWS::IAM::ManagedPolicy':       'ManagedPolicyName',
+  'AWS::IAM::Policy':              undefined,
+  'AWS::IAM::Role':                'RoleName',
+  'AWS::IAM::User':                'UserName',
+  'AWS::IAM::UserToGroupAddition': undefined
+};
+
+/**
+ * SAM resource types that generate an IAM role unless one is given, and the property giving the role
+ */
+const SAM_ROLE_PROPERTIES = {
+  'AWS::Serverless::Function':     'Role',
+  'AWS::Serverless::StateMachine': 'Role'
+};
+
+/**
+ * Nested stack resource types and the property giving the location of their template
+ */
+const NESTED_STACK_PROPERTIES = {
+  'AWS::CloudFormation::Stack':   'TemplateURL',
+  'AWS::Serverless::Application': 'Location'
+};
+
+/**
+ * Every capability, in the order they are reported
+ */
+const CAPABILITIES = ['CAPABILITY_IAM', 'CAPABILITY_NAMED_IAM', 'CAPABILITY_AUTO_EXPAND'];
+
+/**
+ * YAML schema understanding CloudFormation short form tags. Tags are converted to their long form
+ * (e.g. !GetAtt Bucket.Arn becomes { 'Fn::GetAtt': ['Bucket', 'Arn'] }).
+ * The core schema is used so values such as 2010-09-09 stay as strings.
+ */
+const CLOUDFORMATION_SCHEMA = yaml.CORE_SCHEMA.extend(
+  [].concat(
+    ...['scalar', 'sequence', 'mapping'].map(kind => [
+      new yaml.Type('!Ref', { kind, construct: data => ({ Ref: data }) }),
+      new yaml.Type('!Condition', { kind, construct: data => ({ Condition: data }) })
+    ].concat(INTRINSIC_FUNCTIONS.map(name => new yaml.Type('!' + name, {
+      kind,
+      construct: data => ({
+        ['Fn::' + name]: name === 'GetAtt' && typeof data === 'string'
+          ? [data.substring(0, data.indexOf('.')), data.substring(data.indexOf('.') + 1)]
+          : data
+      })
+    }))))
+  )
+);
+
+/**
+ * Parse a JSON or YAML template body (including CloudFormation short form tags).
+ * @param body template body
+ * @return {Object} template
+ */
+function parseTemplate(body) {
+  return getTemplateFormat(body) === 'json'
+    ? JSON.parse(body)
+    : yaml.load(body, { schema: CLOUDFORMATION_SCHEMA });
+}
+
+/**
+ * Determine whether a template body is JSON or YAML
+ * @param body template body
+ * @return {string} 'json' or 'yaml'
+ */
+function getTemplateFormat(body) {
+  return body.trim().startsWith('{') ? 'json' : 'yaml';
+}
+
+/**
+ * Load and parse a template file
+ * @param file path to the template
+ * @return {{template: Object, format: string, body: string}} parsed template, its format and the raw body
+ */
+function loadTemplate(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`${file} does not exist!`);
+  }
+  const body = fs.readFileSync(file, 'utf-8');
+  return { template: parseTemplate(body), format: getTemplateFormat(body), body };
+}
+
+/**
+ * Get the names of the transforms (macros) declared by a template, e.g. ['AWS::Serverless-2016-10-31']
+ * @param template template object
+ * @return {Array.<string>}
+ */
+function getTransforms(template) {
+  const transform = template && typeof template === 'object' ? template.Transform : undefined;
+  return [].concat(transform || []).map(entry => typeof entry === 'string' ? entry : entry.Name);
+}
+
+/**
+ * Get the parameter declarations of a template
+ * @param template template object
+ * @return {Object} map of parameter name to declaration (Type, Default, AllowedValues...)
+ */
+function getParameters(template) {
+  return (template && typeof template === 'object' && template.Parameters) || {};
+}
+
+/**
+ * Get the capabilities a template must acknowledge: CAPABILITY_IAM for IAM resources (including roles generated
+ * by SAM), CAPABILITY_NAMED_IAM for IAM resources with explicit names and CAPABILITY_AUTO_EXPAND for transforms
+ * and macros. Nested stacks with a local template are inspected when baseDir is given, any other nested stack
+ * may need every capability.
+ * @param template template object
+ * @param baseDir [optional] directory local nested stack templates are relative to
+ * @return {Array.<string>}
+ */
+function getRequiredCapabilities(template, baseDir) {
+  const resources = (template && typeof template === 'object' && template.Resources) || {};
+  const capabilities = new Set();
+  Object.keys(resources).forEach(logicalId => {
+    const resource = resources[logicalId] || {};
+    const properties = resource.Properties || {};
+    if (IAM_RESOURCE_TYPES.hasOwnProperty(resource.Type)) {
+      capabilities.add('CAPABILITY_IAM');
+      const nameProperty = IAM_RESOURCE_TYPES[resource.Type];
+      if (nameProperty && properties[nameProperty] !== undefined) {
+        capabilities.add('CAPABILITY_NAMED_IAM');
+      }
+    } else if (SAM_ROLE_PROPERTIES.hasOwnProperty(resource.Type) && properties[SAM_ROLE_PROPERTIES[resource.Type]] === undefined) {
+      capabilities.add('CAPABILITY_IAM');
+    } else if (NESTED_STACK_PROPERTIES.hasOwnProperty(resource.Type)) {
+      const location = properties[NESTED_STACK_PROPERTIES[resource.Type]];
+      if (baseDir && typeof location === 'string' && !/^(s3|https?):\/\//i.test(location)) {
+        const file = path.resolve(baseDir, location);
+        getRequiredCapabilities(loadTemplate(file).template, path.dirname(file)).forEach(capability => capabilities.add(capability));
+      } else {
+        CAPABILITIES.forEach(capability => capabilities.add(capability));
+      }
+    }
+  });
+  if (getTransforms(template).length > 0 || JSON.stringify(template || {}).includes('"Fn::Transform"')) {
+    capabilities.add('CAPABILITY_AUTO_EXPAND');
+  }
+  return CAPABILITIES.filter(capability => capabilities.has(capability));
+}
+
+/**
+ * Check a template offline, without calling CloudFormation.
+ * <p>
+ * Errors: unresolved Ref, Fn::GetAtt, Fn::Sub, DependsOn and condition targets (reported as warnings for templates
+ * with transforms, which generate resources), missing required outputs, section limits, template size over the
+ * inline limit (unless it will be uploaded to S3) and capabilities that are required but not acknowledged.
+ * Warnings: parameters that are never referenced.
+ * Possible options:<br>
+ * {<br>
+ *    requiredOutputs : Array   // [optional] Output keys the template must declare (e.g. read by other stacks).<br>
+ *    capabilities    : Array   // [optional] Capabilities the stack is deployed with, checked against the required ones.<br>
+ *    s3Upload        : boolean // [optional] The template will be uploaded to S3, so the inline size limit does not apply.<br>
+ *    baseDir         : string  // [optional] Directory local nested stack templates are relative to (see getRequiredCapabilities).<br>
+ * }<br>
+ * </p>
+ * @param body template body
+ * @param options [optional] lint options (requiredOutputs, capabilities, s3Upload, baseDir)
+ * @return {{errors: Array.<string>, warnings: Array.<string>, capabilities: Array.<string>, size: number}}
+ */
+function lintTemplate(body, options) {
+  options = options || {};
+  const errors = [];
+  const warnings = [];
+  const size = Buffer.byteLength(body, 'utf-8');
+  const template = parseTemplate(body);
+
+  if (!template || typeof template !== 'object' || !template.Resources || typeof template.Resources !== 'object') {
+    return { errors: ['Resources: template declares no resources'], warnings, capabilities: [], size };
+  }
+
+  if (size > TEMPLATE_URL_LIMIT) {
+    errors.push(`Template is ${size} bytes, over the ${TEMPLATE_URL_LIMIT} byte limit`);
+  } else if (size > TEMPLATE_BODY_LIMIT && !options.s3Upload) {
+    errors.push(`Template is ${size} bytes, over the ${TEMPLATE_BODY_LIMIT} byte limit for inline templates (upload it to S3)`);
+  }
+  Object.keys(SECTION_LIMITS).forEach(section => {
+    const count = Object.keys(template[section] || {}).length;
+    if (count > SECTION_LIMITS[section]) {
+      errors.push(`${section}: ${count} declared, over the limit of ${SECTION_LIMITS[section]}`);
+    }
+  });
+
+  // Transforms generate resources (e.g. SAM function roles) that may be referenced before they exist
+  const unresolved = getTransforms(template).length > 0 ? warnings : errors;
+  const targets = {
+    Ref: Object.keys(template.Parameters || {}).concat(Object.keys(template.Resources)),
+    GetAtt: Object.keys(template.Resources),
+    Condition: Object.keys(template.Conditions || {})
+  };
+  const references = [];
+  ['Conditions', 'Resources', 'Outputs', 'Rules'].forEach(section => {
+    Object.keys(template[section] || {}).forEach(key => {
+      const location = `${section}.${key}`;
+      const entry = template[section][key];
+      collectReferences(entry, location, references);
+      if (section === 'Resources' && entry) {
+        [].concat(entry.DependsOn || []).forEach(target => references.push({ type: 'DependsOn', target, location }));
+      }
+      if ((section === 'Resources' || section === 'Outputs') && entry && typeof entry.Condition === 'string') {
+        references.push({ type: 'Condition', target: entry.Condition, location });
+      }
+    });
+  });
+  references.forEach(reference => {
+    const valid = reference.type === 'DependsOn' ? targets.GetAtt : targets[reference.type];
+    if (!reference.target.startsWith('AWS::') && !valid.includes(reference.target)) {
+      unresolved.push(`${reference.location}: unresolved ${reference.type} ${reference.target}`);
+    }
+  });
+
+  Object.keys(template.Parameters || {})
+    .filter(name => !references.some(reference => reference.type === 'Ref' && reference.target === name))
+    .forEach(name => warnings.push(`Parameters.${name}: declared but never used`));
+
+  (options.requiredOutputs || [])
+    .filter(key => !(template.Outputs || {}).hasOwnProperty(key))
+    .forEach(key => errors.push(`Outputs.${key}: required output is not declared`));
+
+  const capabilities = getRequiredCapabilities(template, options.baseDir);
+  if (options.capabilities) {
+    capabilities
+      .filter(capability => !options.capabilities.includes(capability))
+      .forEach(capability => errors.push(`Template requires ${capability}, which is not acknowledged`));
+  }
+
+  return { errors, warnings, capabilities, size };
+}
+
+/**
+ * Collect the Ref, Fn::GetAtt, Fn::Sub and Fn::If condition references of a template entry
+ * @param node template entry (or part of it)
+ * @param location location of the entry reported with its references (e.g. Resources.Bucket)
+ * @param references collected references ({ type, target, location })
+ */
+function collectReferences(node, location, references) {
+  if (Array.isArray(node)) {
+    node.forEach(item => collectReferences(item, location, references));
+    return;
+  }
+  if (!node || typeof node !== 'object') {
+    return;
+  }
+  Object.keys(node).forEach(key => {
+    const value = node[key];
+    if (key === 'Ref' && typeof value === 'string') {
+      references.push({ type: 'Ref', target: value, location });
+    } else if (key === 'Fn::GetAtt') {
+      const target = Array.isArray(value) ? value[0] : String(value).split('.')[0];
+      if (typeof target === 'string') {
+        references.push({ type: 'GetAtt', target, location });
+      }
+    } else if (key === 'Fn::Sub') {
+      const text = Array.isArray(value) ? value[0] : value;
+      const variables = (Array.isArray(value) && value[1]) || {};
+      const pattern = /\$\{([^!}][^}]*)\}/g;
+      let match;
+      while (typeof text === 'string' && (match = pattern.exec(text)) !== null) {
+        const name = match[1].trim();
+        if (!variables.hasOwnProperty(name)) {
+          references.push(name.includes('.') && !name.startsWith('AWS::')
+            ? { type: 'GetAtt', target: name.split('.')[0], location }
+            : { type: 'Ref', target: name, location });
+        }
+      }
+    } else if (key === 'Fn::If' && Array.isArray(value) && typeof value[0] === 'string') {
+      references.push({ type: 'Condition', target: value[0], location });
+    } else if (key === 'Condition' && typeof value === 'string' && location.startsWith('Conditions.')) {
+      references.push({ type: 'Condition', target: value, location });
+    }
+    collectReferences(value, location, references);
+  });
+}
+
+/**
+ * Serialize a template (intrinsic functions are written in their long form)
+ * @param template template object
+ * @param format [optional] 'json' or 'yaml' (defaults to 'yaml')
+ * @return {string} template body
+ */
+function serializeTemplate(template, format) {
+  return format === 'json'
+    ? JSON.stringify(template, null, 2)
+    : yaml.dump(template, { schema: yaml.CORE_SCHEMA, noRefs: true, lineWidth: -1 });
+}
+
+
+module.exports = {
+  parseTemplate,
+  getTemplateFormat,
+  loadTemplate,
+  getTransforms,
+  getParameters,
+  getRequiredCapabilities,
+  lintTemplate,
+  serializeTemplate,
+  TEMPLATE_BODY_LIMIT
+};
@@ -0,0 +1,186 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+_chai.use(require('chai-as-promised'));
+const rewire = require("rewire");
+const { mockClient } = require("aws-sdk-client-mock");
+const { mockConfig } = require("./stubs");
+const {
+  STSClient,
+  GetCallerIdentityCommand
+} = require("@aws-sdk/client-sts");
+
+// Rewire
+const audit = rewire("../src/audit");
+
+// Audit Tests
+describe("src/audit", () => {
+  let stubs = [];
+
+  // Mock STS Client
+  let stsMock;
+
+  // Audit log content and S3 objects written by the tests
+  let files;
+  let objects;
+
+  beforeEach(() => {
+    files = {};
+    objects = [];
+    // Mock client
+    stsMock = mockClient(STSClient);
+    stsMock.on(GetCallerIdentityCommand).resolves({ Arn: "arn:aws:iam::123456789012:user/deployer" });
+    // Mock config
+    const configRestore = audit.__set__("config", Object.assign({}, mockConfig, {
+      AUDIT_LOG: "logs/audit.jsonl"
+    }));
+    stubs.push({ restore: function () { return configRestore(); } });
+    // Mock 'fs'
+    const fsRestore = audit.__set__("fs", {
+      mkdirSync: (_path) => { },
+      appendFileSync: (file, data) => { files[file] = (files[file] || "") + data; },
+      existsSync: (file) => files.hasOwnProperty(file),
+      readFileSync: (file) => files[file],
+    });
+    stubs.push({ restore: function () { return fsRestore(); } });
+    // Mock S3
+    const s3Restore = audit.__set__("s3", {
+      putS3Object: async (input) => { objects.push(input); return {}; }
+    });
+    stubs.push({ restore: function () { return s3Restore(); } });
+    // Mock git
+    const childProcessRestore = audit.__set__("childProcess", {
+      execSync: (_command) => Buffer.from("abc123\n")
+    });
+    stubs.push({ restore: function () { return childProcessRestore(); } });
+    // Reset session
+    const sessionRestore = audit.__set__("session", undefined);
+    stubs.push({ restore: function () { return sessionRestore(); } });
+  });
+
+  afterEach(() => {
+    // Reset mock
+    stsMock.reset();
+    stubs.forEach(stub => stub.restore());
+    stubs = [];
+  });
+
+  describe("record operation", () => {
+    it("records a successful operation", async () => {
+      const result = await audit.recordOperation("upsertStack", "StackName", {
+        template: "stack.yaml",
+        body: "Resources: {}",
+        parameters: [
+          { ParameterKey: "Environment", ParameterValue: "dev" },
+          { ParameterKey: "DbPassword", ParameterValue: "hunter2" },
+          { ParameterKey: "ApiKey", ParameterValue: "key" },
+          { ParameterKey: "Version", UsePreviousValue: true },
+        ],
+        declarations: { ApiKey: { Type: "String", NoEcho: true } }
+      }, async () => ({ Stacks: [{ StackName: "StackName", StackStatus: "UPDATE_COMPLETE" }] }));
+
+      expect(result.Stacks[0].StackStatus).to.eql("UPDATE_COMPLETE");
+      const records = audit.getHistory();
+      expect(records).to.have.lengthOf(1);
+      expect(records[0]).to.include({
+        operation: "upsertStack",
+        stackName: "StackName",
+        template: "stack.yaml",
+        templateHash: require("crypto").createHash("sha256").update("Resources: {}").digest("hex"),
+        result: "UPDATE_COMPLETE",
+        operator: "arn:aws:iam::123456789012:user/deployer",
+        gitCommit: "abc123"
+      });
+      expect(records[0].parameters).to.eql({
+        Environment: "dev",
+        DbPassword: "****",
+        ApiKey: "****",
+        Version: "(previous value)"
+      });
+      expect(records[0].startTime).to.be.a("string");
+      expect(records[0].endTime).to.be.a("string");
+      expect(objects).to.have.lengthOf(0);
+    });
+
+    it("records references instead of resolved values", async () => {
+      await audit.recordOperation("upsertStack", "StackName", {
+        parameters: [
+          { ParameterKey: "DbPass", ParameterValue: "resolved-secure-string" },
+          { ParameterKey: "Bucket", ParameterValue: "core-bucket" },
+        ],
+        references: { DbPass: "ssm:/acme/dev/db-pass", Bucket: "stack:acme-dev-core.Bucket" }
+      }, async () => ({}));
+
+      const record = audit.getHistory("StackName")[0];
+      expect(record.parameters).to.eql({ DbPass: "ssm:/acme/dev/db-pass", Bucket: "stack:acme-dev-core.Bucket" });
+      expect(files["logs/audit.jsonl"]).to.not.include("resolved-secure-string");
+    });
+
+    it("records a failed operation and rethrows the error", async () => {
+      await expect(audit.recordOperation("deleteStack", "StackName", {}, async () => {
+        throw new Error("Stack is in DELETE_FAILED state");
+      })).to.eventually.be.rejectedWith("Stack is in DELETE_FAILED state");
+
+      const records = audit.getHistory("StackName");
+      expect(records).to.have.lengthOf(1);
+      expect(records[0]).to.include({ operation: "deleteStack", result: "FAILED", error: "Stack is in DELETE_FAILED state" });
+    });
+
+    it("writes records to S3", async () => {
+      const configRestore = audit.__set__("config", Object.assign({}, mockConfig, {
+        AUDIT_LOG: "logs/audit.jsonl",
+        AUDIT_S3_URI: "s3://audit-bucket/deployments"
+      }));
+      stubs.push({ restore: function () { return configRestore(); } });
+
+      await audit.recordOperation("executeChangeSet", "StackName", { changeSetName: "cs" }, async () => ({}));
+
+      expect(objects).to.have.lengthOf(1);
+      expect(objects[0].Bucket).to.eql("audit-bucket");
+      expect(objects[0].Key).to.match(/^deployments\/StackName\/.+-executeChangeSet\.json$/);
+      expect(JSON.parse(objects[0].Body)).to.include({ changeSetName: "cs", result: "SUCCEEDED" });
+    });
+
+    it("writes the records of operations still running before exiting", async () => {
+      let complete;
+      const operation = audit.recordOperation("executeChangeSet", "StackName", { changeSetName: "cs" },
+        () => new Promise(resolve => { complete = resolve; }));
+
+      await audit.flushOpenRecords("INTERRUPTED");
+      expect(audit.getHistory("StackName").map(record => record.result)).to.eql(["INTERRUPTED"]);
+
+      complete({});
+      await operation;
+      expect(audit.getHistory("StackName")).to.have.lengthOf(1);
+    });
+
+    it("does not fail the operation when the record cannot be written", async () => {
+      const fsRestore = audit.__set__("fs", {
+        mkdirSync: (_path) => { throw new Error("EACCES"); }
+      });
+      stubs.push({ restore: function () { return fsRestore(); } });
+      stsMock.on(GetCallerIdentityCommand).rejects(new Error("no credentials"));
+
+      await expect(audit.recordOperation("upsertStack", "StackName", {}, async () => "done")).to.eventually.eql("done");
+    });
+  });
+
+  describe("get history", () => {
+    it("filters by stack and operation, and limits to the most recent records", async () => {
+      await audit.recordOperation("upsertStack", "Stack1", {}, async () => ({}));
+      await audit.recordOperation("upsertStack", "Stack2", {}, async () => ({}));
+      await audit.recordOperation("deleteStack", "Stack1", {}, async () => ({}));
+      await audit.recordOperation("upsertStack", "Stack1", { template: "latest.yaml" }, async () => ({}));
+
+      expect(audit.getHistory()).to.have.lengthOf(4);
+      expect(audit.getHistory("Stack1").map(record => record.operation)).to.eql(["upsertStack", "deleteStack", "upsertStack"]);
+      expect(audit.getHistory("Stack1", { operation: "upsertStack" })).to.have.lengthOf(2);
+      const latest = audit.getHistory("Stack1", { limit: 1 });
+      expect(latest).to.have.lengthOf(1);
+      expect(latest[0].template).to.eql("latest.yaml");
+    });
+
+    it("returns no records without an audit log", () => {
+      expect(audit.getHistory("StackName")).to.eql([]);
+    });
+  });
+});
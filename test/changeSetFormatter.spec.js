@@ -0,0 +1,98 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+const changeSetFormatter = require("../src/changeSetFormatter");
+
+// Sample change set with property values and a nested stack change set
+const changeSet = {
+  ChangeSetName: "ChangeSetName",
+  StackName: "StackName",
+  Changes: [
+    {
+      Type: "Resource",
+      ResourceChange: {
+        Action: "Modify",
+        LogicalResourceId: "Bucket",
+        ResourceType: "AWS::S3::Bucket",
+        Replacement: "True",
+        Details: [
+          {
+            ChangeSource: "DirectModification",
+            Target: { Attribute: "Properties", Name: "BucketName", Path: "/Properties/BucketName", RequiresRecreation: "Always", BeforeValue: "old-name", AfterValue: "new|name" }
+          },
+          {
+            ChangeSource: "DirectModification",
+            Target: { Attribute: "Tags", Name: "Owner", RequiresRecreation: "Never" }
+          }
+        ]
+      }
+    },
+    {
+      Type: "Resource",
+      ResourceChange: {
+        Action: "Modify",
+        LogicalResourceId: "Nested",
+        ResourceType: "AWS::CloudFormation::Stack",
+        Replacement: "False",
+        NestedChangeSet: {
+          Changes: [
+            { Type: "Resource", ResourceChange: { Action: "Add", LogicalResourceId: "Queue", ResourceType: "AWS::SQS::Queue" } }
+          ]
+        }
+      }
+    }
+  ]
+};
+
+// changeSetFormatter Tests
+describe("src/changeSetFormatter", () => {
+
+  it("lists resource changes including nested stacks", () => {
+    const rows = changeSetFormatter.listResourceChanges(changeSet);
+    expect(rows.map(row => [row.Stack, row.LogicalResourceId, row.Action])).to.eql([
+      ["", "Bucket", "Modify"],
+      ["", "Nested", "Modify"],
+      ["Nested", "Queue", "Add"],
+    ]);
+    expect(rows[0].Properties).to.eql([
+      { Path: "/Properties/BucketName", Before: "old-name", After: "new|name", RequiresRecreation: "Always", ChangeSource: "DirectModification" },
+      { Path: "Tags.Owner", Before: undefined, After: undefined, RequiresRecreation: "Never", ChangeSource: "DirectModification" },
+    ]);
+  });
+
+  it("formats change set as text", () => {
+    const text = changeSetFormatter.formatChangeSet(changeSet, "text", { colour: false });
+    expect(text.split("\n")).to.eql([
+      "Change set ChangeSetName for stack StackName",
+      "Action  Logical ID    Resource Type               Replacement",
+      "Modify  Bucket        AWS::S3::Bucket             True",
+      "    ~ /Properties/BucketName: \"old-name\" -> \"new|name\" (requires recreation: Always)",
+      "    ~ Tags.Owner",
+      "Modify  Nested        AWS::CloudFormation::Stack  False",
+      "Add     Nested/Queue  AWS::SQS::Queue",
+    ]);
+
+    // Coloured by default
+    expect(changeSetFormatter.formatChangeSet(changeSet)).to.include("\x1b[33mModify");
+  });
+
+  it("formats change set as markdown", () => {
+    const markdown = changeSetFormatter.formatChangeSet(changeSet, "markdown");
+    expect(markdown).to.include("## Change set `ChangeSetName` for stack `StackName`");
+    expect(markdown).to.include("| Modify | Bucket | AWS::S3::Bucket | True | /Properties/BucketName: `\"old-name\"` -> `\"new\\|name\"` (requires recreation: Always)<br>Tags.Owner |");
+    expect(markdown).to.include("| Add | Nested/Queue | AWS::SQS::Queue |  |  |");
+  });
+
+  it("formats change set as json", () => {
+    const json = JSON.parse(changeSetFormatter.formatChangeSet(changeSet, "json"));
+    expect(json.ChangeSetName).to.eql("ChangeSetName");
+    expect(json.Changes).to.have.lengthOf(3);
+  });
+
+  it("formats empty change set", () => {
+    expect(changeSetFormatter.formatChangeSet({ ChangeSetName: "cs", StackName: "stack" }, "text")).to.eql("Change set cs for stack stack\nNo changes");
+  });
+
+  it("fails with unknown format", () => {
+    expect(() => changeSetFormatter.formatChangeSet(changeSet, "html")).to.throw("Unknown change set format 'html'");
+  });
+});
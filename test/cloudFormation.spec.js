@@ -2,67 +2,53 @@ const _chai = require("chai");
 const expect = _chai.expect;
 _chai.use(require('chai-as-promised'));
 const rewire = require("rewire");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { EventEmitter } = require("events");
 const { mockClient } = require("aws-sdk-client-mock");
-const { mockConfig, mockS3, mockFs, mockSpawn } = require("./stubs");
+const { mockConfig, mockS3, mockFs, mockEcr, mockAudit } = require("./stubs");
 const {
   CloudFormationClient,
   DescribeStacksCommand,
   CreateStackCommand,
   UpdateStackCommand,
   CreateChangeSetCommand,
+  ExecuteChangeSetCommand,
   DeleteChangeSetCommand,
   DescribeChangeSetCommand,
-  DeleteStackCommand
+  DeleteStackCommand,
+  DescribeStackEventsCommand,
+  DetectStackDriftCommand,
+  DescribeStackDriftDetectionStatusCommand,
+  DescribeStackResourceDriftsCommand,
+  ListStacksCommand,
+  ValidateTemplateCommand,
+  UpdateTerminationProtectionCommand,
+  SetStackPolicyCommand,
+  ContinueUpdateRollbackCommand,
+  CancelUpdateStackCommand,
+  ListStackResourcesCommand,
+  GetTemplateCommand,
+  DescribeStackSetCommand,
+  CreateStackSetCommand,
+  UpdateStackSetCommand,
+  DeleteStackSetCommand,
+  ListStackInstancesCommand,
+  CreateStackInstancesCommand,
+  DeleteStackInstancesCommand,
+  DescribeStackSetOperationCommand,
+  ListStackSetOperationResultsCommand,
+  ListExportsCommand,
+  ListImportsCommand,
+  StackSetNotFoundException
 } = require('@aws-sdk/client-cloudformation');
 
 // Rewire
 const cloudFormation = rewire("../src/cloudFormation");
-// Lower POLL_TIMEOUT for tests
-cloudFormation.__set__("POLL_TIMEOUT", 0);
-
-/**
- * Tests for spawn(cmd, args, options)
- * @param {any[]} args Values passed to spawn()
- * @param {string} name Expected stack same
- * @param {string} script Expected script location
- * @param {{ParameterKey: string, ParameterValue: string}[]} parameters Expected parameter overrides
- */
-function expectMockSpawnConstructor(args, name, script, parameters) {
-  expect(args).to.have.lengthOf(3);
-  // cmd
-  expect(args[0]).to.eql("aws");
-  // args
-  expect(args[1]).to.have.members([
-    "cloudformation", "deploy",
-    "--profile", mockConfig.AWS_PROFILE,
-    "--region", mockConfig.AWS_REGION,
-    "--template-file", script,
-    "--stack-name", name,
-    "--capabilities", "CAPABILITY_IAM", "CAPABILITY_NAMED_IAM",
-    " --parameter-overrides", parameters.map((param => `${param.ParameterKey}="${param.ParameterValue}" `)).join("")
-  ]);
-  // options
-  expect(args[2]).to.eql({ shell: true });
-}
-
-/**
- * Tests for stdout and stderr setEncoding()
- * @param {any[]} args Values passed to setEncoding()
- */
-function expectMockSpawnEncoding(args) {
-  expect(args).to.have.lengthOf(1);
-  expect(args[0]).to.eql("utf8");
-}
-
-/**
- * Tests for a spawn function e.g. on("close", () => {})
- * @param {function} fn Function to call
- * @param {any} params Parameters to pass to function
- */
-function expectMockSpawnFunctionCall(fn, params) {
-  expect(typeof fn).to.eql("function");
-  fn(params);
-}
+// Lower poll delays for tests
+cloudFormation.__set__("POLL_INITIAL_DELAY", 0);
+cloudFormation.__set__("POLL_MAX_DELAY", 0);
 
 // cloudFormation Tests
 describe("src/cloudFormation", () => {
@@ -80,6 +66,12 @@ describe("src/cloudFormation", () => {
     // Mock S3
     const s3Restore = cloudFormation.__set__("s3", mockS3);
     stubs.push({ restore: function () { return s3Restore(); } });
+    // Mock ECR
+    const ecrRestore = cloudFormation.__set__("ecr", mockEcr);
+    stubs.push({ restore: function () { return ecrRestore(); } });
+    // Mock audit
+    const auditRestore = cloudFormation.__set__("audit", mockAudit);
+    stubs.push({ restore: function () { return auditRestore(); } });
     // Mock 'fs'
     const fsRestore = cloudFormation.__set__("fs", mockFs.functions);
     stubs.push({ restore: function () { return fsRestore(); } });
@@ -176,6 +168,24 @@ describe("src/cloudFormation", () => {
       await expect(cloudFormation.pollChangeSet({ ChangeSetName: "ChangeSetName", StackName: "StackName" })).to.eventually.be.rejectedWith("Changeset creation failed");
     });
 
+    it("polls change set - delete failed", async () => {
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "DELETE_FAILED" };
+      });
+
+      await expect(cloudFormation.pollChangeSet({ ChangeSetName: "ChangeSetName", StackName: "StackName" })).to.eventually.be.rejectedWith("Changeset deletion failed");
+    });
+
+    it("polls change set - times out", async () => {
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "CREATE_IN_PROGRESS" };
+      });
+
+      await expect(cloudFormation.pollChangeSet({ ChangeSetName: "ChangeSetName", StackName: "StackName" }, { maxWait: 5 })).to.eventually.be.rejectedWith(
+        "Timed out after 0s waiting for change set operation to complete - CREATE_IN_PROGRESS"
+      );
+    });
+
     it("polls change set - recursive", async () => {
       // Statuses to cycle through
       let statuses = [
@@ -202,6 +212,122 @@ describe("src/cloudFormation", () => {
   // pollStack
   describe("poll stack", () => {
 
+    describe("interrupts", () => {
+      const params = { StackName: "StackName" };
+      let mockProcess;
+      let exitCode;
+
+      beforeEach(() => {
+        exitCode = undefined;
+        mockProcess = new EventEmitter();
+        mockProcess.stdout = { isTTY: false };
+        mockProcess.env = {};
+        mockProcess.exit = (code) => { exitCode = code; };
+        const processRestore = cloudFormation.__set__("process", mockProcess);
+        stubs.push({ restore: function () { return processRestore(); } });
+
+        cfMock.on(CancelUpdateStackCommand).resolves({});
+      });
+
+      // Interrupt on the second poll, the update rolls back once cancelled
+      const interruptUpdate = () => {
+        let polls = 0;
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          polls++;
+          if (polls === 2) {
+            mockProcess.emit("SIGINT");
+          }
+          const cancelled = cfMock.commandCalls(CancelUpdateStackCommand).length > 0;
+          const status = cancelled
+            ? (polls > 4 ? "UPDATE_ROLLBACK_COMPLETE" : "UPDATE_ROLLBACK_IN_PROGRESS")
+            : (polls > 4 ? "UPDATE_COMPLETE" : "UPDATE_IN_PROGRESS");
+          return { Stacks: [{ StackName: input.StackName, StackStatus: status }] };
+        });
+      };
+
+      it("cancels updates automatically when not interactive", async () => {
+        interruptUpdate();
+
+        await expect(cloudFormation.pollStack(params)).to.eventually.be.rejectedWith("Stack operation failed - UPDATE_ROLLBACK_COMPLETE");
+        expect(cfMock.commandCalls(CancelUpdateStackCommand)[0].args[0].input).to.eql({ StackName: "StackName" });
+        expect(mockProcess.listenerCount("SIGINT")).to.eql(0);
+      });
+
+      it("prompts before cancelling updates when interactive", async () => {
+        mockProcess.stdout.isTTY = true;
+        const inquirerRestore = cloudFormation.__set__("inquirer", {
+          prompt: async (_questions) => ({ action: "wait" })
+        });
+        stubs.push({ restore: function () { return inquirerRestore(); } });
+        interruptUpdate();
+
+        await expect(cloudFormation.pollStack(params)).to.eventually.be.fulfilled;
+        expect(cfMock.commandCalls(CancelUpdateStackCommand)).to.have.lengthOf(0);
+        expect(exitCode).to.be.undefined;
+      });
+
+      it("exits when interrupted outside of an update", async () => {
+        let polls = 0;
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          polls++;
+          if (polls === 2) {
+            mockProcess.emit("SIGINT");
+          }
+          return { Stacks: [{ StackName: input.StackName, StackStatus: polls > 2 ? "CREATE_COMPLETE" : "CREATE_IN_PROGRESS" }] };
+        });
+
+        await cloudFormation.pollStack(params, { onInterrupt: "cancel" });
+        expect(exitCode).to.eql(130);
+        expect(cfMock.commandCalls(CancelUpdateStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("asks a single question for stacks polled concurrently", async () => {
+        mockProcess.stdout.isTTY = true;
+        const questions = [];
+        const inquirerRestore = cloudFormation.__set__("inquirer", {
+          prompt: async (prompt) => { questions.push(prompt[0].message); return { action: "cancel" }; }
+        });
+        stubs.push({ restore: function () { return inquirerRestore(); } });
+        const listeners = [];
+        let polls = 0;
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          polls++;
+          listeners.push(mockProcess.listenerCount("SIGINT"));
+          if (polls === 3) {
+            mockProcess.emit("SIGINT");
+          }
+          const cancelled = cfMock.commandCalls(CancelUpdateStackCommand)
+            .some(call => call.args[0].input.StackName === input.StackName);
+          return { Stacks: [{ StackName: input.StackName, StackStatus: cancelled ? "UPDATE_ROLLBACK_COMPLETE" : "UPDATE_IN_PROGRESS" }] };
+        });
+
+        const results = await Promise.allSettled([
+          cloudFormation.pollStack({ StackName: "Stack1" }),
+          cloudFormation.pollStack({ StackName: "Stack2" }),
+        ]);
+        expect(results.map(result => result.reason && result.reason.message)).to.eql([
+          "Stack operation failed - UPDATE_ROLLBACK_COMPLETE",
+          "Stack operation failed - UPDATE_ROLLBACK_COMPLETE"
+        ]);
+        expect(questions).to.eql(["Stacks Stack1, Stack2 are being updated, what do you want to do?"]);
+        expect(cfMock.commandCalls(CancelUpdateStackCommand).map(call => call.args[0].input.StackName)).to.eql(["Stack1", "Stack2"]);
+        expect(listeners.every(count => count === 1)).to.be.true;
+        expect(mockProcess.listenerCount("SIGINT")).to.eql(0);
+      });
+
+      it("cancels update stack", async () => {
+        const statuses = ["UPDATE_ROLLBACK_IN_PROGRESS", "UPDATE_ROLLBACK_COMPLETE"];
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          return { Stacks: [{ StackName: input.StackName, StackStatus: statuses.shift() }] };
+        });
+
+        await expect(cloudFormation.cancelUpdateStack("StackName")).to.eventually.deep.equal(
+          { Stacks: [{ StackName: "StackName", StackStatus: "UPDATE_ROLLBACK_COMPLETE" }] }
+        );
+        expect(cfMock.commandCalls(CancelUpdateStackCommand)[0].args[0].input).to.eql({ StackName: "StackName" });
+      });
+    });
+
     it("fails to describe stack", async () => {
       const params_not_exists = { StackName: "StackName_DoesNotExist" };
       const params_error = { StackName: "StackName_Error" };
@@ -287,6 +413,64 @@ describe("src/cloudFormation", () => {
       expect(statuses).to.have.lengthOf(0);
     });
 
+    it("polls stack - failed with root cause", async () => {
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        return {
+          Stacks: [{
+            StackId: "parent-id",
+            StackName: input.StackName,
+            StackStatus: "UPDATE_ROLLBACK_COMPLETE",
+          }]
+        };
+      });
+
+      // Events are returned newest first
+      const events = {
+        "parent-id": [
+          { EventId: "p4", StackId: "parent-id", LogicalResourceId: "StackName", PhysicalResourceId: "parent-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "UPDATE_ROLLBACK_COMPLETE" },
+          { EventId: "p3", StackId: "parent-id", LogicalResourceId: "Queue", PhysicalResourceId: "queue", ResourceType: "AWS::SQS::Queue", ResourceStatus: "UPDATE_FAILED", ResourceStatusReason: "Resource update cancelled" },
+          { EventId: "p2", StackId: "parent-id", LogicalResourceId: "Nested", PhysicalResourceId: "nested-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "UPDATE_FAILED", ResourceStatusReason: "Embedded stack was not successfully updated" },
+          { EventId: "p1", StackId: "parent-id", LogicalResourceId: "StackName", PhysicalResourceId: "parent-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "UPDATE_IN_PROGRESS", ResourceStatusReason: "User Initiated" },
+          { EventId: "p0", StackId: "parent-id", LogicalResourceId: "Old", PhysicalResourceId: "old", ResourceType: "AWS::S3::Bucket", ResourceStatus: "CREATE_FAILED", ResourceStatusReason: "Previous operation" },
+        ],
+        "nested-id": [
+          { EventId: "n1", StackId: "nested-id", LogicalResourceId: "MyBucket", PhysicalResourceId: "", ResourceType: "AWS::S3::Bucket", ResourceStatus: "UPDATE_FAILED", ResourceStatusReason: "Bucket name already exists" },
+        ]
+      };
+      cfMock.on(DescribeStackEventsCommand).callsFake(input => {
+        return { StackEvents: events[input.StackName] || [] };
+      });
+
+      const err = await cloudFormation.pollStack({ StackName: "StackName" }).catch(err => err);
+      expect(err).to.be.instanceOf(cloudFormation.StackOperationError);
+      expect(err.message).to.eql("Stack operation failed - UPDATE_ROLLBACK_COMPLETE\nMyBucket: Bucket name already exists");
+      expect(err.stackId).to.eql("parent-id");
+      expect(err.stackName).to.eql("StackName");
+      expect(err.status).to.eql("UPDATE_ROLLBACK_COMPLETE");
+      expect(err.failures.map(event => event.EventId)).to.eql(["n1"]);
+    });
+
+    it("polls stack - tolerates a local clock running ahead of CloudFormation", async () => {
+      // The local clock is 5 seconds ahead, the create failed within those 5 seconds
+      const since = new Date();
+      const at = (seconds) => new Date(since.getTime() + seconds * 1000);
+      cfMock.on(DescribeStacksCommand).resolves({ Stacks: [{ StackId: "stack-id", StackName: "StackName", StackStatus: "CREATE_FAILED" }] });
+      cfMock.on(DescribeStackEventsCommand).resolves({
+        StackEvents: [
+          { EventId: "3", StackId: "stack-id", LogicalResourceId: "StackName", PhysicalResourceId: "stack-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "CREATE_FAILED", Timestamp: at(-3) },
+          { EventId: "2", StackId: "stack-id", LogicalResourceId: "Queue", PhysicalResourceId: "", ResourceType: "AWS::SQS::Queue", ResourceStatus: "CREATE_FAILED", ResourceStatusReason: "Invalid queue name", Timestamp: at(-4) },
+          { EventId: "1", StackId: "stack-id", LogicalResourceId: "StackName", PhysicalResourceId: "stack-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "CREATE_IN_PROGRESS", ResourceStatusReason: "User Initiated", Timestamp: at(-5) },
+        ]
+      });
+
+      const reported = [];
+      const err = await cloudFormation.pollStack({ StackName: "StackName" }, {
+        since, onEvent: (event) => reported.push(event.EventId)
+      }).catch(err => err);
+      expect(reported).to.eql(["1", "2", "3"]);
+      expect(err.message).to.eql("Stack operation failed - CREATE_FAILED\nQueue: Invalid queue name");
+    });
+
     it("polls stack - recursive", async () => {
       // Statues
       let statuses = [
@@ -314,6 +498,119 @@ describe("src/cloudFormation", () => {
       expect(statuses).to.have.lengthOf(0);
     });
 
+    it("polls stack - terminal statuses", async () => {
+      const succeeded = ["DELETE_COMPLETE", "IMPORT_COMPLETE"];
+      const failed = ["ROLLBACK_FAILED", "UPDATE_ROLLBACK_FAILED", "IMPORT_ROLLBACK_COMPLETE", "IMPORT_ROLLBACK_FAILED"];
+      let statuses = succeeded.concat(failed);
+
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        return { Stacks: [{ StackName: input.StackName, StackStatus: statuses.shift() }] };
+      });
+
+      for (const status of succeeded) {
+        const res = await cloudFormation.pollStack({ StackName: "StackName" });
+        expect(res.Stacks[0].StackStatus).to.eql(status);
+      }
+      for (const status of failed) {
+        await expect(cloudFormation.pollStack({ StackName: "StackName" })).to.eventually.be.rejectedWith(`Stack operation failed - ${status}`);
+      }
+
+      expect(statuses).to.have.lengthOf(0);
+    });
+
+    it("polls stack - review in progress only succeeds when expected", async () => {
+      let statuses = ["REVIEW_IN_PROGRESS", "CREATE_IN_PROGRESS", "CREATE_COMPLETE", "REVIEW_IN_PROGRESS"];
+
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        return { Stacks: [{ StackName: input.StackName, StackStatus: statuses.shift() }] };
+      });
+
+      const res = await cloudFormation.pollStack({ StackName: "StackName" });
+      expect(res.Stacks[0].StackStatus).to.eql("CREATE_COMPLETE");
+      const review = await cloudFormation.pollStack({ StackName: "StackName" }, { successStatus: ["REVIEW_IN_PROGRESS"] });
+      expect(review.Stacks[0].StackStatus).to.eql("REVIEW_IN_PROGRESS");
+
+      expect(statuses).to.have.lengthOf(0);
+    });
+
+    it("polls stack - times out", async () => {
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        return { Stacks: [{ StackName: input.StackName, StackStatus: "UPDATE_IN_PROGRESS" }] };
+      });
+
+      await expect(cloudFormation.pollStack({ StackName: "StackName" }, { maxWait: 5 })).to.eventually.be.rejectedWith(
+        "Timed out after 0s waiting for stack operation to complete - UPDATE_IN_PROGRESS"
+      );
+    });
+
+    it("polls stack - aborted", async () => {
+      const controller = new AbortController();
+      let polls = 0;
+
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        if (++polls === 2) {
+          controller.abort(new Error("Cancelled by user"));
+        }
+        return { Stacks: [{ StackName: input.StackName, StackStatus: "UPDATE_IN_PROGRESS" }] };
+      });
+
+      await expect(cloudFormation.pollStack({ StackName: "StackName" }, { signal: controller.signal })).to.eventually.be.rejectedWith("Cancelled by user");
+      expect(polls).to.eql(2);
+    });
+
+    it("polls stack - reports new stack events", async () => {
+      const since = new Date("2024-01-01T00:00:00Z");
+      const at = (seconds) => new Date(since.getTime() + seconds * 1000);
+
+      // Statues
+      let statuses = [
+        "UPDATE_IN_PROGRESS",
+        "UPDATE_COMPLETE",
+      ];
+
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        return {
+          Stacks: [{
+            StackName: input.StackName,
+            StackStatus: statuses.shift(),
+          }]
+        };
+      });
+
+      // Events are returned newest first, parent stack is paged
+      const parentEvents = [
+        [
+          { EventId: "3", StackId: "parent-id", StackName: "StackName", LogicalResourceId: "Nested", PhysicalResourceId: "nested-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "UPDATE_IN_PROGRESS", Timestamp: at(3) },
+          { EventId: "2", StackId: "parent-id", StackName: "StackName", LogicalResourceId: "Bucket", PhysicalResourceId: "bucket", ResourceType: "AWS::S3::Bucket", ResourceStatus: "UPDATE_FAILED", ResourceStatusReason: "Bucket exists", Timestamp: at(2) },
+        ],
+        [
+          { EventId: "1", StackId: "parent-id", StackName: "StackName", LogicalResourceId: "StackName", PhysicalResourceId: "parent-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "UPDATE_IN_PROGRESS", Timestamp: at(1) },
+          { EventId: "0", StackId: "parent-id", StackName: "StackName", LogicalResourceId: "StackName", PhysicalResourceId: "parent-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "CREATE_COMPLETE", Timestamp: at(-60) },
+        ]
+      ];
+      const nestedEvents = [
+        { EventId: "n1", StackId: "nested-id", StackName: "Nested", LogicalResourceId: "Queue", PhysicalResourceId: "queue", ResourceType: "AWS::SQS::Queue", ResourceStatus: "UPDATE_COMPLETE", Timestamp: at(4) },
+      ];
+      cfMock.on(DescribeStackEventsCommand).callsFake(input => {
+        if (input.StackName === "nested-id") {
+          return { StackEvents: nestedEvents };
+        }
+        expect(input.StackName).to.eql("StackName");
+        return input.NextToken === "page2"
+          ? { StackEvents: parentEvents[1] }
+          : { StackEvents: parentEvents[0], NextToken: "page2" };
+      });
+
+      const reported = [];
+      await expect(cloudFormation.pollStack({ StackName: "StackName" }, {
+        since, onEvent: (event) => reported.push(event.EventId)
+      })).to.eventually.be.fulfilled;
+
+      // Each event reported once, in chronological order, excluding events before the operation started
+      expect(reported).to.eql(["1", "2", "3", "n1"]);
+      expect(statuses).to.have.lengthOf(0);
+    });
+
   });
 
   // createStack
@@ -578,8 +875,12 @@ describe("src/cloudFormation", () => {
         Parameter1: "Value1",
         Parameter2: "Value2",
       };
+      const stackParameters = [
+        { ParameterKey: "Parameter1", ParameterValue: "Value1" },
+        { ParameterKey: "Parameter2", ParameterValue: "Value2" },
+      ];
       // review, s3Bucket, s3Prefix
-      const options = {};
+      const options = { validateParameters: false };
 
       // Mock DescribeStacksCommand
       let describeFails = true; // Stack should not exists on first describe
@@ -603,12 +904,7 @@ describe("src/cloudFormation", () => {
       cfMock.on(CreateStackCommand).callsFake(input => {
         expect(input).to.eql({
           StackName: "StackName",
-          Capabilities: [
-            'CAPABILITY_IAM',
-            'CAPABILITY_NAMED_IAM',
-            'CAPABILITY_AUTO_EXPAND'
-          ],
-          Parameters: stackInputs,
+          Parameters: stackParameters,
           TemplateBody: script,
           DisableRollback: true
         });
@@ -625,6 +921,101 @@ describe("src/cloudFormation", () => {
       );
     });
 
+    it("upserts stack - records the operation in the audit log", async () => {
+      const name = "StackName";
+      const script = "/path/to/script.yaml";
+      let exists = false;
+      cfMock.on(DescribeStacksCommand).callsFake(() => {
+        if (!exists) {
+          throw new Error("Stack does not exist");
+        }
+        return { Stacks: [{ StackName: name, StackStatus: "CREATE_COMPLETE" }] };
+      });
+      cfMock.on(CreateStackCommand).callsFake(() => {
+        exists = true;
+        return { StackId: "StackId" };
+      });
+
+      let recorded;
+      const auditRestore = cloudFormation.__set__("audit", {
+        recordOperation: async (operation, stackName, details, fn) => {
+          recorded = { operation, stackName, details };
+          return await fn();
+        }
+      });
+      stubs.push({ restore: function () { return auditRestore(); } });
+
+      await cloudFormation.upsertStack(name, script, { Password: "secret" }, { validateParameters: false });
+      expect(recorded.operation).to.eql("upsertStack");
+      expect(recorded.stackName).to.eql(name);
+      expect(recorded.details.template).to.eql(script);
+      expect(recorded.details.body).to.eql(script);
+      expect(recorded.details.parameters).to.eql([{ ParameterKey: "Password", ParameterValue: "secret" }]);
+    });
+
+    it("upserts stack - holds the deployment lock", async () => {
+      const name = "StackName";
+      let exists = false;
+      cfMock.on(DescribeStacksCommand).callsFake(() => {
+        if (!exists) {
+          throw new Error("Stack does not exist");
+        }
+        return { Stacks: [{ StackName: name, StackStatus: "CREATE_COMPLETE" }] };
+      });
+      cfMock.on(CreateStackCommand).callsFake(() => {
+        expect(locked).to.eql([name, "upsertStack", "ops-bucket"]);
+        exists = true;
+        return { StackId: "StackId" };
+      });
+
+      let locked;
+      const lockRestore = cloudFormation.__set__("lock", {
+        withLock: async (stackName, options, fn) => {
+          locked = [stackName, options.operation, options.bucket];
+          return await fn();
+        }
+      });
+      stubs.push({ restore: function () { return lockRestore(); } });
+
+      const result = await cloudFormation.upsertStack(name, "/path/to/script.yaml", {}, { lock: { bucket: "ops-bucket" } });
+      expect(result.Stacks[0].StackStatus).to.eql("CREATE_COMPLETE");
+      expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(1);
+    });
+
+    it("upserts stack - detects transforms from the parsed template", async () => {
+      const name = "StackName";
+      const bodies = {
+        "/path/to/commented.yaml": "# Transform: AWS::Serverless-2016-10-31\nResources: {}",
+        "/path/to/serverless.json": '{ "Transform" : [ "AWS::Serverless-2016-10-31" ], "Resources": {} }',
+      };
+      const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+        readFileSync: (file) => bodies[file],
+      }));
+      stubs.push({ restore: function () { return fsRestore(); } });
+
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        if (cfMock.commandCalls(CreateStackCommand).length + cfMock.commandCalls(CreateChangeSetCommand).length === 0) {
+          throw new Error("Stack does not exist");
+        }
+        return { Stacks: [{ StackName: name, StackStatus: "CREATE_COMPLETE" }] };
+      });
+      cfMock.on(CreateStackCommand).resolves({ StackId: "StackId" });
+      cfMock.on(CreateChangeSetCommand).resolves({ Id: "id", StackId: "StackId" });
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "CREATE_COMPLETE" };
+      });
+
+      // Commented out transforms are ignored
+      await cloudFormation.upsertStack(name, "/path/to/commented.yaml", []);
+      expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(1);
+      expect(cfMock.commandCalls(CreateChangeSetCommand)).to.have.lengthOf(0);
+
+      cfMock.resetHistory();
+      await cloudFormation.upsertStack(name, "/path/to/serverless.json", []);
+      expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(0);
+      expect(cfMock.commandCalls(CreateChangeSetCommand)).to.have.lengthOf(1);
+    });
+
     it("upserts stack - stack does not exist - create with transforms ", async () => {
       const name = "StackName";
       const script = "/path/to/script-Transform.yaml";
@@ -632,8 +1023,12 @@ describe("src/cloudFormation", () => {
         Parameter1: "Value1",
         Parameter2: "Value2",
       };
+      const stackParameters = [
+        { ParameterKey: "Parameter1", ParameterValue: "Value1" },
+        { ParameterKey: "Parameter2", ParameterValue: "Value2" },
+      ];
       // review, s3Bucket, s3Prefix
-      const options = {};
+      const options = { validateParameters: false };
 
       // Mock DescribeStacksCommand
       let describeFails = true; // Stack should not exists on first describe
@@ -655,13 +1050,14 @@ describe("src/cloudFormation", () => {
 
       // Mock CreateChangeSetCommand
       cfMock.on(CreateChangeSetCommand).callsFake(input => {
-        expect(Object.keys(input)).to.have.members(["StackName", "Capabilities", "Parameters", "TemplateBody", "ChangeSetName", "ChangeSetType"]);
+        expect(Object.keys(input)).to.have.members(["StackName", "Capabilities", "Parameters", "TemplateBody", "ChangeSetName", "ChangeSetType", "OnStackFailure"]);
         expect(input.StackName).to.eql(name);
-        expect(input.Capabilities).to.eql(['CAPABILITY_IAM', 'CAPABILITY_NAMED_IAM', 'CAPABILITY_AUTO_EXPAND']);
-        expect(input.Parameters).to.eql(stackInputs);
+        expect(input.Capabilities).to.eql(['CAPABILITY_AUTO_EXPAND']);
+        expect(input.Parameters).to.eql(stackParameters);
         expect(input.TemplateBody).to.eql("Transform: \"AWS::Serverless\"");
         expect(input.ChangeSetName.startsWith("cf-utils-cloudformation-upsert-stack-")).to.be.true;
         expect(input.ChangeSetType).to.eql("CREATE");
+        expect(input.OnStackFailure).to.eql("DO_NOTHING");
         return { Id: "id", StackId: "StackId" };
       });
 
@@ -689,8 +1085,12 @@ describe("src/cloudFormation", () => {
         Parameter1: "Value1",
         Parameter2: "Value2",
       };
+      const stackParameters = [
+        { ParameterKey: "Parameter1", ParameterValue: "Value1" },
+        { ParameterKey: "Parameter2", ParameterValue: "Value2" },
+      ];
       // review, s3Bucket, s3Prefix
-      const options = {};
+      const options = { validateParameters: false };
 
       // Mock DescribeStacksCommand
       const statuses = [
@@ -711,8 +1111,8 @@ describe("src/cloudFormation", () => {
       cfMock.on(CreateChangeSetCommand).callsFake(input => {
         expect(Object.keys(input)).to.have.members(["StackName", "Capabilities", "Parameters", "TemplateBody", "ChangeSetName", "ChangeSetType"]);
         expect(input.StackName).to.eql(name);
-        expect(input.Capabilities).to.eql(['CAPABILITY_IAM', 'CAPABILITY_NAMED_IAM', 'CAPABILITY_AUTO_EXPAND']);
-        expect(input.Parameters).to.eql(stackInputs);
+        expect(input.Capabilities).to.eql(['CAPABILITY_AUTO_EXPAND']);
+        expect(input.Parameters).to.eql(stackParameters);
         expect(input.TemplateBody).to.eql("Transform: \"AWS::Serverless\"");
         expect(input.ChangeSetName.startsWith("cf-utils-cloudformation-upsert-stack-")).to.be.true;
         expect(input.ChangeSetType).to.eql("UPDATE");
@@ -735,12 +1135,7 @@ describe("src/cloudFormation", () => {
       cfMock.on(UpdateStackCommand).callsFake(input => {
         expect(input).to.eql({
           StackName: name,
-          Capabilities: [
-            'CAPABILITY_IAM',
-            'CAPABILITY_NAMED_IAM',
-            'CAPABILITY_AUTO_EXPAND'
-          ],
-          Parameters: stackInputs,
+          Parameters: stackParameters,
           TemplateBody: script
         });
         return { StackId: `${name}-id`, }
@@ -758,8 +1153,12 @@ describe("src/cloudFormation", () => {
         Parameter1: "Value1",
         Parameter2: "Value2",
       };
+      const stackParameters = [
+        { ParameterKey: "Parameter1", ParameterValue: "Value1" },
+        { ParameterKey: "Parameter2", ParameterValue: "Value2" },
+      ];
       // review, s3Bucket, s3Prefix
-      const options = {};
+      const options = { validateParameters: false };
 
       // Mock DescribeStacksCommand
       const statuses = [
@@ -780,12 +1179,7 @@ describe("src/cloudFormation", () => {
       cfMock.on(UpdateStackCommand).callsFake(input => {
         expect(input).to.eql({
           StackName: name,
-          Capabilities: [
-            'CAPABILITY_IAM',
-            'CAPABILITY_NAMED_IAM',
-            'CAPABILITY_AUTO_EXPAND'
-          ],
-          Parameters: stackInputs,
+          Parameters: stackParameters,
           TemplateBody: script
         });
         return { StackId: `${name}-id`, }
@@ -803,9 +1197,14 @@ describe("src/cloudFormation", () => {
         Parameter1: "Value1",
         Parameter2: "Value2",
       };
+      const stackParameters = [
+        { ParameterKey: "Parameter1", ParameterValue: "Value1" },
+        { ParameterKey: "Parameter2", ParameterValue: "Value2" },
+      ];
       // review, s3Bucket, s3Prefix
       const options = {
-        review: true
+        review: true,
+        validateParameters: false
       };
 
       // Mock inquirer
@@ -835,7 +1234,7 @@ describe("src/cloudFormation", () => {
 
       // Mock DescribeChangeSetCommand
       cfMock.on(DescribeChangeSetCommand).callsFake(input => {
-        expect(input).to.eql({
+        expect(input).to.include({
           ChangeSetName: `cf-utils-${name}-preview`,
           StackName: name
         });
@@ -856,9 +1255,14 @@ describe("src/cloudFormation", () => {
         Parameter1: "Value1",
         Parameter2: "Value2",
       };
+      const stackParameters = [
+        { ParameterKey: "Parameter1", ParameterValue: "Value1" },
+        { ParameterKey: "Parameter2", ParameterValue: "Value2" },
+      ];
       // review, s3Bucket, s3Prefix
       const options = {
-        review: true
+        review: true,
+        validateParameters: false
       };
 
       // Mock inquirer
@@ -888,7 +1292,7 @@ describe("src/cloudFormation", () => {
 
       // Mock DescribeChangeSetCommand
       cfMock.on(DescribeChangeSetCommand).callsFake(input => {
-        expect(input).to.eql({
+        expect(input).to.include({
           ChangeSetName: `cf-utils-${name}-preview`,
           StackName: name
         });
@@ -909,12 +1313,7 @@ describe("src/cloudFormation", () => {
       cfMock.on(UpdateStackCommand).callsFake(input => {
         expect(input).to.eql({
           StackName: name,
-          Capabilities: [
-            'CAPABILITY_IAM',
-            'CAPABILITY_NAMED_IAM',
-            'CAPABILITY_AUTO_EXPAND'
-          ],
-          Parameters: stackInputs,
+          Parameters: stackParameters,
           TemplateBody: script
         });
         return { StackId: `${name}-id`, }
@@ -924,97 +1323,824 @@ describe("src/cloudFormation", () => {
         { Stacks: [{ StackName: name, StackStatus: "CREATE_COMPLETE" }] }
       );
     });
-  });
 
-  // createChangeSet
-  describe("create change set", () => {
+    describe("review policies", () => {
+      const name = "StackName";
+      const script = "/path/to/script.yaml";
+      const stackInputs = [{ ParameterKey: "Parameter1", ParameterValue: "Value1" }];
+      let changes;
+      let calls;
 
-    it("creates change set", async () => {
-      // Statues
-      let statuses = [
-        "CREATE_IN_PROGRESS",
-        "CREATE_COMPLETE",
-      ];
+      beforeEach(() => {
+        changes = [];
+        calls = [];
 
-      const params = {
-        ChangeSetName: "ChangeSetName",
-        StackName: "StackName",
-        TemplateBody: "TemplateBody",
-        TemplateURL: "TemplateURL",
-      };
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+          readFileSync: (_file) => "Parameters:\n  Parameter1:\n    Type: String\n",
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
 
-      // Mock DescribeChangeSetCommand
-      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
-        expect(input).to.eql({ ChangeSetName: params.ChangeSetName, StackName: params.StackName });
-        return {
-          ChangeSetName: input.ChangeSetName,
-          StackName: input.StackName,
-          Status: statuses.shift(),
-        };
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          return { Stacks: [{ StackName: input.StackName, StackStatus: "UPDATE_COMPLETE" }] };
+        });
+        cfMock.on(CreateChangeSetCommand).callsFake(input => {
+          calls.push(`create:${input.ChangeSetName}`);
+          return { Id: "id", StackId: "StackId" };
+        });
+        cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+          return {
+            ChangeSetName: input.ChangeSetName,
+            StackName: input.StackName,
+            Status: "CREATE_COMPLETE",
+            Changes: changes,
+          };
+        });
+        cfMock.on(DeleteChangeSetCommand).callsFake(input => {
+          calls.push(`delete:${input.ChangeSetName}`);
+          return {};
+        });
+        cfMock.on(UpdateStackCommand).callsFake(input => {
+          calls.push("update");
+          return { StackId: `${name}-id` };
+        });
       });
 
-      // Mock CreateChangeSetCommand
-      cfMock.on(CreateChangeSetCommand).callsFake(input => {
-        expect(input).to.eql(params);
-        return { Id: "id", StackId: "StackId" };
+      it("auto-approves change set", async () => {
+        await expect(cloudFormation.upsertStack(name, script, stackInputs, { review: "approve" })).to.eventually.be.fulfilled;
+        expect(calls).to.eql([`create:cf-utils-${name}-preview`, `delete:cf-utils-${name}-preview`, "update"]);
       });
 
-      // Create change set
-      await expect(cloudFormation.createChangeSet(params)).to.eventually.deep.equal({
-        ChangeSetName: params.ChangeSetName,
-        StackName: params.StackName,
-        Status: "CREATE_COMPLETE",
-      });
+      it("auto-rejects destructive change set", async () => {
+        changes = [
+          { Type: "Resource", ResourceChange: { Action: "Modify", LogicalResourceId: "Queue", ResourceType: "AWS::SQS::Queue", Replacement: "False" } },
+          { Type: "Resource", ResourceChange: { Action: "Modify", LogicalResourceId: "Bucket", ResourceType: "AWS::S3::Bucket", Replacement: "True" } },
+        ];
+        await expect(cloudFormation.upsertStack(name, script, stackInputs, { review: "reject-destructive" })).to.eventually.be.rejectedWith("Reviewer rejected stack update");
+        expect(calls).to.eql([`create:cf-utils-${name}-preview`, `delete:cf-utils-${name}-preview`]);
 
-      expect(statuses).to.have.lengthOf(0);
-    });
+        changes = [{ Type: "Resource", ResourceChange: { Action: "Remove", LogicalResourceId: "Topic", ResourceType: "AWS::SNS::Topic" } }];
+        await expect(cloudFormation.upsertStack(name, script, stackInputs, { review: "reject-destructive" })).to.eventually.be.rejectedWith("Reviewer rejected stack update");
+      });
 
-    it("fails to create change set", async () => {
-      // Statues
-      let statuses = [
-        "CREATE_IN_PROGRESS",
-        "FAILED",
-      ];
+      it("approves non destructive change set", async () => {
+        changes = [
+          { Type: "Resource", ResourceChange: { Action: "Add", LogicalResourceId: "Queue", ResourceType: "AWS::SQS::Queue" } },
+          { Type: "Resource", ResourceChange: { Action: "Modify", LogicalResourceId: "Bucket", ResourceType: "AWS::S3::Bucket", Replacement: "False" } },
+        ];
+        await expect(cloudFormation.upsertStack(name, script, stackInputs, { review: "reject-destructive" })).to.eventually.be.fulfilled;
+        expect(calls).to.include("update");
+      });
 
-      const params = {
-        ChangeSetName: "ChangeSetName",
-        StackName: "StackName",
-        TemplateBody: "TemplateBody",
-        TemplateURL: "TemplateURL",
-      };
+      it("writes change set to file and exits", async () => {
+        changes = [{ Type: "Resource", ResourceChange: { Action: "Add", LogicalResourceId: "Queue", ResourceType: "AWS::SQS::Queue" } }];
+
+        const written = {};
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, cloudFormation.__get__("fs"), {
+          writeFileSync: (path, data) => { written[path] = data; }
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
+        let exitCode;
+        const processRestore = cloudFormation.__set__("process", { exit: (code) => { exitCode = code; } });
+        stubs.push({ restore: function () { return processRestore(); } });
+
+        // JSON
+        await cloudFormation.upsertStack(name, script, stackInputs, { review: "file", reviewFile: "changes.json" });
+        expect(exitCode).to.eql(3);
+        const review = JSON.parse(written["changes.json"]);
+        expect(review.ChangeSetName).to.match(new RegExp(`^cf-utils-${name}-preview-\\d+$`));
+        expect(review.Changes).to.have.lengthOf(1);
+        expect(review.Changes[0]).to.include({ Action: "Add", LogicalResourceId: "Queue", ResourceType: "AWS::SQS::Queue" });
+
+        // Markdown with custom exit code
+        await cloudFormation.upsertStack(name, script, stackInputs, { review: "file", reviewFile: "changes.md", reviewExitCode: 10 });
+        expect(exitCode).to.eql(10);
+        expect(written["changes.md"]).to.include("| Add | Queue | AWS::SQS::Queue |  |");
+
+        // Change set is kept and no update is performed
+        expect(calls.filter(call => call.startsWith("delete") || call === "update")).to.have.lengthOf(0);
+      });
 
-      // Mock DescribeChangeSetCommand
-      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
-        expect(input).to.eql({ ChangeSetName: params.ChangeSetName, StackName: params.StackName });
-        const statusReason = statuses[0] === "FAILED" ? { StatusReason: "Some other error" } : {};
-        return Object.assign({},
-          {
-            ChangeSetName: input.ChangeSetName,
-            StackName: input.StackName,
-            Status: statuses.shift(),
+      it("releases the deployment lock before exiting for review", async () => {
+        const objects = {};
+        const lockModule = rewire("../src/lock");
+        lockModule.__set__("config", Object.assign({}, mockConfig, { getLockBucket: () => "lock-bucket" }));
+        lockModule.__set__("s3", {
+          createObject: async (bucket, key, body) => {
+            objects[key] = { Body: body, ETag: "etag-1" };
+            return "etag-1";
           },
-          statusReason
-        );
-      });
+          replaceObject: async (bucket, key, body, eTag) => {
+            if (objects[key].ETag !== eTag) {
+              return undefined;
+            }
+            objects[key] = { Body: body, ETag: "etag-2" };
+            return "etag-2";
+          },
+          readObject: async (bucket, key) => objects[key],
+        });
+        const lockRestore = cloudFormation.__set__("lock", lockModule);
+        stubs.push({ restore: function () { return lockRestore(); } });
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, cloudFormation.__get__("fs"), {
+          writeFileSync: (_path, _data) => { }
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
+        let lockedAtExit;
+        const processRestore = cloudFormation.__set__("process", {
+          exit: (_code) => { lockedAtExit = JSON.parse(objects[`cf-utils-locks/${name}.lock`].Body).released !== true; }
+        });
+        stubs.push({ restore: function () { return processRestore(); } });
 
-      // Mock CreateChangeSetCommand
-      cfMock.on(CreateChangeSetCommand).callsFake(input => {
-        expect(input).to.eql(params);
-        return { Id: "id", StackId: "StackId" };
+        await cloudFormation.upsertStack(name, script, stackInputs, { review: "file", lock: true });
+        expect(lockedAtExit).to.be.false;
+        expect(await lockModule.getLock(name)).to.be.undefined;
       });
 
-      // Create change set
-      await expect(cloudFormation.createChangeSet(params)).to.eventually.be.rejectedWith("Changeset creation failed");
+      it("records the upsert in the audit log before exiting for review", async () => {
+        const files = {};
+        const auditModule = rewire("../src/audit");
+        auditModule.__set__("config", Object.assign({}, mockConfig, { AUDIT_LOG: "audit.jsonl" }));
+        auditModule.__set__("session", { operator: "arn:aws:iam::123456789012:user/deployer" });
+        auditModule.__set__("fs", {
+          mkdirSync: (_path) => { },
+          appendFileSync: (file, data) => { files[file] = (files[file] || "") + data; },
+          existsSync: (file) => files.hasOwnProperty(file),
+          readFileSync: (file) => files[file],
+        });
+        const auditRestore = cloudFormation.__set__("audit", auditModule);
+        stubs.push({ restore: function () { return auditRestore(); } });
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, cloudFormation.__get__("fs"), {
+          writeFileSync: (_path, _data) => { }
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
+        let recordedAtExit;
+        const processRestore = cloudFormation.__set__("process", {
+          exit: (_code) => { recordedAtExit = auditModule.getHistory(name); }
+        });
+        stubs.push({ restore: function () { return processRestore(); } });
 
-      expect(statuses).to.have.lengthOf(0);
+        await cloudFormation.upsertStack(name, script, stackInputs, { review: "file" });
+        expect(recordedAtExit).to.have.lengthOf(1);
+        expect(recordedAtExit[0]).to.include({ operation: "upsertStack", stackName: name, result: "PENDING_REVIEW" });
+        expect(auditModule.getHistory(name)).to.have.lengthOf(1);
+      });
+
+      it("fails with unknown review policy", async () => {
+        await expect(cloudFormation.upsertStack(name, script, stackInputs, { review: "maybe" })).to.eventually.be.rejectedWith("Unknown review policy 'maybe'");
+      });
     });
-  });
 
-  // deleteChangeSet
-  describe("delete change set", () => {
-    it("deletes change set", async () => {
-      const statuses = [
-        "DELETE_IN_PROGRESS",
+    describe("stack settings", () => {
+      const name = "StackName";
+      const script = "/path/to/script.yaml";
+      let stack;
+
+      beforeEach(() => {
+        stack = undefined;
+
+        const configRestore = cloudFormation.__set__("config", Object.assign({}, mockConfig, {
+          ENVIRONMENT_STAGE: "prod",
+          getDefaultTags: () => ({ Project: "test-project", Environment: "prod" })
+        }));
+        stubs.push({ restore: function () { return configRestore(); } });
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+          readFileSync: (file) => file === "policy.json" ? '{"Statement": []}' : "Resources: {}",
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
+
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          if (!stack) {
+            throw new Error("Stack does not exist");
+          }
+          return { Stacks: [stack] };
+        });
+        cfMock.on(CreateStackCommand).callsFake(input => {
+          stack = { StackName: name, StackStatus: "CREATE_COMPLETE" };
+          return { StackId: "StackId" };
+        });
+        cfMock.on(UpdateStackCommand).callsFake(input => {
+          stack = Object.assign({}, stack, { StackStatus: "UPDATE_COMPLETE" });
+          return { StackId: "StackId" };
+        });
+        cfMock.on(UpdateTerminationProtectionCommand).resolves({});
+        cfMock.on(SetStackPolicyCommand).resolves({});
+      });
+
+      it("applies tags, notifications and rollback triggers on create and update", async () => {
+        const options = {
+          tags: { Owner: "team-a", Environment: "production" },
+          defaultTags: true,
+          notificationArns: ["arn:aws:sns:topic"],
+          rollbackTriggers: ["arn:aws:cloudwatch:alarm"],
+          rollbackMonitoringTime: 5,
+        };
+        const expected = {
+          Tags: [
+            { Key: "Project", Value: "test-project" },
+            { Key: "Environment", Value: "production" },
+            { Key: "Owner", Value: "team-a" },
+          ],
+          NotificationARNs: ["arn:aws:sns:topic"],
+          RollbackConfiguration: {
+            RollbackTriggers: [{ Arn: "arn:aws:cloudwatch:alarm", Type: "AWS::CloudWatch::Alarm" }],
+            MonitoringTimeInMinutes: 5,
+          },
+        };
+
+        await cloudFormation.upsertStack(name, script, [], options);
+        await cloudFormation.upsertStack(name, script, [], Object.assign({}, options, { tags: [{ Key: "Owner", Value: "team-b" }], defaultTags: false }));
+
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input).to.deep.include(expected);
+        expect(cfMock.commandCalls(UpdateStackCommand)[0].args[0].input.Tags).to.eql([{ Key: "Owner", Value: "team-b" }]);
+        expect(cfMock.commandCalls(UpdateTerminationProtectionCommand)).to.have.lengthOf(0);
+        expect(cfMock.commandCalls(SetStackPolicyCommand)).to.have.lengthOf(0);
+      });
+
+      it("applies termination protection for production stages and stack policies", async () => {
+        await cloudFormation.upsertStack(name, script, [], { terminationProtection: ["prod"], stackPolicy: "policy.json" });
+        expect(cfMock.commandCalls(UpdateTerminationProtectionCommand).map(call => call.args[0].input)).to.eql([
+          { StackName: name, EnableTerminationProtection: true },
+        ]);
+        expect(cfMock.commandCalls(SetStackPolicyCommand).map(call => call.args[0].input)).to.eql([
+          { StackName: name, StackPolicyBody: '{"Statement": []}' },
+        ]);
+
+        // Unchanged protection is left alone, disabling is applied
+        cfMock.resetHistory();
+        stack.EnableTerminationProtection = true;
+        await cloudFormation.upsertStack(name, script, [], { terminationProtection: true, stackPolicy: { Statement: [] } });
+        await cloudFormation.upsertStack(name, script, [], { terminationProtection: ["staging"] });
+        expect(cfMock.commandCalls(UpdateTerminationProtectionCommand).map(call => call.args[0].input)).to.eql([
+          { StackName: name, EnableTerminationProtection: false },
+        ]);
+        expect(cfMock.commandCalls(SetStackPolicyCommand).map(call => call.args[0].input)).to.eql([
+          { StackName: name, StackPolicyBody: '{"Statement":[]}' },
+        ]);
+      });
+    });
+
+    describe("rollback handling", () => {
+      const name = "StackName";
+      const script = "/path/to/script.yaml";
+      let statuses;
+
+      beforeEach(() => {
+        // Each describe consumes the next status, the last status sticks
+        statuses = [];
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          const status = statuses.length > 1 ? statuses.shift() : statuses[0];
+          if (!status) {
+            throw new Error(`Stack with id ${input.StackName} does not exist`);
+          }
+          return { Stacks: [{ StackName: name, StackId: "StackId", StackStatus: status }] };
+        });
+        cfMock.on(CreateStackCommand).resolves({ StackId: "StackId" });
+        cfMock.on(UpdateStackCommand).resolves({ StackId: "StackId" });
+        cfMock.on(DeleteStackCommand).resolves({});
+        cfMock.on(ContinueUpdateRollbackCommand).resolves({});
+      });
+
+      it("passes onFailure to creates", async () => {
+        statuses = [undefined, "CREATE_COMPLETE"];
+        await cloudFormation.upsertStack(name, script, [], { onFailure: "ROLLBACK" });
+
+        const input = cfMock.commandCalls(CreateStackCommand)[0].args[0].input;
+        expect(input.OnFailure).to.eql("ROLLBACK");
+        expect(input).to.not.have.property("DisableRollback");
+
+        await expect(cloudFormation.upsertStack(name, script, [], { onFailure: "EXPLODE" }))
+          .to.eventually.be.rejectedWith("Unknown onFailure action 'EXPLODE', expected one of ROLLBACK, DELETE, DO_NOTHING");
+      });
+
+      it("passes onFailure to creates with transforms", async () => {
+        statuses = [undefined, "CREATE_COMPLETE"];
+        cfMock.on(CreateChangeSetCommand).resolves({ Id: "id", StackId: "StackId" });
+        cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+          return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "CREATE_COMPLETE" };
+        });
+        cfMock.on(ExecuteChangeSetCommand).resolves({});
+
+        await cloudFormation.upsertStack(name, script, [], { onFailure: "DELETE", containsTransforms: true });
+        expect(cfMock.commandCalls(CreateChangeSetCommand)[0].args[0].input.OnStackFailure).to.eql("DELETE");
+
+        // Failed creates are kept by default, as with createStack
+        statuses = [undefined, "CREATE_COMPLETE"];
+        await cloudFormation.upsertStack(name, script, [], { containsTransforms: true });
+        expect(cfMock.commandCalls(CreateChangeSetCommand)[1].args[0].input.OnStackFailure).to.eql("DO_NOTHING");
+      });
+
+      it("fails to create stack - deleted on failure", async () => {
+        statuses = ["ROLLBACK_IN_PROGRESS", "DELETE_IN_PROGRESS", undefined];
+        cfMock.on(DescribeStackEventsCommand).resolves({
+          StackEvents: [
+            { StackId: "StackId", StackName: name, LogicalResourceId: "Queue", PhysicalResourceId: "", ResourceType: "AWS::SQS::Queue", ResourceStatus: "CREATE_FAILED", ResourceStatusReason: "Invalid queue name", Timestamp: new Date(Date.now() + 1000) },
+          ]
+        });
+
+        const error = await cloudFormation.createStack({ StackName: name, OnFailure: "DELETE" }).catch(err => err);
+        expect(error).to.be.instanceOf(cloudFormation.StackOperationError);
+        expect(error.message).to.eql("Stack operation failed - DELETE_COMPLETE\nQueue: Invalid queue name");
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input).to.not.have.property("DisableRollback");
+      });
+
+      it("deletes and recreates stacks in ROLLBACK_COMPLETE", async () => {
+        statuses = ["ROLLBACK_COMPLETE", "ROLLBACK_COMPLETE", "DELETE_IN_PROGRESS", undefined, "CREATE_COMPLETE"];
+
+        await cloudFormation.upsertStack(name, script, []);
+        expect(cfMock.commandCalls(DeleteStackCommand)).to.have.lengthOf(1);
+        expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(1);
+        expect(cfMock.commandCalls(UpdateStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("continues rollback of stacks in UPDATE_ROLLBACK_FAILED before updating", async () => {
+        statuses = ["UPDATE_ROLLBACK_FAILED", "UPDATE_ROLLBACK_IN_PROGRESS", "UPDATE_ROLLBACK_COMPLETE", "UPDATE_ROLLBACK_COMPLETE", "UPDATE_COMPLETE"];
+
+        await cloudFormation.upsertStack(name, script, [], { resourcesToSkip: ["Queue"], disableRollback: true });
+        expect(cfMock.commandCalls(ContinueUpdateRollbackCommand)[0].args[0].input).to.eql({ StackName: name, ResourcesToSkip: ["Queue"] });
+        expect(cfMock.commandCalls(UpdateStackCommand)[0].args[0].input.DisableRollback).to.be.true;
+      });
+
+      it("waits for an update in progress before updating", async () => {
+        statuses = ["UPDATE_IN_PROGRESS", "UPDATE_IN_PROGRESS", "UPDATE_COMPLETE", "UPDATE_COMPLETE"];
+
+        await cloudFormation.upsertStack(name, script, []);
+        expect(cfMock.commandCalls(UpdateStackCommand)).to.have.lengthOf(1);
+        expect(statuses).to.eql(["UPDATE_COMPLETE"]);
+      });
+
+      it("waits for a rollback in progress before recreating the stack", async () => {
+        statuses = ["ROLLBACK_IN_PROGRESS", "ROLLBACK_COMPLETE", "ROLLBACK_COMPLETE", "DELETE_IN_PROGRESS", undefined, "CREATE_COMPLETE"];
+
+        await cloudFormation.upsertStack(name, script, []);
+        expect(cfMock.commandCalls(DeleteStackCommand)).to.have.lengthOf(1);
+        expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(1);
+        expect(cfMock.commandCalls(UpdateStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("waits for a delete in progress before creating the stack", async () => {
+        statuses = ["DELETE_IN_PROGRESS", "DELETE_IN_PROGRESS", undefined, "CREATE_COMPLETE"];
+
+        await cloudFormation.upsertStack(name, script, []);
+        expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(1);
+        expect(cfMock.commandCalls(DeleteStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("aborts when the stack can only be deleted", async () => {
+        statuses = ["ROLLBACK_IN_PROGRESS", "ROLLBACK_FAILED"];
+
+        await expect(cloudFormation.upsertStack(name, script, []))
+          .to.eventually.be.rejectedWith(`Stack ${name} is ROLLBACK_FAILED and cannot be updated, delete the stack and try again`);
+        expect(cfMock.commandCalls(UpdateStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("aborts without waiting when waitForInProgress is false", async () => {
+        statuses = ["UPDATE_ROLLBACK_IN_PROGRESS", "UPDATE_ROLLBACK_COMPLETE"];
+
+        await expect(cloudFormation.upsertStack(name, script, [], { waitForInProgress: false }))
+          .to.eventually.be.rejectedWith(`Stack ${name} is UPDATE_ROLLBACK_IN_PROGRESS, wait for the operation in progress to complete and try again`);
+        expect(statuses).to.have.lengthOf(1);
+      });
+
+      it("validates parameters before waiting for or recovering the stack", async () => {
+        statuses = ["ROLLBACK_IN_PROGRESS", "ROLLBACK_COMPLETE"];
+
+        await expect(cloudFormation.upsertStack(name, script, { Typo: "value" }))
+          .to.eventually.be.rejectedWith("Invalid stack parameters:\nTypo: not declared by the template");
+        expect(cfMock.commandCalls(DescribeStacksCommand)).to.have.lengthOf(1);
+        expect(cfMock.commandCalls(DeleteStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("creates stacks in REVIEW_IN_PROGRESS via a change set", async () => {
+        statuses = ["REVIEW_IN_PROGRESS", "CREATE_COMPLETE"];
+        cfMock.on(CreateChangeSetCommand).resolves({ Id: "id", StackId: "StackId" });
+        cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+          return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "CREATE_COMPLETE" };
+        });
+        cfMock.on(ExecuteChangeSetCommand).resolves({});
+
+        await expect(cloudFormation.upsertStack(name, script, [])).to.eventually.deep.equal(
+          { Stacks: [{ StackName: name, StackId: "StackId", StackStatus: "CREATE_COMPLETE" }] }
+        );
+        expect(cfMock.commandCalls(CreateChangeSetCommand)[0].args[0].input).to.include({ ChangeSetType: "CREATE", OnStackFailure: "DO_NOTHING" });
+        expect(cfMock.commandCalls(ExecuteChangeSetCommand)).to.have.lengthOf(1);
+        expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(0);
+        expect(cfMock.commandCalls(UpdateStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("waits for new stacks still in REVIEW_IN_PROGRESS after executing a change set", async () => {
+        statuses = ["REVIEW_IN_PROGRESS", "CREATE_IN_PROGRESS", "CREATE_COMPLETE"];
+        cfMock.on(ExecuteChangeSetCommand).resolves({});
+
+        await expect(cloudFormation.executeChangeSet({ StackName: name, ChangeSetName: "cs" })).to.eventually.deep.equal(
+          { Stacks: [{ StackName: name, StackId: "StackId", StackStatus: "CREATE_COMPLETE" }] }
+        );
+        expect(statuses).to.eql(["CREATE_COMPLETE"]);
+      });
+
+      it("continues update rollback", async () => {
+        statuses = ["UPDATE_ROLLBACK_IN_PROGRESS", "UPDATE_ROLLBACK_COMPLETE"];
+
+        await expect(cloudFormation.continueUpdateRollback(name)).to.eventually.deep.equal(
+          { Stacks: [{ StackName: name, StackId: "StackId", StackStatus: "UPDATE_ROLLBACK_COMPLETE" }] }
+        );
+        expect(cfMock.commandCalls(ContinueUpdateRollbackCommand)[0].args[0].input).to.eql({ StackName: name });
+      });
+    });
+
+    describe("parameter validation", () => {
+      const name = "StackName";
+      const script = "/path/to/script.yaml";
+      let stack;
+
+      beforeEach(() => {
+        stack = undefined;
+
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+          readFileSync: (_file) => [
+            "Parameters:",
+            "  Environment:",
+            "    Type: String",
+            "    AllowedValues: [dev, prod]",
+            "  BucketName:",
+            "    Type: String",
+            "    Default: bucket",
+          ].join("\n"),
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
+
+        cfMock.on(DescribeStacksCommand).callsFake(input => {
+          if (!stack) {
+            throw new Error("Stack does not exist");
+          }
+          return { Stacks: [stack] };
+        });
+        cfMock.on(CreateStackCommand).callsFake(input => {
+          stack = { StackName: name, StackStatus: "CREATE_COMPLETE", Parameters: input.Parameters };
+          return { StackId: "StackId" };
+        });
+        cfMock.on(UpdateStackCommand).callsFake(input => {
+          stack = { StackName: name, StackStatus: "UPDATE_COMPLETE", Parameters: input.Parameters };
+          return { StackId: "StackId" };
+        });
+      });
+
+      it("fails fast on invalid parameters", async () => {
+        await expect(cloudFormation.upsertStack(name, script, [
+          { ParameterKey: "Environment", ParameterValue: "test" },
+          { ParameterKey: "BucketNmae", ParameterValue: "bucket" },
+        ])).to.eventually.be.rejectedWith("Invalid stack parameters:\n" +
+          "Environment: 'test' is not one of dev, prod\n" +
+          "BucketNmae: not declared by the template");
+        expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(0);
+      });
+
+      it("skips validation when disabled", async () => {
+        await expect(cloudFormation.upsertStack(name, script, [{ ParameterKey: "Unknown", ParameterValue: "value" }], { validateParameters: false }))
+          .to.eventually.be.fulfilled;
+        expect(cfMock.commandCalls(CreateStackCommand)).to.have.lengthOf(1);
+      });
+
+      it("uses previous values for omitted parameters on update", async () => {
+        stack = {
+          StackName: name,
+          StackStatus: "CREATE_COMPLETE",
+          Parameters: [{ ParameterKey: "Environment", ParameterValue: "prod" }, { ParameterKey: "BucketName", ParameterValue: "custom" }]
+        };
+
+        // Required parameters must still be given without usePreviousValues
+        await expect(cloudFormation.upsertStack(name, script, [])).to.eventually.be.rejectedWith("Environment: required parameter has no value and no default");
+
+        await cloudFormation.upsertStack(name, script, [{ ParameterKey: "BucketName", ParameterValue: "other" }], { usePreviousValues: true });
+        expect(cfMock.commandCalls(UpdateStackCommand)[0].args[0].input.Parameters).to.eql([
+          { ParameterKey: "BucketName", ParameterValue: "other" },
+          { ParameterKey: "Environment", UsePreviousValue: true },
+        ]);
+      });
+
+      it("resolves parameter store and stack output references", async () => {
+        const logged = [];
+        const configRestore = cloudFormation.__set__("config", Object.assign({}, mockConfig, {
+          logger: { info: (message) => logged.push(message), warn: (_) => { } }
+        }));
+        stubs.push({ restore: function () { return configRestore(); } });
+        const parameterStoreRestore = cloudFormation.__set__("parameterStore", {
+          getParameter: async (name) => {
+            expect(name).to.eql("/acme/dev/environment");
+            return { Name: name, Type: "SecureString", Value: "prod" };
+          }
+        });
+        stubs.push({ restore: function () { return parameterStoreRestore(); } });
+        cfMock.on(DescribeStacksCommand, { StackName: "acme-dev-core" }).resolves({
+          Stacks: [{ StackName: "acme-dev-core", Outputs: [{ OutputKey: "Bucket", OutputValue: "core-bucket" }] }]
+        });
+
+        await cloudFormation.upsertStack(name, script, { Environment: "ssm:/acme/dev/environment", BucketName: "stack:acme-dev-core.Bucket" });
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input.Parameters).to.eql([
+          { ParameterKey: "Environment", ParameterValue: "prod" },
+          { ParameterKey: "BucketName", ParameterValue: "core-bucket" },
+        ]);
+        expect(logged).to.include.members([
+          "Resolved parameter Environment from ssm:/acme/dev/environment: ****",
+          "Resolved parameter BucketName from stack:acme-dev-core.Bucket: core-bucket",
+        ]);
+
+        await expect(cloudFormation.upsertStack(name, script, { Environment: "dev", BucketName: "stack:acme-dev-core.Missing" }))
+          .to.eventually.be.rejectedWith("Parameter BucketName references unknown output Missing of stack acme-dev-core");
+      });
+
+      it("records references instead of resolved secrets in the audit log", async () => {
+        const parameterStoreRestore = cloudFormation.__set__("parameterStore", {
+          getParameter: async (name) => ({ Name: name, Type: "SecureString", Value: "s3cr3t" })
+        });
+        stubs.push({ restore: function () { return parameterStoreRestore(); } });
+        let recorded;
+        const auditRestore = cloudFormation.__set__("audit", {
+          recordOperation: async (_operation, _stackName, details, fn) => {
+            recorded = details;
+            return await fn();
+          }
+        });
+        stubs.push({ restore: function () { return auditRestore(); } });
+
+        await cloudFormation.upsertStack(name, script, { Environment: "dev", BucketName: "ssm:/acme/dev/db-pass" });
+        expect(recorded.references).to.eql({ BucketName: "ssm:/acme/dev/db-pass" });
+        const maskParameters = rewire("../src/audit").__get__("maskParameters");
+        expect(maskParameters(recorded.parameters, recorded.declarations, recorded.references)).to.eql({
+          Environment: "dev",
+          BucketName: "ssm:/acme/dev/db-pass"
+        });
+      });
+
+      it("validates S3 templates with ValidateTemplate", async () => {
+        cfMock.on(ValidateTemplateCommand).callsFake(input => {
+          expect(input).to.eql({ TemplateURL: "https://s3.amazonaws.com/bucket/script.yaml" });
+          return { Parameters: [{ ParameterKey: "Environment" }, { ParameterKey: "BucketName", DefaultValue: "bucket" }] };
+        });
+
+        await expect(cloudFormation.upsertStack(name, "https://s3.amazonaws.com/bucket/script.yaml", [{ ParameterKey: "BucketName", ParameterValue: "b" }]))
+          .to.eventually.be.rejectedWith("Environment: required parameter has no value and no default");
+        await expect(cloudFormation.upsertStack(name, "https://s3.amazonaws.com/bucket/script.yaml", [{ ParameterKey: "Environment", ParameterValue: "any" }]))
+          .to.eventually.be.fulfilled;
+      });
+    });
+
+    describe("capabilities", () => {
+      const name = "acme-dev-api";
+      const script = "/path/to/script.yaml";
+      let body;
+
+      beforeEach(() => {
+        body = "Resources:\n  Role:\n    Type: AWS::IAM::Role\n    Properties:\n      RoleName: api-role\n";
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+          readFileSync: (_file) => body,
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
+
+        let stack;
+        cfMock.on(DescribeStacksCommand).callsFake(() => {
+          if (!stack) {
+            throw new Error("Stack does not exist");
+          }
+          return { Stacks: [stack] };
+        });
+        cfMock.on(CreateStackCommand).callsFake(() => {
+          stack = { StackName: name, StackStatus: "CREATE_COMPLETE" };
+          return { StackId: "StackId" };
+        });
+      });
+
+      it("requests only the capabilities the template requires", async () => {
+        await cloudFormation.upsertStack(name, script);
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input.Capabilities).to.eql(["CAPABILITY_IAM", "CAPABILITY_NAMED_IAM"]);
+      });
+
+      it("requests the capabilities given in options", async () => {
+        await cloudFormation.upsertStack(name, script, undefined, { capabilities: ["CAPABILITY_IAM"] });
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input.Capabilities).to.eql(["CAPABILITY_IAM"]);
+      });
+
+      it("requests the capabilities reported by ValidateTemplate for templates in S3", async () => {
+        cfMock.on(ValidateTemplateCommand).resolves({ Capabilities: ["CAPABILITY_IAM"] });
+
+        await cloudFormation.upsertStack(name, "https://bucket.s3.eu-west-1.amazonaws.com/script.yaml", undefined, { containsTransforms: false });
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input).to.include({ TemplateURL: "https://bucket.s3.eu-west-1.amazonaws.com/script.yaml" });
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input.Capabilities).to.eql(["CAPABILITY_IAM"]);
+      });
+
+      it("refuses named IAM for stacks not on the allowlist", async () => {
+        await expect(cloudFormation.upsertStack(name, script, undefined, { namedIamAllowlist: ["acme-dev-iam"] }))
+          .to.eventually.be.rejectedWith(`${name} requires CAPABILITY_NAMED_IAM but is not on the named IAM allowlist`);
+        expect(cfMock.calls()).to.have.lengthOf(0);
+
+        const configRestore = cloudFormation.__set__("config", Object.assign({}, mockConfig, { getNamedIamAllowlist: () => ["acme-*-api"] }));
+        stubs.push({ restore: function () { return configRestore(); } });
+        await expect(cloudFormation.upsertStack(name, script)).to.eventually.be.fulfilled;
+
+        body = "Resources:\n  Role:\n    Type: AWS::IAM::Role\n";
+        await expect(cloudFormation.upsertStack("acme-dev-web", script)).to.eventually.be.fulfilled;
+      });
+    });
+
+    describe("template upload", () => {
+      const name = "StackName";
+      const script = "/path/to/script.yaml";
+      let body;
+      let uploads;
+
+      beforeEach(() => {
+        body = "Resources:\n  Bucket:\n    Type: AWS::S3::Bucket\n";
+        uploads = [];
+
+        const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+          readFileSync: (_file) => body,
+        }));
+        stubs.push({ restore: function () { return fsRestore(); } });
+        const s3Restore = cloudFormation.__set__("s3", Object.assign({}, mockS3, {
+          objectExists: async (bucket, key) => uploads.includes(`${bucket}/${key}`),
+          putS3Object: async (input) => {
+            expect(input.Body).to.eql(body);
+            uploads.push(`${input.Bucket}/${input.Key}`);
+            return {};
+          },
+        }));
+        stubs.push({ restore: function () { return s3Restore(); } });
+
+        let stack;
+        cfMock.on(DescribeStacksCommand).callsFake(() => {
+          if (!stack) {
+            throw new Error("Stack does not exist");
+          }
+          return { Stacks: [stack] };
+        });
+        cfMock.on(CreateStackCommand).callsFake(() => {
+          stack = { StackName: name, StackStatus: "CREATE_COMPLETE" };
+          return { StackId: "StackId" };
+        });
+        cfMock.on(UpdateStackCommand).resolves({ StackId: "StackId" });
+      });
+
+      it("uploads template to s3Bucket under a content-hash key", async () => {
+        const hash = require("crypto").createHash("sha256").update(body).digest("hex");
+
+        await cloudFormation.upsertStack(name, script, undefined, { s3Bucket: "artifact-bucket", s3Prefix: "templates/" });
+        await cloudFormation.upsertStack(name, script, undefined, { s3Bucket: "artifact-bucket", s3Prefix: "templates/" });
+
+        expect(uploads).to.eql([`artifact-bucket/templates/${hash}.yaml`]);
+        const url = `https://artifact-bucket.s3.awsRegion.amazonaws.com/templates/${hash}.yaml`;
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input).to.include({ TemplateURL: url }).and.not.have.property("TemplateBody");
+        expect(cfMock.commandCalls(UpdateStackCommand)[0].args[0].input).to.include({ TemplateURL: url });
+      });
+
+      it("uploads templates over the inline limit to the artifact bucket", async () => {
+        body += `Description: ${"x".repeat(51200)}\n`;
+        const configRestore = cloudFormation.__set__("config", Object.assign({}, mockConfig, { getArtifactBucket: () => "config-bucket" }));
+        stubs.push({ restore: function () { return configRestore(); } });
+
+        await cloudFormation.upsertStack(name, script);
+        expect(uploads).to.have.lengthOf(1);
+        expect(uploads[0].startsWith("config-bucket/")).to.be.true;
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input.TemplateURL.startsWith("https://config-bucket.s3.")).to.be.true;
+      });
+
+      it("keeps small templates inline", async () => {
+        const configRestore = cloudFormation.__set__("config", Object.assign({}, mockConfig, { getArtifactBucket: () => "config-bucket" }));
+        stubs.push({ restore: function () { return configRestore(); } });
+
+        await cloudFormation.upsertStack(name, script);
+        expect(uploads).to.have.lengthOf(0);
+        expect(cfMock.commandCalls(CreateStackCommand)[0].args[0].input).to.include({ TemplateBody: body });
+      });
+
+      it("fails for templates over the inline limit without a bucket", async () => {
+        body += `Description: ${"x".repeat(51200)}\n`;
+
+        await expect(cloudFormation.upsertStack(name, script)).to.eventually.be.rejectedWith(
+          `${script} is ${body.length} bytes, over the 51200 byte limit for inline templates. Set s3Bucket or config.ARTIFACT_BUCKET to upload it to S3`);
+        expect(cfMock.calls()).to.have.lengthOf(0);
+      });
+    });
+  });
+
+  // createChangeSet
+  describe("create change set", () => {
+
+    it("creates change set", async () => {
+      // Statues
+      let statuses = [
+        "CREATE_IN_PROGRESS",
+        "CREATE_COMPLETE",
+      ];
+
+      const params = {
+        ChangeSetName: "ChangeSetName",
+        StackName: "StackName",
+        TemplateBody: "TemplateBody",
+        TemplateURL: "TemplateURL",
+      };
+
+      // Mock DescribeChangeSetCommand
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        expect(input).to.eql({ ChangeSetName: params.ChangeSetName, StackName: params.StackName });
+        return {
+          ChangeSetName: input.ChangeSetName,
+          StackName: input.StackName,
+          Status: statuses.shift(),
+        };
+      });
+
+      // Mock CreateChangeSetCommand
+      cfMock.on(CreateChangeSetCommand).callsFake(input => {
+        expect(input).to.eql(params);
+        return { Id: "id", StackId: "StackId" };
+      });
+
+      // Create change set
+      await expect(cloudFormation.createChangeSet(params)).to.eventually.deep.equal({
+        ChangeSetName: params.ChangeSetName,
+        StackName: params.StackName,
+        Status: "CREATE_COMPLETE",
+      });
+
+      expect(statuses).to.have.lengthOf(0);
+    });
+
+    it("fails to create change set", async () => {
+      // Statues
+      let statuses = [
+        "CREATE_IN_PROGRESS",
+        "FAILED",
+      ];
+
+      const params = {
+        ChangeSetName: "ChangeSetName",
+        StackName: "StackName",
+        TemplateBody: "TemplateBody",
+        TemplateURL: "TemplateURL",
+      };
+
+      // Mock DescribeChangeSetCommand
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        expect(input).to.eql({ ChangeSetName: params.ChangeSetName, StackName: params.StackName });
+        const statusReason = statuses[0] === "FAILED" ? { StatusReason: "Some other error" } : {};
+        return Object.assign({},
+          {
+            ChangeSetName: input.ChangeSetName,
+            StackName: input.StackName,
+            Status: statuses.shift(),
+          },
+          statusReason
+        );
+      });
+
+      // Mock CreateChangeSetCommand
+      cfMock.on(CreateChangeSetCommand).callsFake(input => {
+        expect(input).to.eql(params);
+        return { Id: "id", StackId: "StackId" };
+      });
+
+      // Create change set
+      await expect(cloudFormation.createChangeSet(params)).to.eventually.be.rejectedWith("Changeset creation failed");
+
+      expect(statuses).to.have.lengthOf(0);
+    });
+  });
+
+  // describeChangeSet
+  describe("describe change set", () => {
+    it("describes change set - paged with nested stacks and property values", async () => {
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        if (input.ChangeSetName === "nested-change-set-arn") {
+          expect(input).to.eql({ ChangeSetName: "nested-change-set-arn", IncludePropertyValues: true });
+          return {
+            ChangeSetName: "nested", StackName: "Nested", Status: "CREATE_COMPLETE",
+            Changes: [{ Type: "Resource", ResourceChange: { Action: "Remove", LogicalResourceId: "Queue", ResourceType: "AWS::SQS::Queue" } }]
+          };
+        }
+        if (!input.NextToken) {
+          expect(input).to.eql({ ChangeSetName: "ChangeSetName", IncludePropertyValues: true, StackName: "StackName" });
+          return {
+            ChangeSetName: "ChangeSetName", StackName: "StackName", Status: "CREATE_COMPLETE", NextToken: "page2",
+            Changes: [{ Type: "Resource", ResourceChange: { Action: "Modify", LogicalResourceId: "Bucket", ResourceType: "AWS::S3::Bucket" } }]
+          };
+        }
+        expect(input).to.eql({ ChangeSetName: "ChangeSetName", IncludePropertyValues: true, StackName: "StackName", NextToken: "page2" });
+        return {
+          ChangeSetName: "ChangeSetName", StackName: "StackName", Status: "CREATE_COMPLETE",
+          Changes: [{ Type: "Resource", ResourceChange: { Action: "Modify", LogicalResourceId: "Nested", ResourceType: "AWS::CloudFormation::Stack", ChangeSetId: "nested-change-set-arn" } }]
+        };
+      });
+
+      const cs = await cloudFormation.describeChangeSet({ ChangeSetName: "ChangeSetName", StackName: "StackName" });
+      expect(cs.NextToken).to.be.undefined;
+      expect(cs.Changes.map(change => change.ResourceChange.LogicalResourceId)).to.eql(["Bucket", "Nested"]);
+      expect(cs.Changes[1].ResourceChange.NestedChangeSet.Changes[0].ResourceChange.LogicalResourceId).to.eql("Queue");
+    });
+  });
+
+  // deleteChangeSet
+  describe("delete change set", () => {
+    it("deletes change set", async () => {
+      const statuses = [
+        "DELETE_IN_PROGRESS",
         "DELETE_COMPLETE"
       ];
       const params = {
@@ -1050,156 +2176,343 @@ describe("src/cloudFormation", () => {
 
   // deployStack
   describe("deploy stack", () => {
+    const name = "StackName";
+    const script = "location/of/StackName.yaml";
+    const parameters = [
+      { ParameterKey: "ParameterKey", ParameterValue: "ParameterValue with \"quotes\" and spaces" }
+    ];
+    let written;
+
+    beforeEach(() => {
+      written = {};
+
+      // Mock packager
+      const packagerRestore = cloudFormation.__set__("packager", {
+        packageTemplate: async (file, options) => {
+          expect(file).to.eql(script);
+          expect(options).to.eql({ s3Bucket: "artifact-bucket", s3Prefix: "artifacts/" });
+          return "Parameters:\n  ParameterKey:\n    Type: String\n";
+        }
+      });
+      stubs.push({ restore: function () { return packagerRestore(); } });
+
+      // Mock 'fs' to capture the packaged template
+      const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+        writeFileSync: (file, data) => { written[file] = data; },
+        readFileSync: (file) => written[file],
+      }));
+      stubs.push({ restore: function () { return fsRestore(); } });
+
+      // Mock loading the source template
+      const template = cloudFormation.__get__("template");
+      const templateRestore = cloudFormation.__set__("template", Object.assign({}, template, {
+        loadTemplate: (_file) => ({ template: { Resources: {} } }),
+      }));
+      stubs.push({ restore: function () { return templateRestore(); } });
+    });
+
+    it("deploys stack - capabilities of the source template's nested stacks", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cf-utils-deploy-"));
+      fs.writeFileSync(path.join(dir, "main.yaml"), [
+        "Resources:",
+        "  Nested:",
+        "    Type: AWS::CloudFormation::Stack",
+        "    Properties:",
+        "      TemplateURL: nested.yaml",
+      ].join("\n"));
+      fs.writeFileSync(path.join(dir, "nested.yaml"), [
+        "Resources:",
+        "  Role:",
+        "    Type: AWS::IAM::Role",
+        "    Properties:",
+        "      AssumeRolePolicyDocument: {}",
+      ].join("\n"));
+      const templateRestore = cloudFormation.__set__("template", require("../src/template"));
+      stubs.push({ restore: function () { return templateRestore(); } });
+      const packagerRestore = cloudFormation.__set__("packager", {
+        packageTemplate: async () => [
+          "Resources:",
+          "  Nested:",
+          "    Type: AWS::CloudFormation::Stack",
+          "    Properties:",
+          "      TemplateURL: https://artifact-bucket.s3.amazonaws.com/artifacts/nested.yaml",
+        ].join("\n")
+      });
+      stubs.push({ restore: function () { return packagerRestore(); } });
+      const configRestore = cloudFormation.__set__("config", Object.assign({}, mockConfig, { getNamedIamAllowlist: () => [] }));
+      stubs.push({ restore: function () { return configRestore(); } });
+
+      cfMock.on(DescribeStacksCommand).resolves({ Stacks: [{ StackName: name, StackStatus: "UPDATE_COMPLETE" }] });
+      cfMock.on(CreateChangeSetCommand).resolves({ Id: "id", StackId: "StackId" });
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "CREATE_COMPLETE" };
+      });
+      cfMock.on(ExecuteChangeSetCommand).resolves({});
+
+      try {
+        await cloudFormation.deployStack(name, path.join(dir, "main.yaml"), [], { s3Bucket: "artifact-bucket" });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+      expect(cfMock.commandCalls(CreateChangeSetCommand)[0].args[0].input.Capabilities).to.eql(["CAPABILITY_IAM"]);
+    });
 
     it("deploys stack", async () => {
-      const name = "StackName";
-      const script = "location/of/StackName.yaml";
-      const parameters = [
-        { ParameterKey: "ParameterKey", ParameterValue: "ParameterValue" }
+      const statuses = [
+        "UPDATE_COMPLETE",
+        "UPDATE_IN_PROGRESS",
+        "UPDATE_COMPLETE",
+        "UPDATE_COMPLETE",
       ];
 
-      // Mock spawn for this test
-      // Callback function to test spawn params and calls
-      const mockSpawnCallback = (event, args) => {
-        // expect events to be mocked
-        expect(["constructor", "stdout.encoding", "stderr.encoding", "on.close", "stdout.on.data", "stderr.on.data"]).to.include(event, `'${event}' not mocked for 'spawn()'`);
-
-        // Handle events
-        if (event === "constructor") {
-          expectMockSpawnConstructor(args, name, script, parameters);
-        } else if (event === "stdout.encoding" || event === "stderr.encoding") {
-          expectMockSpawnEncoding(args);
-        } else if (event === "on.close") {
-          expectMockSpawnFunctionCall(args[0], 0);
-        }
-      };
-      const spawnRestore = cloudFormation.__set__("spawn", mockSpawn(mockSpawnCallback).spawn);
-      stubs.push({ restore: function () { return spawnRestore(); } });
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        expect(input).to.eql({ StackName: name });
+        return { Stacks: [{ StackName: name, StackStatus: statuses.shift() }] };
+      });
+      cfMock.on(CreateChangeSetCommand).callsFake(input => {
+        expect(input.StackName).to.eql(name);
+        expect(input.Parameters).to.eql(parameters);
+        expect(input.TemplateBody).to.eql("Parameters:\n  ParameterKey:\n    Type: String\n");
+        expect(input.ChangeSetType).to.eql("UPDATE");
+        return { Id: "id", StackId: "StackId" };
+      });
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "CREATE_COMPLETE" };
+      });
+      cfMock.on(ExecuteChangeSetCommand).callsFake(input => {
+        expect(input.StackName).to.eql(name);
+        expect(input.ChangeSetName.startsWith("cf-utils-cloudformation-upsert-stack-")).to.be.true;
+        return {};
+      });
 
-      const expected = {
-        StackName: name,
-        StackStatus: "DELETE_COMPLETE",
-      };
+      await expect(cloudFormation.deployStack(name, script, parameters, { s3Bucket: "artifact-bucket", s3Prefix: "artifacts/" }))
+        .to.eventually.deep.equal({ StackName: name, StackStatus: "UPDATE_COMPLETE" });
+      expect(statuses).to.have.lengthOf(0);
+      expect(Object.values(written)).to.eql(["Parameters:\n  ParameterKey:\n    Type: String\n"]);
+    });
 
-      // Mock DescribeChangeSetCommand
+    it("deploys stack - no changes to deploy", async () => {
       cfMock.on(DescribeStacksCommand).callsFake(input => {
-        expect(input).to.eql({ StackName: expected.StackName });
-        return { Stacks: [expected] };
+        return { Stacks: [{ StackName: name, StackStatus: "UPDATE_COMPLETE" }] };
+      });
+      cfMock.on(CreateChangeSetCommand).resolves({ Id: "id", StackId: "StackId" });
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return { ChangeSetName: input.ChangeSetName, StackName: input.StackName, Status: "FAILED", StatusReason: "The submitted information didn't contain changes." };
       });
 
-      // Deploy stack
-      return expect(cloudFormation.deployStack(name, script, parameters)).to.eventually.deep.equal(expected);
+      await expect(cloudFormation.deployStack(name, script, parameters, { s3Bucket: "artifact-bucket", s3Prefix: "artifacts/" }))
+        .to.eventually.deep.equal({ StackName: name, StackStatus: "UPDATE_COMPLETE" });
+      expect(cfMock.commandCalls(ExecuteChangeSetCommand)).to.have.lengthOf(0);
     });
 
-    it("deploys stack - no changes to deploy", async () => {
-      // mock console.log for this test to ignore output
-      const consoleLogRestore = cloudFormation.__set__("console.log", () => { });
-      stubs.push({ restore: function () { return consoleLogRestore(); } });
+    it("fails to deploy stack - packaging", async () => {
+      const packagerRestore = cloudFormation.__set__("packager", {
+        packageTemplate: async () => { throw new Error("s3Bucket is required to package Function CodeUri (src)"); }
+      });
+      stubs.push({ restore: function () { return packagerRestore(); } });
 
-      // Params
-      const name = "StackName";
-      const script = "location/of/StackName.yaml";
-      const parameters = [
-        { ParameterKey: "ParameterKey", ParameterValue: "ParameterValue" }
-      ];
+      await expect(cloudFormation.deployStack(name, script, parameters)).to.eventually.be.rejectedWith("s3Bucket is required");
+      expect(cfMock.calls()).to.have.lengthOf(0);
+    });
 
-      // Mock spawn for this test
-      // Callback function to test spawn params and calls
-      const mockSpawnCallback = (event, args) => {
-        // expect events to be mocked
-        expect(["constructor", "stdout.encoding", "stderr.encoding", "on.close", "stdout.on.data", "stderr.on.data"]).to.include(event, `'${event}' not mocked for 'spawn()'`);
-
-        // Handle events
-        if (event === "constructor") {
-          expectMockSpawnConstructor(args, name, script, parameters);
-        } else if (event === "stdout.encoding" || event === "stderr.encoding") {
-          expectMockSpawnEncoding(args);
-        } else if (event === "on.close") {
-          expectMockSpawnFunctionCall(args[0], 1);
-        } else if (event === "stderr.on.data") {
-          expectMockSpawnFunctionCall(args[0], "No changes to deploy");
-        }
-      };
-      const spawnRestore = cloudFormation.__set__("spawn", mockSpawn(mockSpawnCallback).spawn);
-      stubs.push({ restore: function () { return spawnRestore(); } });
+    it("fails to deploy stack - describe stack", async () => {
+      cfMock.on(DescribeStacksCommand).rejects(new Error("some other error"));
 
-      const expected = {
-        StackName: name,
-        StackStatus: "DELETE_COMPLETE",
-      };
+      await expect(cloudFormation.deployStack(name, script, parameters, { s3Bucket: "artifact-bucket", s3Prefix: "artifacts/" }))
+        .to.eventually.be.rejected;
+    });
+  });
+
+  // importResources
+  describe("import resources", () => {
+    const name = "StackName";
+    const script = "/path/to/import.yaml";
+    let body;
+    let calls;
+
+    beforeEach(() => {
+      body = [
+        "Resources:",
+        "  LegacyBucket:",
+        "    Type: AWS::S3::Bucket",
+        "    DeletionPolicy: Retain",
+        "  LegacyTable:",
+        "    Type: AWS::DynamoDB::Table",
+      ].join("\n");
+      calls = [];
+
+      const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+        readFileSync: (_file) => body,
+      }));
+      stubs.push({ restore: function () { return fsRestore(); } });
 
-      // Mock DescribeChangeSetCommand
       cfMock.on(DescribeStacksCommand).callsFake(input => {
-        expect(input).to.eql({ StackName: expected.StackName });
-        return { Stacks: [expected] };
+        return {
+          Stacks: [{
+            StackName: input.StackName,
+            StackStatus: "IMPORT_COMPLETE",
+            Parameters: [{ ParameterKey: "Environment", ParameterValue: "dev" }]
+          }]
+        };
+      });
+      cfMock.on(CreateChangeSetCommand).callsFake(input => {
+        calls.push(`create:${input.ChangeSetType}`);
+        return { Id: "id", StackId: "StackId" };
+      });
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return {
+          ChangeSetName: input.ChangeSetName,
+          StackName: input.StackName,
+          Status: "CREATE_COMPLETE",
+          Changes: [{ Type: "Resource", ResourceChange: { Action: "Import", LogicalResourceId: "LegacyBucket", ResourceType: "AWS::S3::Bucket" } }],
+        };
+      });
+      cfMock.on(DeleteChangeSetCommand).callsFake(() => {
+        calls.push("delete");
+        return {};
+      });
+      cfMock.on(ExecuteChangeSetCommand).callsFake(() => {
+        calls.push("execute");
+        return {};
       });
-
-      // Deploy stack
-      return expect(cloudFormation.deployStack(name, script, parameters)).to.eventually.deep.equal(expected);
     });
 
-    it("fails to deploys stack - aws cli", async () => {
-      // mock console.log for this test to ignore output
-      const consoleLogRestore = cloudFormation.__set__("console.log", () => { });
-      stubs.push({ restore: function () { return consoleLogRestore(); } });
+    it("imports resources", async () => {
+      await expect(cloudFormation.importResources(name, script, { LegacyBucket: { BucketName: "legacy-bucket" } }))
+        .to.eventually.be.fulfilled;
+      expect(calls).to.eql(["create:IMPORT", "execute"]);
+
+      const input = cfMock.commandCalls(CreateChangeSetCommand)[0].args[0].input;
+      expect(input.ChangeSetName).to.match(new RegExp(`^cf-utils-${name}-import-\\d+$`));
+      expect(input.TemplateBody).to.eql(body);
+      expect(input.ResourcesToImport).to.eql([
+        { ResourceType: "AWS::S3::Bucket", LogicalResourceId: "LegacyBucket", ResourceIdentifier: { BucketName: "legacy-bucket" } }
+      ]);
+      expect(input.Parameters).to.eql([{ ParameterKey: "Environment", UsePreviousValue: true }]);
+    });
 
-      const name = "StackName";
-      const script = "location/of/StackName.yaml";
-      const parameters = [
-        { ParameterKey: "ParameterKey", ParameterValue: "ParameterValue" }
-      ];
+    it("rejects resources without a DeletionPolicy", async () => {
+      await expect(cloudFormation.importResources(name, script, [
+        { ResourceType: "AWS::DynamoDB::Table", LogicalResourceId: "LegacyTable", ResourceIdentifier: { TableName: "legacy-table" } },
+        { ResourceType: "AWS::SQS::Queue", LogicalResourceId: "LegacyBucket", ResourceIdentifier: { QueueUrl: "url" } },
+        { ResourceType: "AWS::SNS::Topic", LogicalResourceId: "LegacyTopic", ResourceIdentifier: { TopicArn: "arn" } },
+      ])).to.eventually.be.rejectedWith(
+        "Invalid resources to import:\n" +
+        "LegacyTable: imported resources must declare a DeletionPolicy\n" +
+        "LegacyBucket: type AWS::SQS::Queue does not match the template (AWS::S3::Bucket)\n" +
+        "LegacyTopic: not declared by the template"
+      );
+      expect(cfMock.calls()).to.have.lengthOf(0);
+    });
 
-      // Mock spawn for this test
-      // Callback function to test spawn params and calls
-      const mockSpawnCallback = (event, args) => {
-        // expect events to be mocked
-        expect(["constructor", "stdout.encoding", "stderr.encoding", "on.close", "stdout.on.data", "stderr.on.data"]).to.include(event, `'${event}' not mocked for 'spawn()'`);
-
-        // Handle events
-        if (event === "constructor") {
-          expectMockSpawnConstructor(args, name, script, parameters);
-        } else if (event === "stdout.encoding" || event === "stderr.encoding") {
-          expectMockSpawnEncoding(args);
-        } else if (event === "on.close") {
-          expectMockSpawnFunctionCall(args[0], 1);
-        } else if (event === "stderr.on.data") {
-          expectMockSpawnFunctionCall(args[0], "Ignore: Some testing error");
-        }
-      };
-      const spawnRestore = cloudFormation.__set__("spawn", mockSpawn(mockSpawnCallback).spawn);
-      stubs.push({ restore: function () { return spawnRestore(); } });
+    it("reviewer rejects import", async () => {
+      await expect(cloudFormation.importResources(name, script, { LegacyBucket: { BucketName: "legacy-bucket" } }, { review: "reject-destructive" }))
+        .to.eventually.be.fulfilled;
 
-      // Deploy stack
-      return expect(cloudFormation.deployStack(name, script, parameters)).to.eventually.be.rejectedWith("Stack deploy failed");
+      cfMock.on(DescribeChangeSetCommand).callsFake(input => {
+        return {
+          ChangeSetName: input.ChangeSetName,
+          StackName: input.StackName,
+          Status: "CREATE_COMPLETE",
+          Changes: [{ Type: "Resource", ResourceChange: { Action: "Remove", LogicalResourceId: "Queue", ResourceType: "AWS::SQS::Queue" } }],
+        };
+      });
+      calls = [];
+      await expect(cloudFormation.importResources(name, script, { LegacyBucket: { BucketName: "legacy-bucket" } }, { review: "reject-destructive" }))
+        .to.eventually.be.rejectedWith("Reviewer rejected resource import");
+      expect(calls).to.eql(["create:IMPORT", "delete"]);
     });
 
-    it("fails to deploy stack - describe stack", async () => {
-      const name = "StackName";
-      const script = "location/of/StackName.yaml";
-      const parameters = [
-        { ParameterKey: "ParameterKey", ParameterValue: "ParameterValue" }
-      ];
+    it("fails to import resources - template does not exist", async () => {
+      await expect(cloudFormation.importResources(name, "/path/to/DoesNotExist.yaml", {}))
+        .to.eventually.be.rejectedWith("/path/to/DoesNotExist.yaml does not exist!");
+    });
+  });
 
-      // Mock spawn for this test
-      const mockSpawnCallback = (event, args) => {
-        // expect events to be mocked
-        expect(["constructor", "stdout.encoding", "stderr.encoding", "on.close", "stdout.on.data", "stderr.on.data"]).to.include(event, `'${event}' not mocked for 'spawn()'`);
+  // validateTemplate
+  describe("validate template", () => {
+    const script = "/path/to/template.yaml";
+    let body;
+
+    beforeEach(() => {
+      body = "Parameters:\n  Env:\n    Type: String\nResources:\n  Bucket:\n    Type: AWS::S3::Bucket\n    Properties:\n      BucketName: !Sub '${Env}-bucket'\n";
+      const fsRestore = cloudFormation.__set__("fs", Object.assign({}, mockFs.functions, {
+        readFileSync: (_file) => body,
+      }));
+      stubs.push({ restore: function () { return fsRestore(); } });
+    });
 
-        // Handle events
-        if (event === "on.close") {
-          expectMockSpawnFunctionCall(args[0], 0);
-        }
-      };
-      const spawnRestore = cloudFormation.__set__("spawn", mockSpawn(mockSpawnCallback).spawn);
-      stubs.push({ restore: function () { return spawnRestore(); } });
+    it("validates template", async () => {
+      cfMock.on(ValidateTemplateCommand).callsFake(input => {
+        expect(input).to.eql({ TemplateBody: body });
+        return {
+          Description: "Bucket",
+          Parameters: [{ ParameterKey: "Env", NoEcho: false }],
+          Capabilities: ["CAPABILITY_IAM"],
+          CapabilitiesReason: "The following resource(s) require capabilities: [AWS::IAM::Role]"
+        };
+      });
 
-      // Mock DescribeChangeSetCommand
-      cfMock.on(DescribeStacksCommand).callsFake(input => {
-        expect(input).to.eql({ StackName: "StackName" });
-        throw new Error("some other error");
+      const result = await cloudFormation.validateTemplate(script);
+      expect(result).to.deep.include({
+        Description: "Bucket",
+        Parameters: [{ ParameterKey: "Env", NoEcho: false }],
+        Capabilities: ["CAPABILITY_IAM"],
+        Warnings: [],
+        Size: body.length
       });
+    });
+
+    it("validates template offline", async () => {
+      await expect(cloudFormation.validateTemplate(script, { offline: true })).to.eventually.eql({ Capabilities: [], Warnings: [], Size: body.length });
+      expect(cfMock.calls()).to.have.lengthOf(0);
+    });
+
+    it("inspects local nested stacks for the capabilities they require", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cf-utils-validate-"));
+      fs.writeFileSync(path.join(dir, "main.yaml"), [
+        "Resources:",
+        "  Nested:",
+        "    Type: AWS::CloudFormation::Stack",
+        "    Properties:",
+        "      TemplateURL: nested.yaml",
+      ].join("\n"));
+      fs.writeFileSync(path.join(dir, "nested.yaml"), "Resources:\n  Bucket:\n    Type: AWS::S3::Bucket\n");
+      const fsRestore = cloudFormation.__set__("fs", fs);
+      stubs.push({ restore: function () { return fsRestore(); } });
+
+      await expect(cloudFormation.validateTemplate(path.join(dir, "main.yaml"), { offline: true, capabilities: [] }))
+        .to.eventually.deep.include({ Capabilities: [], Warnings: [] });
+    });
+
+    it("skips ValidateTemplate for templates over the inline limit", async () => {
+      body += `Description: ${"x".repeat(51200)}\n`;
+
+      await expect(cloudFormation.validateTemplate(script)).to.eventually.be.rejectedWith("over the 51200 byte limit");
+      await expect(cloudFormation.validateTemplate(script, { s3Upload: true })).to.eventually.include({ Size: body.length });
+      expect(cfMock.calls()).to.have.lengthOf(0);
+    });
+
+    it("validates template in S3", async () => {
+      cfMock.on(ValidateTemplateCommand).resolves({ Parameters: [], Capabilities: [] });
+
+      await expect(cloudFormation.validateTemplate("https://s3.amazonaws.com/bucket/template.yaml")).to.eventually.deep.include({ Parameters: [], Warnings: [] });
+      expect(cfMock.commandCalls(ValidateTemplateCommand)[0].args[0].input).to.eql({ TemplateURL: "https://s3.amazonaws.com/bucket/template.yaml" });
+    });
+
+    it("fails lint before calling AWS", async () => {
+      body = "Resources:\n  Bucket:\n    Type: AWS::S3::Bucket\n    DependsOn: Role\n";
+
+      await expect(cloudFormation.validateTemplate(script)).to.eventually.be.rejectedWith(`Invalid template ${script}:\nResources.Bucket: unresolved DependsOn Role`);
+      await expect(cloudFormation.upsertStack("StackName", script, undefined, { validateTemplate: true }))
+        .to.eventually.be.rejectedWith("Resources.Bucket: unresolved DependsOn Role");
+      expect(cfMock.calls()).to.have.lengthOf(0);
+    });
 
-      return expect(cloudFormation.deployStack(name, script, parameters)).to.eventually.be.rejectedWith("some other error");
+    it("fails on missing required outputs in upsertStack", async () => {
+      await expect(cloudFormation.upsertStack("StackName", script, undefined, { validateTemplate: true, requiredOutputs: ["BucketName"] }))
+        .to.eventually.be.rejectedWith("Outputs.BucketName: required output is not declared");
+      expect(cfMock.calls()).to.have.lengthOf(0);
     });
   });
 
@@ -1282,6 +2595,42 @@ describe("src/cloudFormation", () => {
     });
   });
 
+  // listExports / getExport / findImporters
+  describe("exports", () => {
+    beforeEach(() => {
+      cfMock.on(ListExportsCommand).callsFake(input => {
+        return input.NextToken
+          ? { Exports: [{ ExportingStackId: "core-id", Name: "core-VpcId", Value: "vpc-1234" }] }
+          : { NextToken: "page2", Exports: [{ ExportingStackId: "core-id", Name: "core-BucketName", Value: "core-bucket" }] };
+      });
+      cfMock.on(ListImportsCommand).callsFake(input => {
+        if (input.ExportName !== "core-VpcId") {
+          throw new Error(`Export '${input.ExportName}' is not imported by any stack.`);
+        }
+        return input.NextToken ? { Imports: ["db"] } : { NextToken: "page2", Imports: ["api"] };
+      });
+    });
+
+    it("lists exports", async () => {
+      await expect(cloudFormation.listExports()).to.eventually.eql({ "core-BucketName": "core-bucket", "core-VpcId": "vpc-1234" });
+    });
+
+    it("gets export", async () => {
+      await expect(cloudFormation.getExport("core-VpcId")).to.eventually.eql("vpc-1234");
+      await expect(cloudFormation.getExport("core-Unknown")).to.eventually.be.undefined;
+    });
+
+    it("finds importers", async () => {
+      await expect(cloudFormation.findImporters("core-VpcId")).to.eventually.eql(["api", "db"]);
+      await expect(cloudFormation.findImporters("core-BucketName")).to.eventually.eql([]);
+    });
+
+    it("fails to find importers", async () => {
+      cfMock.on(ListImportsCommand).rejects(new Error("some other error"));
+      await expect(cloudFormation.findImporters("core-VpcId")).to.eventually.be.rejectedWith("some other error");
+    });
+  });
+
   // deleteStack
   describe("delete stack", () => {
 
@@ -1327,47 +2676,83 @@ describe("src/cloudFormation", () => {
       expect(statuses).to.have.lengthOf(0);
     });
 
-    it("deletes stack and empties bucket", async () => {
+    it("deletes stack and empties buckets and repositories", async () => {
       let statuses = [
         "CREATE_COMPLETE",
         "DELETE_IN_PROGRESS"
       ];
+      const emptied = [];
+      const s3Restore = cloudFormation.__set__("s3", Object.assign({}, mockS3, {
+        emptyBucket: async (bucketName) => { emptied.push(`s3:${bucketName}`); }
+      }));
+      stubs.push({ restore: function () { return s3Restore(); } });
+      const ecrRestore = cloudFormation.__set__("ecr", {
+        emptyRepository: async (repositoryName) => { emptied.push(`ecr:${repositoryName}`); }
+      });
+      stubs.push({ restore: function () { return ecrRestore(); } });
 
-      const params = { StackName: "StackName" };
-
-      // Mock DescribeChangeSetCommand
       cfMock.on(DescribeStacksCommand).callsFake(input => {
-        // does not exist
-        expect(input).to.eql(params);
-
-        // Stack has been deleted if no statues remain
         if (statuses.length === 0) {
           throw new Error("does not exist");
         }
-
-        // Otherwise return the next status
+        return { Stacks: [{ StackName: "StackName", StackId: "StackId", StackStatus: statuses.shift() }] };
+      });
+      const resources = {
+        StackName: [
+          { LogicalResourceId: "Bucket", PhysicalResourceId: "bucket", ResourceType: "AWS::S3::Bucket", ResourceStatus: "CREATE_COMPLETE" },
+          { LogicalResourceId: "Logs", PhysicalResourceId: "logs", ResourceType: "AWS::S3::Bucket", ResourceStatus: "CREATE_COMPLETE" },
+          { LogicalResourceId: "Deleted", PhysicalResourceId: "deleted", ResourceType: "AWS::S3::Bucket", ResourceStatus: "DELETE_COMPLETE" },
+          { LogicalResourceId: "Queue", PhysicalResourceId: "queue", ResourceType: "AWS::SQS::Queue", ResourceStatus: "CREATE_COMPLETE" },
+          { LogicalResourceId: "Nested", PhysicalResourceId: "nested-id", ResourceType: "AWS::CloudFormation::Stack", ResourceStatus: "CREATE_COMPLETE" },
+        ],
+        "nested-id": [
+          { LogicalResourceId: "Repository", PhysicalResourceId: "repository", ResourceType: "AWS::ECR::Repository", ResourceStatus: "CREATE_COMPLETE" },
+        ],
+      };
+      cfMock.on(ListStackResourcesCommand).callsFake(input => {
+        return { StackResourceSummaries: resources[input.StackName] };
+      });
+      cfMock.on(GetTemplateCommand).callsFake(input => {
+        expect(input.TemplateStage).to.eql("Processed");
         return {
-          Stacks: [{
-            StackName: "StackName",
-            StackStatus: statuses.shift(),
-            Outputs: [
-              { OutputKey: "Property1", OutputValue: "Value1" },
-              { OutputKey: "Property2", OutputValue: "Value2" },
-              { OutputKey: "EmptyBucket", OutputValue: "bucket-name" },
-            ]
-          }]
+          TemplateBody: input.StackName === "StackName"
+            ? "Resources:\n  Logs:\n    Type: AWS::S3::Bucket\n    DeletionPolicy: Retain\n"
+            : '{"Resources": {}}'
         };
       });
-
-      // Mock DeleteStackCommand
       cfMock.on(DeleteStackCommand).callsFake(input => {
-        expect(input).to.eql(params);
+        expect(input).to.eql({ StackName: "StackName" });
         return {};
       });
 
-      await expect(cloudFormation.deleteStack(params.StackName)).to.eventually.be.fulfilled;
+      await expect(cloudFormation.deleteStack("StackName")).to.eventually.be.fulfilled;
 
       expect(statuses).to.have.lengthOf(0);
+      expect(emptied).to.have.members(["s3:bucket", "ecr:repository"]);
+    });
+
+    it("deletes stack retaining resources", async () => {
+      let statuses = [
+        "DELETE_FAILED",
+        "DELETE_IN_PROGRESS"
+      ];
+      cfMock.on(DescribeStacksCommand).callsFake(input => {
+        if (statuses.length === 0) {
+          throw new Error("does not exist");
+        }
+        return { Stacks: [{ StackName: "StackName", StackId: "StackId", StackStatus: statuses.shift() }] };
+      });
+      cfMock.on(ListStackResourcesCommand).resolves({
+        StackResourceSummaries: [
+          { LogicalResourceId: "Bucket", PhysicalResourceId: "bucket", ResourceType: "AWS::S3::Bucket", ResourceStatus: "DELETE_FAILED" },
+        ]
+      });
+      cfMock.on(DeleteStackCommand).resolves({});
+
+      await expect(cloudFormation.deleteStack("StackName", { retainResources: ["Bucket"] })).to.eventually.be.fulfilled;
+
+      expect(cfMock.commandCalls(GetTemplateCommand)).to.have.lengthOf(0);
+      expect(cfMock.commandCalls(DeleteStackCommand)[0].args[0].input).to.eql({ StackName: "StackName", RetainResources: ["Bucket"] });
     });
 
     it("stack already deleted", async () => {
@@ -1393,6 +2778,309 @@ describe("src/cloudFormation", () => {
 
       return expect(cloudFormation.deleteStack(params.StackName)).to.eventually.be.rejectedWith("some other error");
     });
+
+    it("records the delete in the audit log", async () => {
+      let statuses = ["CREATE_COMPLETE", "DELETE_IN_PROGRESS"];
+      cfMock.on(DescribeStacksCommand).callsFake(() => {
+        if (statuses.length === 0) {
+          throw new Error("does not exist");
+        }
+        return { Stacks: [{ StackName: "StackName", StackId: "stack-id", StackStatus: statuses.shift() }] };
+      });
+      cfMock.on(DeleteStackCommand).resolves({});
+
+      const operations = [];
+      const auditRestore = cloudFormation.__set__("audit", {
+        recordOperation: async (operation, stackName, _details, fn) => {
+          operations.push(`${operation} ${stackName}`);
+          return await fn();
+        }
+      });
+      stubs.push({ restore: function () { return auditRestore(); } });
+
+      await cloudFormation.deleteStack("StackName");
+      statuses = ["CREATE_COMPLETE", "DELETE_IN_PROGRESS"];
+      await cloudFormation.deleteStack("StackName", { audit: false });
+      expect(statuses).to.have.lengthOf(0);
+      expect(operations).to.eql(["deleteStack StackName"]);
+    });
+
+    it("holds the deployment lock while deleting", async () => {
+      cfMock.on(DescribeStacksCommand).rejects(new Error("Stack with id StackName does not exist"));
+
+      const locked = [];
+      const lockRestore = cloudFormation.__set__("lock", {
+        withLock: async (stackName, options, fn) => {
+          locked.push(`${stackName} ${options.operation}`);
+          return await fn();
+        }
+      });
+      stubs.push({ restore: function () { return lockRestore(); } });
+
+      await cloudFormation.deleteStack("StackName", { lock: true });
+      expect(locked).to.eql(["StackName deleteStack"]);
+      expect(cfMock.commandCalls(DescribeStacksCommand)).to.have.lengthOf(1);
+    });
   });
 
-});
\ No newline at end of file
+  // detectDrift
+  describe("detect drift", () => {
+    let statuses;
+
+    beforeEach(() => {
+      statuses = ["DETECTION_IN_PROGRESS", "DETECTION_COMPLETE"];
+
+      cfMock.on(DetectStackDriftCommand).callsFake(input => {
+        return { StackDriftDetectionId: `${input.StackName}-detection` };
+      });
+      cfMock.on(DescribeStackDriftDetectionStatusCommand).callsFake(input => {
+        const drifted = input.StackDriftDetectionId.startsWith("Drifted");
+        return {
+          StackId: input.StackDriftDetectionId.replace("-detection", "-id"),
+          StackDriftDetectionId: input.StackDriftDetectionId,
+          DetectionStatus: drifted ? statuses.shift() : "DETECTION_COMPLETE",
+          StackDriftStatus: drifted ? "DRIFTED" : "IN_SYNC",
+          DriftedStackResourceCount: drifted ? 2 : 0,
+        };
+      });
+      cfMock.on(DescribeStackResourceDriftsCommand).callsFake(input => {
+        expect(input.StackResourceDriftStatusFilters).to.eql(["MODIFIED", "DELETED"]);
+        if (!input.StackName.startsWith("Drifted")) {
+          return { StackResourceDrifts: [] };
+        }
+        return input.NextToken
+          ? { StackResourceDrifts: [{ LogicalResourceId: "Queue", PhysicalResourceId: "queue", ResourceType: "AWS::SQS::Queue", StackResourceDriftStatus: "DELETED" }] }
+          : {
+            NextToken: "page2",
+            StackResourceDrifts: [{
+              LogicalResourceId: "Bucket", PhysicalResourceId: "bucket", ResourceType: "AWS::S3::Bucket", StackResourceDriftStatus: "MODIFIED",
+              PropertyDifferences: [{ PropertyPath: "/VersioningConfiguration/Status", ExpectedValue: "Enabled", ActualValue: "Suspended", DifferenceType: "NOT_EQUAL" }]
+            }]
+          };
+      });
+    });
+
+    it("detects drift", async () => {
+      const report = await cloudFormation.detectDrift("DriftedStack");
+      expect(statuses).to.have.lengthOf(0);
+      expect(report).to.include({ StackName: "DriftedStack", StackId: "DriftedStack-id", StackDriftStatus: "DRIFTED", DriftedStackResourceCount: 2 });
+      expect(report.Resources).to.eql([
+        {
+          LogicalResourceId: "Bucket", PhysicalResourceId: "bucket", ResourceType: "AWS::S3::Bucket", StackResourceDriftStatus: "MODIFIED",
+          PropertyDifferences: [{ PropertyPath: "/VersioningConfiguration/Status", ExpectedValue: "Enabled", ActualValue: "Suspended", DifferenceType: "NOT_EQUAL" }]
+        },
+        { LogicalResourceId: "Queue", PhysicalResourceId: "queue", ResourceType: "AWS::SQS::Queue", StackResourceDriftStatus: "DELETED", PropertyDifferences: [] },
+      ]);
+    });
+
+    it("fails on drift", async () => {
+      const err = await cloudFormation.detectDrift("DriftedStack", { failOnDrift: true }).catch(err => err);
+      expect(err).to.be.instanceOf(cloudFormation.StackDriftError);
+      expect(err.message).to.eql("Stack drift detected - DriftedStack (2 drifted resources)");
+      expect(err.reports).to.have.lengthOf(1);
+
+      await expect(cloudFormation.detectDrift("InSyncStack", { failOnDrift: true })).to.eventually.include({ StackDriftStatus: "IN_SYNC" });
+    });
+
+    it("detects drift for stacks matching prefix", async () => {
+      cfMock.on(ListStacksCommand).callsFake(input => {
+        return input.NextToken
+          ? { StackSummaries: [{ StackName: "prefix-InSyncStack", StackStatus: "UPDATE_COMPLETE" }] }
+          : {
+            NextToken: "page2",
+            StackSummaries: [
+              { StackName: "Drifted-prefix-ignored", StackStatus: "CREATE_COMPLETE" },
+              { StackName: "prefix-Deleted", StackStatus: "DELETE_COMPLETE" },
+              { StackName: "prefix-Nested", StackStatus: "CREATE_COMPLETE", ParentId: "parent-id" },
+            ]
+          };
+      });
+
+      const reports = await cloudFormation.detectDriftByPrefix("prefix-");
+      expect(reports.map(report => report.StackName)).to.eql(["prefix-InSyncStack"]);
+
+      // Fails once all stacks have been checked
+      await expect(cloudFormation.detectDriftByPrefix("Drifted", { failOnDrift: true })).to.eventually.be.rejectedWith("Stack drift detected - Drifted-prefix-ignored (2 drifted resources)");
+    });
+
+    it("skips stacks drift detection does not support and reports failed stacks", async () => {
+      cfMock.on(ListStacksCommand).callsFake(input => {
+        expect(input.StackStatusFilter).to.eql(["CREATE_COMPLETE", "UPDATE_COMPLETE", "UPDATE_ROLLBACK_COMPLETE", "UPDATE_ROLLBACK_FAILED", "IMPORT_COMPLETE"]);
+        return {
+          StackSummaries: [
+            { StackName: "prefix-RolledBack", StackStatus: "ROLLBACK_COMPLETE" },
+            { StackName: "prefix-Review", StackStatus: "REVIEW_IN_PROGRESS" },
+            { StackName: "prefix-Updating", StackStatus: "UPDATE_IN_PROGRESS" },
+            { StackName: "prefix-Failing", StackStatus: "UPDATE_COMPLETE" },
+            { StackName: "prefix-InSyncStack", StackStatus: "UPDATE_ROLLBACK_COMPLETE" },
+          ]
+        };
+      });
+      cfMock.on(DetectStackDriftCommand, { StackName: "prefix-Failing" }).rejects(new Error("Stack [prefix-Failing] is in UPDATE_IN_PROGRESS state"));
+
+      const reports = await cloudFormation.detectDriftByPrefix("prefix-");
+      expect(reports.map(report => report.StackName)).to.eql(["prefix-Failing", "prefix-InSyncStack"]);
+      expect(reports[0]).to.eql({
+        StackName: "prefix-Failing",
+        DetectionStatus: "DETECTION_FAILED",
+        DetectionStatusReason: "Stack [prefix-Failing] is in UPDATE_IN_PROGRESS state"
+      });
+      expect(reports[1]).to.include({ StackDriftStatus: "IN_SYNC" });
+    });
+  });
+
+  // upsertStackSet / deleteStackSet
+  describe("stack sets", () => {
+    const name = "org-audit";
+    const script = "/path/to/audit.yaml";
+    let stackSet;
+    let instances;
+    let calls;
+    let operationStatus;
+
+    beforeEach(() => {
+      stackSet = undefined;
+      instances = [];
+      calls = [];
+      operationStatus = "SUCCEEDED";
+
+      cfMock.on(DescribeStackSetCommand).callsFake(input => {
+        expect(input.StackSetName).to.eql(name);
+        if (!stackSet) {
+          throw new StackSetNotFoundException({ message: `StackSet ${name} not found`, $metadata: {} });
+        }
+        return { StackSet: stackSet };
+      });
+      cfMock.on(CreateStackSetCommand).callsFake(input => {
+        calls.push("create-stack-set");
+        stackSet = { StackSetName: input.StackSetName, PermissionModel: input.PermissionModel };
+        return { StackSetId: `${name}:id` };
+      });
+      cfMock.on(UpdateStackSetCommand).callsFake(() => {
+        calls.push("update-stack-set");
+        return { OperationId: "update-op" };
+      });
+      cfMock.on(DeleteStackSetCommand).callsFake(() => {
+        calls.push("delete-stack-set");
+        return {};
+      });
+      cfMock.on(ListStackInstancesCommand).callsFake(() => {
+        return { Summaries: instances };
+      });
+      cfMock.on(CreateStackInstancesCommand).callsFake(input => {
+        const targets = input.Accounts || input.DeploymentTargets.OrganizationalUnitIds;
+        calls.push(`create-instances:${targets.join(",")}:${input.Regions.join(",")}`);
+        targets.forEach(target => input.Regions.forEach(region => instances.push(input.Accounts
+          ? { Account: target, Region: region, Status: "CURRENT" }
+          : { OrganizationalUnitId: target, Account: "333333333333", Region: region, Status: "CURRENT" })));
+        return { OperationId: "create-op" };
+      });
+      cfMock.on(DeleteStackInstancesCommand).callsFake(input => {
+        const targets = input.Accounts || input.DeploymentTargets.OrganizationalUnitIds;
+        calls.push(`delete-instances:${targets.join(",")}:${input.Regions.join(",")}:${input.RetainStacks}`);
+        return { OperationId: "delete-op" };
+      });
+      let polls = 0;
+      cfMock.on(DescribeStackSetOperationCommand).callsFake(input => {
+        polls++;
+        return { StackSetOperation: { OperationId: input.OperationId, Status: polls % 2 ? "RUNNING" : operationStatus } };
+      });
+      cfMock.on(ListStackSetOperationResultsCommand).callsFake(() => {
+        return {
+          Summaries: [
+            { Account: "111111111111", Region: "eu-west-1", Status: "SUCCEEDED" },
+            { Account: "222222222222", Region: "eu-west-1", Status: operationStatus === "SUCCEEDED" ? "SUCCEEDED" : "FAILED", StatusReason: "Bucket already exists" },
+          ]
+        };
+      });
+    });
+
+    it("creates stack set and stack instances", async () => {
+      const result = await cloudFormation.upsertStackSet(name, script, undefined, {
+        accounts: ["111111111111", "222222222222"],
+        regions: ["eu-west-1", "us-east-1"],
+        operationPreferences: { failureToleranceCount: 1, maxConcurrentCount: 2 },
+        executionRoleName: "AWSCloudFormationStackSetExecutionRole",
+      });
+
+      expect(calls).to.eql(["create-stack-set", "create-instances:111111111111,222222222222:eu-west-1,us-east-1"]);
+      expect(result).to.have.lengthOf(4);
+
+      const create = cfMock.commandCalls(CreateStackSetCommand)[0].args[0].input;
+      expect(create).to.include({ StackSetName: name, TemplateBody: script, PermissionModel: "SELF_MANAGED", ExecutionRoleName: "AWSCloudFormationStackSetExecutionRole" });
+      const instancesInput = cfMock.commandCalls(CreateStackInstancesCommand)[0].args[0].input;
+      expect(instancesInput.OperationPreferences).to.eql({ FailureToleranceCount: 1, MaxConcurrentCount: 2 });
+    });
+
+    it("updates stack set and creates missing stack instances", async () => {
+      stackSet = { StackSetName: name, PermissionModel: "SELF_MANAGED" };
+      instances = [
+        { Account: "111111111111", Region: "eu-west-1", Status: "CURRENT" },
+        { Account: "111111111111", Region: "us-east-1", Status: "CURRENT" },
+        { Account: "222222222222", Region: "eu-west-1", Status: "CURRENT" },
+        { Account: "999999999999", Region: "eu-west-1", Status: "CURRENT" },
+      ];
+
+      await cloudFormation.upsertStackSet(name, script, undefined, {
+        accounts: ["111111111111", "222222222222", "333333333333"],
+        regions: ["eu-west-1", "us-east-1"],
+        pruneInstances: true,
+      });
+
+      expect(calls).to.eql([
+        "update-stack-set",
+        "create-instances:222222222222:us-east-1",
+        "create-instances:333333333333:eu-west-1,us-east-1",
+        "delete-instances:999999999999:eu-west-1:false",
+      ]);
+    });
+
+    it("creates stack instances for organizational units", async () => {
+      await cloudFormation.upsertStackSet(name, script, undefined, {
+        organizationalUnitIds: ["ou-abcd-11111111"],
+        regions: ["eu-west-1"],
+      });
+
+      expect(calls).to.eql(["create-stack-set", "create-instances:ou-abcd-11111111:eu-west-1"]);
+      const create = cfMock.commandCalls(CreateStackSetCommand)[0].args[0].input;
+      expect(create.PermissionModel).to.eql("SERVICE_MANAGED");
+      expect(create.AutoDeployment).to.eql({ Enabled: true, RetainStacksOnAccountRemoval: false });
+    });
+
+    it("fails stack set operation", async () => {
+      operationStatus = "FAILED";
+
+      const err = await cloudFormation.upsertStackSet(name, script, undefined, { accounts: ["111111111111", "222222222222"], regions: ["eu-west-1"] })
+        .catch(err => err);
+      expect(err).to.be.instanceOf(cloudFormation.StackSetOperationError);
+      expect(err.message).to.eql("Stack set operation failed - FAILED\n222222222222 eu-west-1: Bucket already exists");
+      expect(err.operationId).to.eql("create-op");
+    });
+
+    it("fails without regions", async () => {
+      await expect(cloudFormation.upsertStackSet(name, script, undefined, { accounts: ["111111111111"] }))
+        .to.eventually.be.rejectedWith(`No regions specified for stack set ${name}`);
+    });
+
+    it("deletes stack set", async () => {
+      stackSet = { StackSetName: name, PermissionModel: "SELF_MANAGED" };
+      instances = [
+        { Account: "111111111111", Region: "eu-west-1", Status: "CURRENT" },
+        { Account: "111111111111", Region: "us-east-1", Status: "CURRENT" },
+        { Account: "222222222222", Region: "eu-west-1", Status: "CURRENT" },
+      ];
+
+      await cloudFormation.deleteStackSet(name, { retainStacks: true });
+      expect(calls).to.eql([
+        "delete-instances:111111111111:eu-west-1,us-east-1:true",
+        "delete-instances:222222222222:eu-west-1:true",
+        "delete-stack-set",
+      ]);
+    });
+
+    it("deletes stack set - stack set does not exist", async () => {
+      await expect(cloudFormation.deleteStackSet(name)).to.eventually.be.fulfilled;
+      expect(calls).to.have.lengthOf(0);
+    });
+  });
+});
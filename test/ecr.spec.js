@@ -0,0 +1,86 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+_chai.use(require('chai-as-promised'));
+const rewire = require("rewire");
+const { mockClient } = require("aws-sdk-client-mock");
+const { mockConfig } = require("./stubs");
+const {
+  ECRClient,
+  ListImagesCommand,
+  BatchDeleteImageCommand,
+  RepositoryNotFoundException
+} = require("@aws-sdk/client-ecr");
+
+// Rewire
+const ecr = rewire("../src/ecr");
+
+// ECR Tests
+describe("src/ecr", () => {
+  let stubs = [];
+
+  // Mock ECR Client
+  let ecrMock;
+
+  beforeEach(() => {
+    // Mock client
+    ecrMock = mockClient(ECRClient);
+    // Mock config
+    const configRestore = ecr.__set__("config", mockConfig);
+    stubs.push({ restore: function () { return configRestore(); } });
+  });
+
+  afterEach(() => {
+    // Reset mock
+    ecrMock.reset();
+    stubs.forEach(stub => stub.restore());
+  });
+
+  describe("empty repository", () => {
+    it("deletes every image once", async () => {
+      ecrMock.on(ListImagesCommand).callsFake(input => {
+        expect(input.repositoryName).to.eql("repository");
+        return input.nextToken
+          ? { imageIds: [{ imageDigest: "sha256:2" }] }
+          : {
+            nextToken: "page2",
+            imageIds: [
+              { imageDigest: "sha256:1", imageTag: "latest" },
+              { imageDigest: "sha256:1", imageTag: "v1" },
+              ...Array.from({ length: 120 }, (_, i) => ({ imageDigest: `sha256:old-${i}` })),
+            ]
+          };
+      });
+      ecrMock.on(BatchDeleteImageCommand).resolves({ failures: [] });
+
+      await ecr.emptyRepository("repository");
+
+      const batches = ecrMock.commandCalls(BatchDeleteImageCommand).map(call => call.args[0].input);
+      expect(batches.map(batch => batch.imageIds.length)).to.eql([100, 22]);
+      expect(batches[0].repositoryName).to.eql("repository");
+      expect(batches[0].imageIds[0]).to.eql({ imageDigest: "sha256:1" });
+      expect(batches[1].imageIds[21]).to.eql({ imageDigest: "sha256:2" });
+    });
+
+    it("skips empty repository", async () => {
+      ecrMock.on(ListImagesCommand).resolves({ imageIds: [] });
+
+      await ecr.emptyRepository("repository");
+      expect(ecrMock.commandCalls(BatchDeleteImageCommand)).to.have.lengthOf(0);
+    });
+
+    it("repository does not exist", async () => {
+      ecrMock.on(ListImagesCommand).rejects(new RepositoryNotFoundException({ message: "not found", $metadata: {} }));
+
+      await expect(ecr.emptyRepository("repository")).to.eventually.be.fulfilled;
+    });
+
+    it("fails to delete images", async () => {
+      ecrMock.on(ListImagesCommand).resolves({ imageIds: [{ imageDigest: "sha256:1" }] });
+      ecrMock.on(BatchDeleteImageCommand).resolves({
+        failures: [{ imageId: { imageDigest: "sha256:1" }, failureCode: "ImageReferencedByManifestList", failureReason: "referenced" }]
+      });
+
+      await expect(ecr.emptyRepository("repository")).to.eventually.be.rejectedWith("Unable to delete images from repository - sha256:1: referenced");
+    });
+  });
+});
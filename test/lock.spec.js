@@ -0,0 +1,185 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+_chai.use(require('chai-as-promised'));
+const rewire = require("rewire");
+const { mockConfig } = require("./stubs");
+
+// Rewire
+const lock = rewire("../src/lock");
+lock.__set__("LOCK_POLL_INTERVAL", 1);
+
+// Lock Tests
+describe("src/lock", () => {
+  let stubs = [];
+
+  // Lock objects ({ Body, ETag }) by bucket/key
+  let objects;
+  let versions;
+
+  beforeEach(() => {
+    objects = {};
+    versions = 0;
+    lock.__get__("heldLocks").clear();
+    // Mock config
+    const configRestore = lock.__set__("config", Object.assign({}, mockConfig, { getLockBucket: () => "lock-bucket" }));
+    stubs.push({ restore: function () { return configRestore(); } });
+    // Mock S3 (conditional writes)
+    const s3Restore = lock.__set__("s3", {
+      createObject: async (bucket, key, body) => {
+        if (objects.hasOwnProperty(`${bucket}/${key}`)) {
+          return undefined;
+        }
+        return putObject(bucket, key, body);
+      },
+      replaceObject: async (bucket, key, body, eTag) => {
+        const object = objects[`${bucket}/${key}`];
+        if (!object || object.ETag !== eTag) {
+          return undefined;
+        }
+        return putObject(bucket, key, body);
+      },
+      readObject: async (bucket, key) => objects[`${bucket}/${key}`],
+    });
+    stubs.push({ restore: function () { return s3Restore(); } });
+  });
+
+  afterEach(() => {
+    stubs.forEach(stub => stub.restore());
+    stubs = [];
+  });
+
+  /**
+   * Store an object, returning its new ETag
+   */
+  function putObject(bucket, key, body) {
+    const eTag = `"etag-${++versions}"`;
+    objects[`${bucket}/${key}`] = { Body: body, ETag: eTag };
+    return eTag;
+  }
+
+  /**
+   * Store a lock held by another deployment
+   */
+  function holdLock(stackName, expiresAt) {
+    return putObject("lock-bucket", `cf-utils-locks/${stackName}.lock`, JSON.stringify({
+      stackName: stackName,
+      owner: "alice@build-1",
+      operation: "upsertStack",
+      token: "other-token",
+      acquiredAt: "2024-01-01T00:00:00.000Z",
+      expiresAt: expiresAt.toISOString()
+    }));
+  }
+
+  describe("acquire lock", () => {
+    it("acquires and releases a lock", async () => {
+      const acquired = await lock.acquireLock("StackName", { owner: "bob@laptop", operation: "deleteStack", ttl: 60 });
+      expect(acquired).to.include({ stackName: "StackName", owner: "bob@laptop", operation: "deleteStack" });
+      expect(new Date(acquired.expiresAt) - new Date(acquired.acquiredAt)).to.eql(60000);
+      expect(await lock.getLock("StackName")).to.eql(acquired);
+
+      await expect(lock.releaseLock(acquired)).to.eventually.be.true;
+      expect(await lock.getLock("StackName")).to.be.undefined;
+    });
+
+    it("fails when the lock is held by another deployment", async () => {
+      holdLock("StackName", new Date(Date.now() + 60000));
+
+      const error = await lock.acquireLock("StackName").catch(err => err);
+      expect(error).to.be.instanceOf(lock.StackLockedError);
+      expect(error.message).to.match(/^StackName is locked by alice@build-1 \(upsertStack\) since 2024-01-01T00:00:00.000Z/);
+      expect(error.lock.token).to.eql("other-token");
+    });
+
+    it("takes over an expired lock", async () => {
+      holdLock("StackName", new Date(Date.now() - 1000));
+
+      const acquired = await lock.acquireLock("StackName", { owner: "bob@laptop" });
+      expect((await lock.getLock("StackName")).token).to.eql(acquired.token);
+    });
+
+    it("lets only one of several deployments take over an expired lock", async () => {
+      holdLock("StackName", new Date(Date.now() - 1000));
+
+      const results = await Promise.allSettled([
+        lock.acquireLock("StackName", { owner: "bob@laptop" }),
+        lock.acquireLock("StackName", { owner: "carol@laptop" }),
+      ]);
+      expect(results.map(result => result.status).sort()).to.eql(["fulfilled", "rejected"]);
+      const winner = results.find(result => result.status === "fulfilled").value;
+      expect(results.find(result => result.status === "rejected").reason).to.be.instanceOf(lock.StackLockedError);
+      expect((await lock.getLock("StackName")).token).to.eql(winner.token);
+    });
+
+    it("waits for the lock to be released", async () => {
+      holdLock("StackName", new Date(Date.now() + 60000));
+      setTimeout(() => lock.forceReleaseLock("StackName"), 10);
+
+      const acquired = await lock.acquireLock("StackName", { wait: true, owner: "bob@laptop" });
+      expect(acquired.owner).to.eql("bob@laptop");
+    });
+
+    it("stops waiting after maxWait", async () => {
+      holdLock("StackName", new Date(Date.now() + 60000));
+
+      await expect(lock.acquireLock("StackName", { wait: true, maxWait: 20 })).to.eventually.be.rejectedWith("StackName is locked by alice@build-1");
+    });
+
+    it("uses the bucket and prefix options", async () => {
+      await lock.acquireLock("StackName", { bucket: "other-bucket", prefix: "locks/" });
+      expect(Object.keys(objects)).to.eql(["other-bucket/locks/StackName.lock"]);
+    });
+
+    it("requires a bucket", async () => {
+      const configRestore = lock.__set__("config", Object.assign({}, mockConfig));
+      stubs.push({ restore: function () { return configRestore(); } });
+
+      await expect(lock.acquireLock("StackName")).to.eventually.be.rejectedWith("Deployment locks require a bucket");
+    });
+  });
+
+  describe("release lock", () => {
+    it("does not release a lock taken over by another deployment", async () => {
+      const acquired = await lock.acquireLock("StackName");
+      holdLock("StackName", new Date(Date.now() + 60000));
+
+      await expect(lock.releaseLock(acquired)).to.eventually.be.false;
+      expect((await lock.getLock("StackName")).token).to.eql("other-token");
+    });
+
+    it("forces release of a lock", async () => {
+      holdLock("StackName", new Date(Date.now() + 60000));
+
+      expect((await lock.forceReleaseLock("StackName")).owner).to.eql("alice@build-1");
+      expect(await lock.getLock("StackName")).to.be.undefined;
+      expect(await lock.forceReleaseLock("StackName")).to.be.undefined;
+    });
+
+    it("renews the lock while the operation runs", async () => {
+      const expiries = [];
+      await lock.withLock("StackName", { ttl: 0.03 }, async () => {
+        expiries.push((await lock.getLock("StackName")).expiresAt);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expiries.push((await lock.getLock("StackName")).expiresAt);
+      });
+
+      expect(new Date(expiries[1]).getTime()).to.be.above(new Date(expiries[0]).getTime());
+      expect(await lock.getLock("StackName")).to.be.undefined;
+    });
+
+    it("releases the locks held by the process", async () => {
+      await lock.acquireLock("Stack1");
+      await lock.acquireLock("Stack2", { bucket: "other-bucket" });
+
+      await lock.releaseHeldLocks();
+      expect(await lock.getLock("Stack1")).to.be.undefined;
+      expect(await lock.getLock("Stack2", { bucket: "other-bucket" })).to.be.undefined;
+    });
+
+    it("releases the lock when the operation fails", async () => {
+      await expect(lock.withLock("StackName", {}, async () => { throw new Error("update failed"); }))
+        .to.eventually.be.rejectedWith("update failed");
+      expect(await lock.getLock("StackName")).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+_chai.use(require('chai-as-promised'));
+const rewire = require("rewire");
+const { mockConfig } = require("./stubs");
+
+// Rewire
+const manifest = rewire("../src/manifest");
+
+// Sample manifest: core <- vpc <- vm, core <- api (api and vpc are independent)
+const sample = {
+  stacks: {
+    vm: {
+      template: "templates/vm-cf.yaml",
+      parameters: { VpcId: "${vpc.VpcId}", KeyPath: "s3://${core.InfrastructureBucket}/keys/${vpc.VpcId}.pem" },
+    },
+    vpc: {
+      name: "custom-vpc-stack",
+      template: "templates/vpc-cf.yaml",
+      parameters: { Bucket: "${core.InfrastructureBucket}", ResourcePrefix: "acme-" },
+    },
+    api: {
+      template: "templates/api-cf.yaml",
+      dependsOn: ["core"],
+      options: { review: "approve" },
+    },
+    core: {
+      template: "templates/core-cf.yaml",
+      parameters: { ResourcePrefix: "acme-" },
+    },
+  }
+};
+
+// manifest Tests
+describe("src/manifest", () => {
+  let stubs = [];
+  let calls;
+  let outputs;
+
+  beforeEach(() => {
+    calls = [];
+    outputs = {
+      "prefix-core": { InfrastructureBucket: "infra-bucket" },
+      "custom-vpc-stack": { VpcId: "vpc-123" },
+    };
+
+    // Mock config
+    const configRestore = manifest.__set__("config", Object.assign({}, mockConfig, {
+      getResourceName: (suffix) => "prefix-" + suffix
+    }));
+    stubs.push({ restore: function () { return configRestore(); } });
+
+    // Mock cloudFormation, stack operations complete asynchronously
+    const cloudFormationRestore = manifest.__set__("cloudFormation", {
+      upsertStack: async (name, script, parameters, options) => {
+        calls.push({ op: "start", name, script, parameters, options });
+        await new Promise(resolve => setTimeout(resolve, 1));
+        calls.push({ op: "end", name });
+        if (name.includes("Fails")) {
+          throw new Error("Stack operation failed");
+        }
+      },
+      describeOutput: async (name) => outputs[name] || {},
+      deleteStack: async (name, options) => {
+        calls.push({ op: "start", name, options });
+        await new Promise(resolve => setTimeout(resolve, 1));
+        calls.push({ op: "end", name });
+      },
+    });
+    stubs.push({ restore: function () { return cloudFormationRestore(); } });
+  });
+
+  afterEach(() => {
+    stubs.forEach(stub => stub.restore());
+  });
+
+  it("builds dependency graph", () => {
+    expect(manifest.buildDependencyGraph(sample)).to.eql({
+      vm: ["vpc", "core"],
+      vpc: ["core"],
+      api: ["core"],
+      core: [],
+    });
+  });
+
+  it("detects unknown stacks and cycles", () => {
+    expect(() => manifest.buildDependencyGraph({ stacks: { a: { template: "a.yaml", dependsOn: ["b"] } } }))
+      .to.throw("Stack 'a' depends on unknown stack 'b'");
+    expect(() => manifest.buildDependencyGraph({ stacks: { a: { parameters: {} } } }))
+      .to.throw("Stack 'a' does not specify a template");
+    expect(() => manifest.buildDependencyGraph({
+      stacks: {
+        a: { template: "a.yaml", parameters: { P: "${c.Output}" } },
+        b: { template: "b.yaml", dependsOn: ["a"] },
+        c: { template: "c.yaml", dependsOn: ["b"] },
+      }
+    })).to.throw("Stack dependency cycle detected: a -> c -> b -> a");
+  });
+
+  it("deploys all stacks in dependency order", async () => {
+    const result = await manifest.deployAll(sample, { onEvent: "onEvent" });
+
+    const order = calls.map(call => `${call.op}:${call.name}`);
+    expect(order.slice(0, 2)).to.eql(["start:prefix-core", "end:prefix-core"]);
+    // Independent stacks are deployed in parallel
+    expect(order.slice(2, 4)).to.have.members(["start:custom-vpc-stack", "start:prefix-api"]);
+    expect(order.indexOf("start:prefix-vm")).to.be.greaterThan(order.indexOf("end:custom-vpc-stack"));
+
+    const vm = calls.find(call => call.op === "start" && call.name === "prefix-vm");
+    expect(vm.parameters).to.eql([
+      { ParameterKey: "VpcId", ParameterValue: "vpc-123" },
+      { ParameterKey: "KeyPath", ParameterValue: "s3://infra-bucket/keys/vpc-123.pem" },
+    ]);
+    expect(vm.script).to.eql("templates/vm-cf.yaml");
+    const api = calls.find(call => call.op === "start" && call.name === "prefix-api");
+    expect(api.parameters).to.eql([]);
+    expect(api.options).to.eql({ onEvent: "onEvent", review: "approve" });
+
+    expect(result.vpc).to.eql({ VpcId: "vpc-123" });
+  });
+
+  it("does not deploy dependents of a failed stack", async () => {
+    const failing = JSON.parse(JSON.stringify(sample));
+    failing.stacks.vpc.name = "Fails-vpc";
+
+    await expect(manifest.deployAll(failing)).to.eventually.be.rejectedWith("Stack operation failed");
+    const started = calls.filter(call => call.op === "start").map(call => call.name);
+    expect(started).to.have.members(["prefix-core", "Fails-vpc", "prefix-api"]);
+  });
+
+  it("deletes all stacks in reverse dependency order", async () => {
+    await manifest.deleteAll(sample);
+
+    const order = calls.map(call => `${call.op}:${call.name}`);
+    expect(order[0]).to.eql("start:prefix-vm");
+    expect(order.indexOf("start:custom-vpc-stack")).to.be.greaterThan(order.indexOf("end:prefix-vm"));
+    expect(order.indexOf("start:prefix-core")).to.be.greaterThan(order.indexOf("end:custom-vpc-stack"));
+    expect(order.indexOf("start:prefix-core")).to.be.greaterThan(order.indexOf("end:prefix-api"));
+  });
+
+  it("loads manifest files", () => {
+    const files = {
+      "manifest.json": JSON.stringify(sample),
+      "manifest.yaml": "stacks:\n  core:\n    template: templates/core-cf.yaml\n    parameters:\n      Bucket: ${other.Bucket}\n",
+    };
+    const fsRestore = manifest.__set__("fs", {
+      existsSync: (file) => files.hasOwnProperty(file),
+      readFileSync: (file) => files[file],
+    });
+    stubs.push({ restore: function () { return fsRestore(); } });
+
+    expect(manifest.loadManifest("manifest.json")).to.eql(sample);
+    expect(manifest.loadManifest("manifest.yaml")).to.eql({
+      stacks: { core: { template: "templates/core-cf.yaml", parameters: { Bucket: "${other.Bucket}" } } }
+    });
+    expect(() => manifest.loadManifest("missing.yaml")).to.throw("missing.yaml does not exist!");
+  });
+});
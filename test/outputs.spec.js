@@ -0,0 +1,110 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+_chai.use(require('chai-as-promised'));
+const rewire = require("rewire");
+const yaml = require("js-yaml");
+const { mockConfig, mockFs } = require("./stubs");
+
+// Rewire
+const outputs = rewire("../src/outputs");
+
+// outputs Tests
+describe("src/outputs", () => {
+  let stubs = [];
+  let written;
+  let parameters;
+
+  beforeEach(() => {
+    written = {};
+    parameters = [];
+
+    // Mock config
+    const configRestore = outputs.__set__("config", Object.assign({}, mockConfig, {
+      getParameterPrefix: () => "acme-dev-eu-west-1-"
+    }));
+    stubs.push({ restore: function () { return configRestore(); } });
+
+    // Mock cloudFormation
+    const cloudFormationRestore = outputs.__set__("cloudFormation", {
+      describeOutput: async (name) => {
+        return {
+          "acme-dev-core": { BucketName: "core-bucket", VpcId: "vpc-123" },
+          "acme-dev-api": { BucketName: "api-bucket", ApiUrl: "https://api.example.com/dev?a=1&b=2" },
+        }[name];
+      }
+    });
+    stubs.push({ restore: function () { return cloudFormationRestore(); } });
+
+    // Mock parameterStore
+    const parameterStoreRestore = outputs.__set__("parameterStore", {
+      putParameter: async (params) => { parameters.push(params); return params.Name; }
+    });
+    stubs.push({ restore: function () { return parameterStoreRestore(); } });
+
+    // Mock 'fs'
+    const fsRestore = outputs.__set__("fs", Object.assign({}, mockFs.functions, {
+      writeFileSync: (file, data) => { written[file] = data; }
+    }));
+    stubs.push({ restore: function () { return fsRestore(); } });
+  });
+
+  afterEach(() => {
+    stubs.forEach(stub => stub.restore());
+  });
+
+  describe("write outputs", () => {
+    it("merges outputs of several stacks", async () => {
+      await expect(outputs.writeOutputs(["acme-dev-core", "acme-dev-api"])).to.eventually.eql({
+        BucketName: "api-bucket",
+        VpcId: "vpc-123",
+        ApiUrl: "https://api.example.com/dev?a=1&b=2",
+      });
+      expect(written).to.eql({});
+    });
+
+    it("prefixes keys per stack", async () => {
+      await expect(outputs.writeOutputs({ Core: "acme-dev-core", Api: "acme-dev-api" })).to.eventually.eql({
+        CoreBucketName: "core-bucket",
+        CoreVpcId: "vpc-123",
+        ApiBucketName: "api-bucket",
+        ApiApiUrl: "https://api.example.com/dev?a=1&b=2",
+      });
+    });
+
+    it("writes .env files", async () => {
+      await outputs.writeOutputs({ Core: "acme-dev-core", Api: "acme-dev-api" }, { file: "build/outputs.env" });
+      expect(written["build/outputs.env"]).to.eql([
+        "CORE_BUCKET_NAME=core-bucket",
+        "CORE_VPC_ID=vpc-123",
+        "API_BUCKET_NAME=api-bucket",
+        "API_API_URL=\"https://api.example.com/dev?a=1&b=2\"",
+        "",
+      ].join("\n"));
+    });
+
+    it("writes JSON, YAML and JS modules", async () => {
+      const expected = { BucketName: "core-bucket", VpcId: "vpc-123" };
+
+      await outputs.writeOutputs(["acme-dev-core"], { file: "outputs.json" });
+      expect(JSON.parse(written["outputs.json"])).to.eql(expected);
+
+      await outputs.writeOutputs(["acme-dev-core"], { file: "outputs.yml" });
+      expect(yaml.load(written["outputs.yml"])).to.eql(expected);
+
+      await outputs.writeOutputs(["acme-dev-core"], { file: "outputs.config", format: "js" });
+      expect(written["outputs.config"]).to.eql(`module.exports = ${JSON.stringify(expected, null, 2)};\n`);
+    });
+
+    it("stores outputs in the parameter store", async () => {
+      await outputs.writeOutputs({ Core: "acme-dev-core" }, { parameterStore: true });
+      expect(parameters).to.eql([
+        { Name: "acme-dev-eu-west-1-CoreBucketName", Value: "core-bucket", Type: "String", Overwrite: true },
+        { Name: "acme-dev-eu-west-1-CoreVpcId", Value: "vpc-123", Type: "String", Overwrite: true },
+      ]);
+    });
+
+    it("fails with unknown format", async () => {
+      await expect(outputs.writeOutputs(["acme-dev-core"], { format: "xml" })).to.eventually.be.rejectedWith("Unknown output format 'xml'");
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+_chai.use(require('chai-as-promised'));
+const rewire = require("rewire");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const yaml = require("js-yaml");
+const { mockConfig } = require("./stubs");
+
+// Rewire
+const packager = rewire("../src/packager");
+
+// packager Tests
+describe("src/packager", () => {
+  let stubs = [];
+  let dir;
+  let uploads;
+  let existing;
+
+  const writeFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "cf-utils-packager-"));
+    uploads = [];
+    existing = [];
+
+    // Mock 'config'
+    const configRestore = packager.__set__("config", mockConfig);
+    stubs.push({ restore: function () { return configRestore(); } });
+
+    // Mock 's3'
+    const s3Restore = packager.__set__("s3", {
+      objectExists: async (bucket, key) => existing.includes(key),
+      putS3Object: async (input) => { uploads.push(input); return {}; },
+      getObjectUrl: (bucket, key) => `https://${bucket}.s3.amazonaws.com/${key}`,
+    });
+    stubs.push({ restore: function () { return s3Restore(); } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    while (stubs.length) {
+      stubs.pop().restore();
+    }
+  });
+
+  describe("package template", () => {
+    it("uploads code directories as zips and rewrites references", async () => {
+      writeFile("src/index.js", "exports.handler = async () => {};");
+      const script = writeFile("template.yaml", [
+        "Transform: AWS::Serverless-2016-10-31",
+        "Resources:",
+        "  Function:",
+        "    Type: AWS::Serverless::Function",
+        "    Properties:",
+        "      CodeUri: src",
+        "      Role: !GetAtt Role.Arn",
+        "  Legacy:",
+        "    Type: AWS::Lambda::Function",
+        "    Properties:",
+        "      Code: src/",
+        "  Remote:",
+        "    Type: AWS::Serverless::Function",
+        "    Properties:",
+        "      CodeUri: s3://other-bucket/code.zip",
+      ].join("\n"));
+
+      const body = yaml.load(await packager.packageTemplate(script, { s3Bucket: "artifacts", s3Prefix: "build/" }));
+
+      // Same content is uploaded once and referenced by both functions
+      expect(uploads).to.have.lengthOf(2);
+      const key = uploads[0].Key;
+      expect(key).to.match(/^build\/[0-9a-f]{64}\.zip$/);
+      expect(uploads[0].Bucket).to.eql("artifacts");
+      expect(uploads[0].Body.subarray(0, 2).toString()).to.eql("PK");
+      expect(body.Resources.Function.Properties.CodeUri).to.eql(`s3://artifacts/${key}`);
+      expect(body.Resources.Function.Properties.Role).to.eql({ "Fn::GetAtt": ["Role", "Arn"] });
+      expect(body.Resources.Legacy.Properties.Code).to.eql({ S3Bucket: "artifacts", S3Key: key });
+      expect(body.Resources.Remote.Properties.CodeUri).to.eql("s3://other-bucket/code.zip");
+    });
+
+    it("packages nested templates", async () => {
+      writeFile("nested/definition.json", "{}");
+      writeFile("nested/child.yaml", [
+        "Resources:",
+        "  StateMachine:",
+        "    Type: AWS::StepFunctions::StateMachine",
+        "    Properties:",
+        "      DefinitionS3Location: definition.json",
+      ].join("\n"));
+      const script = writeFile("parent.json", JSON.stringify({
+        Resources: {
+          Child: { Type: "AWS::CloudFormation::Stack", Properties: { TemplateURL: "nested/child.yaml" } }
+        }
+      }));
+
+      const body = JSON.parse(await packager.packageTemplate(script, { s3Bucket: "artifacts" }));
+
+      expect(uploads.map(upload => path.extname(upload.Key))).to.eql([".json", ".template"]);
+      const child = yaml.load(uploads[1].Body.toString());
+      expect(child.Resources.StateMachine.Properties.DefinitionS3Location).to.eql({ Bucket: "artifacts", Key: uploads[0].Key });
+      expect(body.Resources.Child.Properties.TemplateURL).to.eql(`https://artifacts.s3.amazonaws.com/${uploads[1].Key}`);
+    });
+
+    it("skips uploading existing artifacts", async () => {
+      writeFile("src/index.js", "exports.handler = async () => {};");
+      const script = writeFile("template.yaml", [
+        "Resources:",
+        "  Function:",
+        "    Type: AWS::Serverless::Function",
+        "    Properties:",
+        "      CodeUri: src",
+      ].join("\n"));
+
+      const first = await packager.packageTemplate(script, { s3Bucket: "artifacts" });
+      existing.push(uploads[0].Key);
+      uploads = [];
+
+      await expect(packager.packageTemplate(script, { s3Bucket: "artifacts" })).to.eventually.eql(first);
+      expect(uploads).to.have.lengthOf(0);
+    });
+
+    it("leaves templates without local artifacts untouched", async () => {
+      const script = writeFile("template.yaml", "Resources:\n  Bucket:\n    Type: AWS::S3::Bucket\n");
+
+      await expect(packager.packageTemplate(script)).to.eventually.eql("Resources:\n  Bucket:\n    Type: AWS::S3::Bucket\n");
+      expect(uploads).to.have.lengthOf(0);
+    });
+
+    it("fails to package - s3Bucket not provided", async () => {
+      writeFile("src/index.js", "");
+      const script = writeFile("template.yaml", "Resources:\n  Function:\n    Type: AWS::Serverless::Function\n    Properties:\n      CodeUri: src\n");
+
+      await expect(packager.packageTemplate(script)).to.eventually.be.rejectedWith("s3Bucket is required to package Function CodeUri (src)");
+    });
+
+    it("fails to package - artifact does not exist", async () => {
+      const script = writeFile("template.yaml", "Resources:\n  Function:\n    Type: AWS::Serverless::Function\n    Properties:\n      CodeUri: missing\n");
+
+      await expect(packager.packageTemplate(script, { s3Bucket: "artifacts" })).to.eventually.be.rejectedWith("does not exist!");
+    });
+  });
+});
@@ -13,7 +13,9 @@ const {
   PutObjectCommand,
   CreateMultipartUploadCommand, // Used for lib-storage/Upload
   UploadPartCommand, // Used for lib-storage/Upload
-  PutBucketNotificationConfigurationCommand
+  PutBucketNotificationConfigurationCommand,
+  HeadObjectCommand,
+  GetObjectCommand
 } = require('@aws-sdk/client-s3');
 
 // Rewire
@@ -390,4 +392,84 @@ describe("src/s3", () => {
     });
   });
 
+  // objectExists
+  it("checks object exists", async () => {
+    s3Mock.on(HeadObjectCommand).callsFake(input => {
+      if (input.Key === "missing-key") {
+        const err = new Error("NotFound");
+        err.name = "NotFound";
+        throw err;
+      } else if (input.Key === "error-key") {
+        throw new Error("some other error");
+      }
+      expect(input).to.eql({ Bucket: "bucket", Key: "key" });
+      return {};
+    });
+
+    await expect(s3.objectExists("bucket", "key")).to.eventually.be.true;
+    await expect(s3.objectExists("bucket", "missing-key")).to.eventually.be.false;
+    await expect(s3.objectExists("bucket", "error-key")).to.eventually.be.rejectedWith("some other error");
+  });
+
+  // createObject
+  it("creates object only if it does not exist", async () => {
+    s3Mock.on(PutObjectCommand).callsFake(input => {
+      expect(input.IfNoneMatch).to.eql("*");
+      if (input.Key === "existing-key") {
+        const err = new Error("At least one of the pre-conditions you specified did not hold");
+        err.name = "PreconditionFailed";
+        err.$metadata = { httpStatusCode: 412 };
+        throw err;
+      } else if (input.Key === "error-key") {
+        throw new Error("some other error");
+      }
+      return { ETag: '"etag-1"' };
+    });
+
+    await expect(s3.createObject("bucket", "key", "body")).to.eventually.eql('"etag-1"');
+    await expect(s3.createObject("bucket", "existing-key", "body")).to.eventually.be.undefined;
+    await expect(s3.createObject("bucket", "error-key", "body")).to.eventually.be.rejectedWith("some other error");
+  });
+
+  // replaceObject
+  it("replaces object only if it has not changed", async () => {
+    s3Mock.on(PutObjectCommand).callsFake(input => {
+      expect(input).to.not.have.property("IfNoneMatch");
+      if (input.IfMatch !== '"etag-1"') {
+        const err = new Error("At least one of the pre-conditions you specified did not hold");
+        err.name = "PreconditionFailed";
+        err.$metadata = { httpStatusCode: 412 };
+        throw err;
+      }
+      return { ETag: '"etag-2"' };
+    });
+
+    await expect(s3.replaceObject("bucket", "key", "body", '"etag-1"')).to.eventually.eql('"etag-2"');
+    await expect(s3.replaceObject("bucket", "key", "body", '"etag-0"')).to.eventually.be.undefined;
+  });
+
+  // readObject
+  it("reads object", async () => {
+    s3Mock.on(GetObjectCommand).callsFake(input => {
+      if (input.Key === "missing-key") {
+        const err = new Error("The specified key does not exist.");
+        err.name = "NoSuchKey";
+        throw err;
+      }
+      return { ETag: '"etag-1"', Body: { transformToString: async () => "content" } };
+    });
+
+    await expect(s3.readObject("bucket", "key")).to.eventually.eql({ Body: "content", ETag: '"etag-1"' });
+    await expect(s3.readObject("bucket", "missing-key")).to.eventually.be.undefined;
+  });
+
+  // getObjectUrl
+  it("gets object url", () => {
+    expect(s3.getObjectUrl("bucket", "path/to/my template.yaml")).to.eql("https://bucket.s3.AWS_REGION.amazonaws.com/path/to/my%20template.yaml");
+
+    const configRestore = s3.__set__("config", Object.assign({}, mockConfig, { AWS_REGION: "us-east-1" }));
+    stubs.push({ restore: function () { return configRestore(); } });
+    expect(s3.getObjectUrl("bucket", "template.yaml")).to.eql("https://bucket.s3.amazonaws.com/template.yaml");
+  });
+
 });
\ No newline at end of file
@@ -0,0 +1,137 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+const rewire = require("rewire");
+const { mockFs } = require("./stubs");
+
+// Rewire
+const stackParameters = rewire("../src/stackParameters");
+
+const declarations = {
+  Environment: { Type: "String", AllowedValues: ["dev", "prod"] },
+  BucketName: { Type: "String", AllowedPattern: "[a-z0-9-]+", MinLength: 3, MaxLength: 10 },
+  InstanceCount: { Type: "Number", MinValue: 1, MaxValue: "4", Default: 1 },
+  Zones: { Type: "CommaDelimitedList", AllowedValues: ["a", "b", "c"], Default: "a" },
+  Password: { Type: "String", NoEcho: true, MinLength: 8, Default: "changeme" },
+  AmiId: { Type: "AWS::SSM::Parameter::Value<AWS::EC2::Image::Id>", AllowedPattern: "ami-.*", Default: "/ami/latest" },
+};
+
+const parameter = (ParameterKey, ParameterValue) => ({ ParameterKey, ParameterValue });
+
+// stackParameters Tests
+describe("src/stackParameters", () => {
+  let stubs = [];
+
+  afterEach(() => {
+    while (stubs.length) {
+      stubs.pop().restore();
+    }
+  });
+
+  describe("load parameters", () => {
+    const listing = [
+      { ParameterKey: "Environment", ParameterValue: "dev" },
+      { ParameterKey: "Zones", ParameterValue: "a,b" },
+      { ParameterKey: "Count", ParameterValue: "2" },
+      { ParameterKey: "Password", UsePreviousValue: true },
+    ];
+
+    beforeEach(() => {
+      const files = {
+        "params/dev.json": JSON.stringify({ Environment: "dev", Zones: ["a", "b"], Count: 2, Password: { UsePreviousValue: true } }),
+        "params/dev.yaml": "- ParameterKey: Environment\n  ParameterValue: dev\n",
+        "params/dev.txt": "",
+      };
+      const fsRestore = stackParameters.__set__("fs", Object.assign({}, mockFs.functions, {
+        readFileSync: (file) => files[file],
+      }));
+      stubs.push({ restore: function () { return fsRestore(); } });
+    });
+
+    it("loads parameter maps and listings", () => {
+      expect(stackParameters.loadParameters({ Environment: "dev", Zones: ["a", "b"], Count: 2, Password: { UsePreviousValue: true } }))
+        .to.eql(listing);
+      expect(stackParameters.loadParameters(listing)).to.eql(listing).and.not.equal(listing);
+      expect(stackParameters.loadParameters(undefined)).to.be.undefined;
+    });
+
+    it("loads parameter files", () => {
+      expect(stackParameters.loadParameters("params/dev.json")).to.eql(listing);
+      expect(stackParameters.loadParameters("params/dev.yaml")).to.eql([listing[0]]);
+    });
+
+    it("fails to load parameter files", () => {
+      expect(() => stackParameters.loadParameters("params/DoesNotExist.json")).to.throw("params/DoesNotExist.json does not exist!");
+      expect(() => stackParameters.loadParameters("params/dev.txt")).to.throw("Unsupported parameters file format 'params/dev.txt'");
+    });
+  });
+
+  describe("parse reference", () => {
+    it("parses ssm and stack references", () => {
+      expect(stackParameters.parseReference("ssm:/acme/dev/password")).to.eql({ type: "ssm", name: "/acme/dev/password" });
+      expect(stackParameters.parseReference("stack:acme-dev-core.Bucket")).to.eql({ type: "stack", stackName: "acme-dev-core", outputKey: "Bucket" });
+      expect(stackParameters.parseReference("plain value")).to.be.undefined;
+      expect(stackParameters.parseReference("stack:no-output")).to.be.undefined;
+      expect(stackParameters.parseReference(undefined)).to.be.undefined;
+    });
+  });
+
+  describe("validate parameters", () => {
+    it("accepts valid parameters", () => {
+      const parameters = [
+        parameter("Environment", "dev"),
+        parameter("BucketName", "my-bucket"),
+        parameter("InstanceCount", "4"),
+        parameter("Zones", "a, c"),
+        parameter("AmiId", "/not/an/ami"),
+      ];
+
+      expect(stackParameters.validateParameters(declarations, parameters)).to.eql(parameters);
+    });
+
+    it("rejects unknown, duplicate and missing parameters", () => {
+      expect(() => stackParameters.validateParameters(declarations, [
+        parameter("Environment", "dev"),
+        parameter("Environment", "prod"),
+        parameter("Enviroment", "dev"),
+      ])).to.throw("Invalid stack parameters:\n" +
+        "Environment: specified more than once\n" +
+        "Enviroment: not declared by the template\n" +
+        "BucketName: required parameter has no value and no default");
+    });
+
+    it("rejects constraint violations", () => {
+      const validate = (key, value) => () => stackParameters.validateParameters(
+        Object.assign({ Environment: { Default: "dev" }, BucketName: { Default: "bucket" } }, { [key]: declarations[key] }),
+        [parameter(key, value)]);
+
+      expect(validate("Environment", "test")).to.throw("Environment: 'test' is not one of dev, prod");
+      expect(validate("BucketName", "My_Bucket")).to.throw("BucketName: 'My_Bucket' does not match pattern [a-z0-9-]+");
+      expect(validate("BucketName", "ab")).to.throw("BucketName: 'ab' is shorter than 3 characters");
+      expect(validate("BucketName", "a-very-long-bucket")).to.throw("BucketName: 'a-very-long-bucket' is longer than 10 characters");
+      expect(validate("InstanceCount", "many")).to.throw("InstanceCount: 'many' is not a number");
+      expect(validate("InstanceCount", "0")).to.throw("InstanceCount: '0' is less than 1");
+      expect(validate("InstanceCount", 5)).to.throw("InstanceCount: '5' is greater than 4");
+      expect(validate("Zones", "a,d")).to.throw("Zones: 'd' is not one of a, b, c");
+      expect(validate("Password", "secret")).to.throw("Password: **** is shorter than 8 characters");
+      expect(validate("Environment")).to.throw("Environment: no value (set ParameterValue or UsePreviousValue)");
+    });
+
+    it("uses previous values for omitted parameters", () => {
+      const previous = [
+        parameter("Environment", "prod"),
+        parameter("BucketName", "bucket"),
+        parameter("InstanceCount", "3"),
+        parameter("Removed", "value"),
+      ];
+
+      expect(stackParameters.validateParameters(declarations, [
+        parameter("BucketName", "new-bucket"),
+        { ParameterKey: "Environment", UsePreviousValue: true },
+      ], previous)).to.eql([
+        parameter("BucketName", "new-bucket"),
+        { ParameterKey: "Environment", UsePreviousValue: true },
+        { ParameterKey: "InstanceCount", UsePreviousValue: true },
+      ]);
+    });
+  });
+});
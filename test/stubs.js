@@ -17,7 +17,10 @@ const mockConfig = {
   },
   AWS: {
     clientConfig: {}
-  }
+  },
+  getArtifactBucket: () => undefined,
+  getLockBucket: () => undefined,
+  getNamedIamAllowlist: () => undefined,
 };
 
 /**
@@ -88,6 +91,7 @@ const mockFs = {
     },
     existsSync: (path) => { return !path.includes("DoesNotExist"); },
     mkdirSync: (_path) => { },
+    writeFileSync: (_path, _data) => { },
     readFileSync: (path) => { return path.includes("Transform") ? "Transform: \"AWS::Serverless\"" : path },
   }
 };
@@ -97,6 +101,8 @@ const mockFs = {
  */
 const mockS3 = {
   putS3Object: async (_input) => { return {}; },
+  objectExists: async (_bucketName, _key) => { return false; },
+  getObjectUrl: (bucketName, key) => { return `https://${bucketName}.s3.awsRegion.amazonaws.com/${key}`; },
   emptyBucket: async (_input) => { return {}; },
   deleteObjects: async (_bucketName, objectKeys) => {
     return {
@@ -112,27 +118,18 @@ const mockS3 = {
 };
 
 /**
- * Mock spawn module
- * @param {function} callback Callback for spawn events (event, args)
- * @returns mockSpawn object  with spawn function
+ * Mock ECR module
  */
-const mockSpawn = function (callback) {
-  return {
-    spawn: (command, args, options) => {
-      callback("constructor", [command, args, options]);
-      return {
-        stdout: {
-          on: (event, func) => { callback(`stdout.on.${event}`, [func]) },
-          setEncoding: (encoding) => { callback("stdout.encoding", [encoding]) },
-        },
-        stderr: {
-          on: (event, func) => { callback(`stderr.on.${event}`, [func]) },
-          setEncoding: (encoding) => { callback("stderr.encoding", [encoding]) },
-        },
-        on: (event, func) => { callback(`on.${event}`, [func]) }
-      };
-    }
-  };
+const mockEcr = {
+  emptyRepository: async (_repositoryName) => { },
+};
+
+/**
+ * Mock audit module (runs the operation without recording it)
+ */
+const mockAudit = {
+  recordOperation: async (_operation, _stackName, _details, fn) => { return await fn(); },
+  flushOpenRecords: async (_result) => { },
 };
 
 
@@ -140,5 +137,6 @@ module.exports = {
   mockConfig,
   mockFs,
   mockS3,
-  mockSpawn,
+  mockEcr,
+  mockAudit,
 };
\ No newline at end of file
@@ -0,0 +1,200 @@
+const _chai = require("chai");
+const expect = _chai.expect;
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const template = require("../src/template");
+
+// template Tests
+describe("src/template", () => {
+  describe("parse template", () => {
+    it("parses short form tags to their long form", () => {
+      const parsed = template.parseTemplate([
+        "AWSTemplateFormatVersion: 2010-09-09",
+        "Conditions:",
+        "  IsProd: !Equals [!Ref Env, prod]",
+        "Resources:",
+        "  Bucket:",
+        "    Type: AWS::S3::Bucket",
+        "    Condition: IsProd",
+        "    Properties:",
+        "      BucketName: !Sub '${Env}-bucket'",
+        "      Arn: !GetAtt Role.Arn",
+        "      Nested: !GetAtt Stack.Outputs.Value",
+        "      Zones: !GetAZs ''",
+      ].join("\n"));
+
+      expect(parsed.AWSTemplateFormatVersion).to.eql("2010-09-09");
+      expect(parsed.Conditions.IsProd).to.eql({ "Fn::Equals": [{ Ref: "Env" }, "prod"] });
+      const properties = parsed.Resources.Bucket.Properties;
+      expect(properties.BucketName).to.eql({ "Fn::Sub": "${Env}-bucket" });
+      expect(properties.Arn).to.eql({ "Fn::GetAtt": ["Role", "Arn"] });
+      expect(properties.Nested).to.eql({ "Fn::GetAtt": ["Stack", "Outputs.Value"] });
+      expect(properties.Zones).to.eql({ "Fn::GetAZs": "" });
+    });
+
+    it("parses the short form tags of rule functions", () => {
+      const parsed = template.parseTemplate([
+        "Rules:",
+        "  ProdInstanceType:",
+        "    RuleCondition: !Equals [!Ref Env, prod]",
+        "    Assertions:",
+        "      - Assert: !Contains [[m5.large, m5.xlarge], !Ref InstanceType]",
+        "      - Assert: !EachMemberIn [!ValueOfAll [AWS::EC2::Subnet::Id, VpcId], !RefAll AWS::EC2::VPC::Id]",
+        "      - Assert: !EachMemberEquals [!ValueOfAll [AWS::EC2::Subnet::Id, VpcId], !ValueOf [VpcId, Id]]",
+        "Resources:",
+        "  Bucket:",
+        "    Type: AWS::S3::Bucket",
+      ].join("\n"));
+
+      const assertions = parsed.Rules.ProdInstanceType.Assertions;
+      expect(assertions[0].Assert).to.eql({ "Fn::Contains": [["m5.large", "m5.xlarge"], { Ref: "InstanceType" }] });
+      expect(assertions[1].Assert).to.eql({
+        "Fn::EachMemberIn": [{ "Fn::ValueOfAll": ["AWS::EC2::Subnet::Id", "VpcId"] }, { "Fn::RefAll": "AWS::EC2::VPC::Id" }]
+      });
+      expect(assertions[2].Assert).to.eql({
+        "Fn::EachMemberEquals": [{ "Fn::ValueOfAll": ["AWS::EC2::Subnet::Id", "VpcId"] }, { "Fn::ValueOf": ["VpcId", "Id"] }]
+      });
+    });
+
+    it("parses JSON templates", () => {
+      expect(template.parseTemplate(' {"Resources": {}}')).to.eql({ Resources: {} });
+      expect(template.getTemplateFormat(' {"Resources": {}}')).to.eql("json");
+      expect(template.getTemplateFormat("Resources: {}")).to.eql("yaml");
+    });
+
+    it("fails to load - template does not exist", () => {
+      expect(() => template.loadTemplate("DoesNotExist.yaml")).to.throw("DoesNotExist.yaml does not exist!");
+    });
+  });
+
+  describe("introspect template", () => {
+    it("gets transforms", () => {
+      expect(template.getTransforms(template.parseTemplate("Transform: AWS::Serverless-2016-10-31"))).to.eql(["AWS::Serverless-2016-10-31"]);
+      expect(template.getTransforms(template.parseTemplate([
+        "Transform:",
+        "  - AWS::Serverless-2016-10-31",
+        "  - Name: AWS::Include",
+        "    Parameters:",
+        "      Location: s3://bucket/snippet.yaml",
+      ].join("\n")))).to.eql(["AWS::Serverless-2016-10-31", "AWS::Include"]);
+      expect(template.getTransforms(template.parseTemplate("# Transform: AWS::Serverless-2016-10-31\nResources: {}"))).to.eql([]);
+      expect(template.getTransforms(template.parseTemplate("/path/to/script.yaml"))).to.eql([]);
+    });
+
+    it("gets parameters", () => {
+      const parsed = template.parseTemplate("Parameters:\n  Env:\n    Type: String\n    Default: dev\n");
+
+      expect(template.getParameters(parsed)).to.eql({ Env: { Type: "String", Default: "dev" } });
+      expect(template.getParameters(template.parseTemplate("Resources: {}"))).to.eql({});
+    });
+  });
+
+  describe("required capabilities", () => {
+    it("detects IAM, named IAM and macros", () => {
+      const capabilities = (body) => template.getRequiredCapabilities(template.parseTemplate(body));
+
+      expect(capabilities("Resources:\n  Queue:\n    Type: AWS::SQS::Queue\n")).to.eql([]);
+      expect(capabilities("Resources:\n  Policy:\n    Type: AWS::IAM::ManagedPolicy\n")).to.eql(["CAPABILITY_IAM"]);
+      expect(capabilities("Resources:\n  User:\n    Type: AWS::IAM::User\n    Properties:\n      UserName: deployer\n")).to.eql(["CAPABILITY_IAM", "CAPABILITY_NAMED_IAM"]);
+      expect(capabilities([
+        "Transform: AWS::Serverless-2016-10-31",
+        "Resources:",
+        "  Function:",
+        "    Type: AWS::Serverless::Function",
+        "  FunctionWithRole:",
+        "    Type: AWS::Serverless::Function",
+        "    Properties:",
+        "      Role: arn:aws:iam::123456789012:role/existing",
+      ].join("\n"))).to.eql(["CAPABILITY_IAM", "CAPABILITY_AUTO_EXPAND"]);
+      expect(capabilities("Resources:\n  Queue:\n    Fn::Transform:\n      Name: AWS::Include\n")).to.eql(["CAPABILITY_AUTO_EXPAND"]);
+    });
+
+    it("inspects local nested stacks", () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cf-utils-template-"));
+      fs.mkdirSync(path.join(dir, "nested"));
+      fs.writeFileSync(path.join(dir, "nested", "iam.yaml"), "Resources:\n  Role:\n    Type: AWS::IAM::Role\n");
+      const parsed = template.parseTemplate("Resources:\n  Iam:\n    Type: AWS::CloudFormation::Stack\n    Properties:\n      TemplateURL: nested/iam.yaml\n");
+
+      expect(template.getRequiredCapabilities(parsed, dir)).to.eql(["CAPABILITY_IAM"]);
+      // Nested templates that cannot be inspected may need any capability
+      expect(template.getRequiredCapabilities(parsed)).to.eql(["CAPABILITY_IAM", "CAPABILITY_NAMED_IAM", "CAPABILITY_AUTO_EXPAND"]);
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe("lint template", () => {
+    const body = [
+      "Parameters:",
+      "  Env:",
+      "    Type: String",
+      "  Unused:",
+      "    Type: String",
+      "Conditions:",
+      "  IsProd: !Equals [!Ref Env, prod]",
+      "Resources:",
+      "  Role:",
+      "    Type: AWS::IAM::Role",
+      "    Properties:",
+      "      RoleName: !Sub '${Env}-${AWS::Region}-${Missing}-${Bucket.Arn}-${Suffix}'",
+      "      Tags: !Sub ['${Env}-${Suffix}', { Suffix: role }]",
+      "  Queue:",
+      "    Type: AWS::SQS::Queue",
+      "    DependsOn: [Role, Topic]",
+      "    Condition: IsDev",
+      "    Properties:",
+      "      Policy: !If [IsProd, !GetAtt Role.Arn, !Ref AWS::NoValue]",
+      "Outputs:",
+      "  QueueUrl:",
+      "    Value: !Ref Queue",
+    ].join("\n");
+
+    it("reports unresolved references and unused parameters", () => {
+      const result = template.lintTemplate(body);
+
+      expect(result.errors).to.eql([
+        "Resources.Role: unresolved Ref Missing",
+        "Resources.Role: unresolved GetAtt Bucket",
+        "Resources.Role: unresolved Ref Suffix",
+        "Resources.Queue: unresolved DependsOn Topic",
+        "Resources.Queue: unresolved Condition IsDev",
+      ]);
+      expect(result.warnings).to.eql(["Parameters.Unused: declared but never used"]);
+      expect(result.capabilities).to.eql(["CAPABILITY_IAM", "CAPABILITY_NAMED_IAM"]);
+      expect(result.size).to.eql(Buffer.byteLength(body));
+    });
+
+    it("reports unresolved references as warnings for templates with transforms", () => {
+      const result = template.lintTemplate("Transform: AWS::Serverless-2016-10-31\nResources:\n  Alias:\n    Type: AWS::Lambda::Alias\n    Properties:\n      FunctionName: !Ref FunctionAliasLive\n");
+
+      expect(result.errors).to.eql([]);
+      expect(result.warnings).to.eql(["Resources.Alias: unresolved Ref FunctionAliasLive"]);
+      expect(result.capabilities).to.eql(["CAPABILITY_AUTO_EXPAND"]);
+    });
+
+    it("reports required outputs, capabilities and limits", () => {
+      const large = "Resources:\n" + Array.from({ length: 501 }, (_, i) => `  Queue${i}:\n    Type: AWS::SQS::Queue\n    Properties:\n      QueueName: queue-with-a-fairly-long-name-${i}\n`).join("");
+
+      expect(template.lintTemplate(body, { requiredOutputs: ["QueueUrl", "QueueArn"], capabilities: ["CAPABILITY_IAM"] }).errors).to.include.members([
+        "Outputs.QueueArn: required output is not declared",
+        "Template requires CAPABILITY_NAMED_IAM, which is not acknowledged",
+      ]);
+      expect(template.lintTemplate(large).errors).to.eql([
+        `Template is ${Buffer.byteLength(large)} bytes, over the 51200 byte limit for inline templates (upload it to S3)`,
+        "Resources: 501 declared, over the limit of 500",
+      ]);
+      expect(template.lintTemplate(large, { s3Upload: true }).errors).to.eql(["Resources: 501 declared, over the limit of 500"]);
+      expect(template.lintTemplate("/path/to/script.yaml").errors).to.eql(["Resources: template declares no resources"]);
+    });
+  });
+
+  describe("serialize template", () => {
+    it("serializes as YAML or JSON", () => {
+      const parsed = { AWSTemplateFormatVersion: "2010-09-09", Resources: { Bucket: { Type: "AWS::S3::Bucket" } } };
+
+      expect(template.parseTemplate(template.serializeTemplate(parsed))).to.eql(parsed);
+      expect(template.serializeTemplate(parsed)).to.include("AWSTemplateFormatVersion: 2010-09-09\n");
+      expect(JSON.parse(template.serializeTemplate(parsed, "json"))).to.eql(parsed);
+    });
+  });
+});